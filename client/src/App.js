@@ -1,14 +1,345 @@
 // client/src/App.js
 
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useLayoutEffect, useRef, useCallback } from 'react';
 import io from 'socket.io-client';
+import { renderMarkdown } from './markdown';
+import {
+  e2eSupported, generateSalt, deriveRoomKey, generateRoomKey, exportRoomKey, importRoomKey,
+  encryptText, decryptText, makeKeyCheck, verifyRoomKey
+} from './e2e';
+
+// Address of the YChat server (override with REACT_APP_SERVER_URL for local development)
+const SERVER_URL = process.env.REACT_APP_SERVER_URL || "https://ychat-lovu.onrender.com";
 
 // Initialize Socket.IO client to connect to your server
-const socket = io("https://ychat-lovu.onrender.com/");
+const socket = io(SERVER_URL);
+
+// Largest file the server accepts as an attachment (10 MB)
+const MAX_ATTACHMENT_SIZE = 10 * 1024 * 1024;
+
+// Uploads need a short-lived token from the server, asked for over the
+// socket ("attachment" tokens only once we have joined a room). Tokens are
+// reused until shortly before they expire.
+const UPLOAD_TOKEN_TIMEOUT_MS = 10000;
+const uploadTokens = {};
+function getUploadToken(kind) {
+  const cached = uploadTokens[kind];
+  if (cached && cached.expiresAt - Date.now() > 60000) return Promise.resolve(cached.token);
+  return new Promise((resolve, reject) => {
+    const onToken = (issued) => {
+      if (issued.kind !== kind) return;
+      clearTimeout(timer);
+      socket.off('uploadToken', onToken);
+      uploadTokens[kind] = issued;
+      resolve(issued.token);
+    };
+    const timer = setTimeout(() => {
+      socket.off('uploadToken', onToken);
+      reject(new Error("Couldn't reach the server. Please try again."));
+    }, UPLOAD_TOKEN_TIMEOUT_MS);
+    socket.on('uploadToken', onToken);
+    socket.emit('requestUploadToken', { kind });
+  });
+}
 
 // Notification sound for new messages (place "notification.mp3" in your public folder)
 const notificationSound = new Audio("notification.mp3");
 
+// Distinct two-note chime for messages that mention us, generated with the
+// Web Audio API so it needs no sound file
+let mentionAudioContext = null;
+function playMentionSound() {
+  const AudioContext = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContext) return;
+  if (!mentionAudioContext) mentionAudioContext = new AudioContext();
+  const ctx = mentionAudioContext;
+  [880, 1320].forEach((frequency, i) => {
+    const oscillator = ctx.createOscillator();
+    const gain = ctx.createGain();
+    const start = ctx.currentTime + i * 0.15;
+    oscillator.frequency.value = frequency;
+    gain.gain.setValueAtTime(0.2, start);
+    gain.gain.exponentialRampToValueAtTime(0.001, start + 0.3);
+    oscillator.connect(gain);
+    gain.connect(ctx.destination);
+    oscillator.start(start);
+    oscillator.stop(start + 0.3);
+  });
+}
+
+// Which messages play a sound in a room: 'all' or only 'mentions' of us.
+// The choice is remembered per room in localStorage.
+function loadNotifyMode(roomName) {
+  try {
+    return localStorage.getItem(`ychat.notify.${roomName}`) || 'all';
+  } catch (err) {
+    return 'all';
+  }
+}
+function saveNotifyMode(roomName, mode) {
+  try {
+    localStorage.setItem(`ychat.notify.${roomName}`, mode);
+  } catch (err) {
+    // storage unavailable (e.g. private mode); the choice lasts for this session
+  }
+}
+
+// Most @mention suggestions shown while typing
+const MAX_MENTION_SUGGESTIONS = 5;
+// Most users one message can mention (as on the server, which refuses longer lists)
+const MAX_MENTIONS = 20;
+
+// Page title; the number of unread messages is shown in front of it
+const BASE_TITLE = document.title;
+
+// App-wide sound and desktop notification settings, remembered in localStorage
+const DEFAULT_SETTINGS = { sound: true, desktopNotifications: false };
+function loadSettings() {
+  try {
+    return { ...DEFAULT_SETTINGS, ...JSON.parse(localStorage.getItem('ychat.settings') || '{}') };
+  } catch (err) {
+    return DEFAULT_SETTINGS;
+  }
+}
+function saveSettings(settings) {
+  try {
+    localStorage.setItem('ychat.settings', JSON.stringify(settings));
+  } catch (err) {
+    // storage unavailable; the settings last for this session
+  }
+}
+
+// Session token from the server, shared by all our tabs (through
+// localStorage) so each of them can be in a room under the same username
+function loadSession() {
+  try {
+    return localStorage.getItem('ychat.session');
+  } catch (err) {
+    return null;
+  }
+}
+function saveSession(session) {
+  try {
+    localStorage.setItem('ychat.session', session);
+  } catch (err) {
+    // storage unavailable; other tabs get sessions of their own
+  }
+}
+
+// We show as "away" after this long without using the page (or while it is hidden)
+const IDLE_AFTER_MS = 5 * 60 * 1000;
+// Order of users in the user panel, and the colour of their status dot
+const STATUS_RANKS = { online: 2, away: 1, offline: 0 };
+const STATUS_COLORS = { online: '#4CAF50', away: '#FFB300', offline: '#9E9E9E' };
+
+// Delay used to batch "read up to here" marks into one messagesRead event
+const READ_MARK_DELAY_MS = 500;
+// Most reader avatars shown under a message before "+N"
+const MAX_SEEN_BY_AVATARS = 4;
+
+// Split text into parts, wrapping the words that start with a search term in
+// <mark> (the same word-start matching the server uses)
+function highlightTerms(text, query, style) {
+  const terms = query.toLowerCase().split(/\s+/).filter(Boolean)
+    .map(t => t.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  if (terms.length === 0) return text;
+  const pattern = new RegExp(`(^|[^\\p{L}\\p{N}_])(${terms.join('|')})`, 'giu');
+  const parts = [];
+  let last = 0;
+  let match;
+  while ((match = pattern.exec(text))) {
+    const start = match.index + match[1].length;
+    parts.push(text.slice(last, start), <mark key={start} style={style}>{match[2]}</mark>);
+    last = start + match[2].length;
+  }
+  parts.push(text.slice(last));
+  return parts;
+}
+
+// Whether the browser can show desktop notifications
+const notificationsSupported = typeof window !== 'undefined' && 'Notification' in window;
+
+// Room name (?room=), invite token (#invite=) and encryption key (#key=) from
+// an invite link. The token and key are in the fragment so they never reach
+// any server.
+const LINK_ROOM = new URLSearchParams(window.location.search).get('room') || "";
+const LINK_INVITE = new URLSearchParams(window.location.hash.slice(1)).get('invite');
+const LINK_KEY = new URLSearchParams(window.location.hash.slice(1)).get('key');
+
+// Link that brings people to a room (and lets them in, for protected rooms,
+// and read it, for encrypted rooms whose key travels in links)
+function inviteLink(roomName, inviteToken, roomKey) {
+  const url = `${window.location.origin}${window.location.pathname}?room=${encodeURIComponent(roomName)}`;
+  const fragment = new URLSearchParams();
+  if (inviteToken) fragment.set('invite', inviteToken);
+  if (roomKey) fragment.set('key', roomKey);
+  return fragment.toString() ? `${url}#${fragment}` : url;
+}
+
+// Keys of end-to-end encrypted rooms, remembered in localStorage so that
+// reloading the page doesn't ask for them again
+function loadRoomKey(roomName) {
+  try {
+    return localStorage.getItem(`ychat.roomKey.${roomName}`);
+  } catch (err) {
+    return null;
+  }
+}
+function saveRoomKey(roomName, keyText) {
+  try {
+    localStorage.setItem(`ychat.roomKey.${roomName}`, keyText);
+  } catch (err) {
+    // storage unavailable; the key lasts until the page is closed
+  }
+}
+
+// The first of `keyTexts` (exported room keys) that matches an encrypted
+// room's key check, as { key, text }, or null
+async function findRoomKey(encryption, keyTexts) {
+  for (const text of keyTexts) {
+    try {
+      const key = await importRoomKey(text);
+      if (await verifyRoomKey(key, encryption.check)) return { key, text };
+    } catch (err) {
+      // not a valid key; try the next one
+    }
+  }
+  return null;
+}
+
+// Shortest passphrase accepted for a new encrypted room
+const MIN_PASSPHRASE_LENGTH = 8;
+const KEY_MODE_LABELS = {
+  passphrase: 'Members enter a shared passphrase',
+  link: 'The key is part of the invite link'
+};
+
+// Users mentioned as "@name" in a message, out of `usernames`: the server's
+// matching, for encrypted messages whose mentions it can't find itself
+function findMentions(text, usernames) {
+  const names = [...new Set(usernames)].sort((a, b) => b.length - a.length);
+  const lower = text.toLowerCase();
+  const mentioned = new Set();
+  for (let i = lower.indexOf('@'); i !== -1 && mentioned.size < MAX_MENTIONS; i = lower.indexOf('@', i + 1)) {
+    if (i > 0 && /\w/.test(text[i - 1])) continue; // e.g. an email address
+    const name = names.find(n => (
+      lower.startsWith(n.toLowerCase(), i + 1) && !/\w/.test(text[i + 1 + n.length] || '')
+    ));
+    if (name) mentioned.add(name);
+  }
+  return [...mentioned];
+}
+
+// Who may join a room created through the "Create Room" form
+const ACCESS_LABELS = {
+  open: 'Open – anyone who knows the name can join',
+  password: 'Password protected',
+  invite: 'Invite only – join through an invite link'
+};
+
+// joinError reasons that the room password (re-)entered will fix
+const PASSWORD_ERRORS = ['passwordRequired', 'wrongPassword'];
+
+// Human-readable descriptions of the server's room retention policies
+const RETENTION_LABELS = {
+  '24h': 'History kept 24 hours',
+  '7d': 'History kept 7 days',
+  forever: 'History kept forever',
+  ephemeral: 'Ephemeral – messages are never stored'
+};
+
+// Emojis offered in the reaction picker
+const REACTION_EMOJIS = ['👍', '❤️', '😂', '😮', '😢', '🎉'];
+
+// Per-room client state: the room's server settings, loaded messages, users,
+// who is typing, whether older history exists, and whether every message or
+// only mentions of us notify
+const EMPTY_ROOM = {
+  settings: null,
+  messages: [],
+  usersList: [],
+  typingUsers: [],
+  hasMoreHistory: false,
+  directs: {}, // direct messages with other users of the room, by their username (see EMPTY_DIRECT)
+  notify: 'all',
+  outbox: [] // chatMessage payloads typed while offline, sent once the room is rejoined
+};
+
+// Return a copy of `rooms` with `update(room)` merged into one room's state
+// (unchanged if the room isn't joined, e.g. events arriving after leaving it)
+function patchRoom(rooms, name, update) {
+  if (!rooms[name]) return rooms;
+  return { ...rooms, [name]: { ...rooms[name], ...update(rooms[name]) } };
+}
+
+// A direct conversation with one user: its loaded messages, how many arrived
+// while it wasn't on screen, whether older ones exist, and whether its
+// history has been loaded
+const EMPTY_DIRECT = { messages: [], unread: 0, hasMore: false, loaded: false };
+
+// Return a copy of `rooms` with `update(direct)` merged into the direct
+// conversation with `peer` in one room
+function patchDirect(rooms, name, peer, update) {
+  return patchRoom(rooms, name, room => {
+    const direct = { ...EMPTY_DIRECT, ...room.directs[peer] };
+    return { directs: { ...room.directs, [peer]: { ...direct, ...update(direct) } } };
+  });
+}
+
+// Count a room's messages from other users that we haven't read yet (going by
+// their readBy lists), how many of those mention us, and the unread direct
+// messages from its users. System messages (moderation notices) don't count.
+function unreadCounts(room, username) {
+  const unread = room.messages.filter(m => (
+    m.user !== username && !m.deleted && !m.system && !(m.readBy || []).includes(username)
+  ));
+  return {
+    unread: unread.length,
+    mentions: unread.filter(m => (m.mentions || []).includes(username)).length,
+    direct: Object.values(room.directs || {}).reduce((sum, direct) => sum + direct.unread, 0)
+  };
+}
+
+// Longest names and messages the server accepts
+const MAX_USERNAME_LENGTH = 32;
+const MAX_ROOM_NAME_LENGTH = 64;
+const MAX_MESSAGE_LENGTH = 4000;
+// How long a toast stays on screen
+const TOAST_DURATION_MS = 5000;
+
+// A user's role in a room ("owner", "moderator" or "member"), as the server
+// sends it with the user list. Roles belong to sessions, so someone else
+// using an owner's or moderator's name doesn't get their role.
+const ROLE_RANKS = { member: 0, moderator: 1, owner: 2 };
+function roomRole(usersList, name) {
+  const user = usersList.find(u => u.username === name);
+  return (user && user.role) || 'member';
+}
+
+// Append the messages from `incoming` that aren't in `messages` yet
+function mergeMessages(messages, incoming) {
+  const known = new Set(messages.map(m => m._id));
+  return [...messages, ...incoming.filter(m => !known.has(m._id))];
+}
+
+// Helper function to format a file size (e.g. "1.2 MB")
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+// URL an attachment is downloaded from
+function attachmentUrl(attachment) {
+  return `${SERVER_URL}/attachments/${attachment.id}`;
+}
+
+// Avatars are server paths like "/avatars/<id>"; messages saved before avatar
+// uploads existed still carry a Base64 data URL, which is used as is
+function avatarSrc(avatar) {
+  return avatar.startsWith('/') ? `${SERVER_URL}${avatar}` : avatar;
+}
+
 // Helper function to generate relative time (e.g., "5 minutes ago")
 function timeAgo(timestamp) {
   const now = new Date();
@@ -39,6 +370,14 @@ const AnimatedTagline = () => {
   return <span>{phrases[index]}</span>;
 };
 
+// While the user keeps typing, "typing" is repeated this often (the server
+// expires it a few seconds after the last one)...
+const TYPING_REPEAT_MS = 2500;
+// ...and "stopTyping" is sent after this long without a keystroke
+const TYPING_IDLE_MS = 3000;
+// Beyond this many typists the indicator stops naming them
+const MAX_NAMED_TYPISTS = 3;
+
 // Component for an animated typing indicator (shows an ellipsis animation)
 const CombinedTypingIndicator = ({ users, style }) => {
   const [dots, setDots] = useState('');
@@ -48,7 +387,12 @@ const CombinedTypingIndicator = ({ users, style }) => {
     }, 500);
     return () => clearInterval(interval);
   }, []);
-  const userText = users.join(', ');
+  if (users.length > MAX_NAMED_TYPISTS) {
+    return <div style={style}>Several people are typing{dots}</div>;
+  }
+  const userText = users.length === 1
+    ? users[0]
+    : `${users.slice(0, -1).join(', ')} and ${users[users.length - 1]}`;
   return <div style={style}>{userText} {users.length === 1 ? 'is' : 'are'} typing{dots}</div>;
 };
 
@@ -59,108 +403,630 @@ function App() {
 
   // Connection and join page states
   const [username, setUsername] = useState("");
-  const [roomName, setRoomName] = useState("");
-  const [avatar, setAvatar] = useState(null); // Profile picture as Base64 string
-  const [isJoined, setIsJoined] = useState(false);
-  const [joinError, setJoinError] = useState("");
+  const [roomName, setRoomName] = useState(LINK_ROOM);
+  const [avatar, setAvatar] = useState(null); // Uploaded profile picture ({ id, url })
+  // Last joinRoom rejection from the server ({ reason, message }), or null
+  const [joinError, setJoinError] = useState(null);
+  // Whether the join form joins an existing room or creates a new one
+  const [joinMode, setJoinMode] = useState('join');
+  // Retention policy and access used if this user is the one creating the room
+  const [retention, setRetention] = useState('24h');
+  const [access, setAccess] = useState('open');
+  // Password for creating or joining a password-protected room
+  const [roomPassword, setRoomPassword] = useState("");
+  // End-to-end encryption for a new room: whether it's on, how members get
+  // the key, and the passphrase (also used to unlock a joined room)
+  const [encrypted, setEncrypted] = useState(false);
+  const [keyMode, setKeyMode] = useState('passphrase');
+  const [passphrase, setPassphrase] = useState("");
+  // Keys of the encrypted rooms we can read ({ key, text } by room name), and
+  // what encrypted texts decrypt to ({ text }, or { failed: true })
+  const [roomKeys, setRoomKeys] = useState({});
+  const [plaintexts, setPlaintexts] = useState({});
+  // Invite link just copied to the clipboard (for a short "Copied!" note)
+  const [copiedInvite, setCopiedInvite] = useState(false);
+
+  // Joined rooms keyed by room name; see EMPTY_ROOM for what each one holds
+  const [rooms, setRooms] = useState({});
+  // The room currently shown in the chat panel
+  const [activeRoom, setActiveRoom] = useState(null);
+  // Room name typed into the sidebar's "join another room" field
+  const [newRoomName, setNewRoomName] = useState("");
 
   // Chat-related states
   const [currentMessage, setCurrentMessage] = useState("");
-  const [messages, setMessages] = useState([]);
-  const [usersList, setUsersList] = useState([]);
-  const [typingUsers, setTypingUsers] = useState([]);
+  // Files uploaded for the message being composed ({ id, name, type, size })
+  const [pendingAttachments, setPendingAttachments] = useState([]);
+  const [uploading, setUploading] = useState(false);
+  // Short-lived notices (errors from the server, failed uploads): [{ id, message }]
+  const [toasts, setToasts] = useState([]);
+  // Message being edited ({ id, text }), or null
+  const [editing, setEditing] = useState(null);
+  // Message the composer is replying to, or null
+  const [replyingTo, setReplyingTo] = useState(null);
+  // Open thread view ({ messageId, parent, replies }), or null
+  const [thread, setThread] = useState(null);
+  // User of the active room whose direct messages are open, or null, and the
+  // direct message being typed
+  const [dmPeer, setDmPeer] = useState(null);
+  const [dmText, setDmText] = useState("");
+  // Message whose reaction picker is open, or null
+  const [reactionPickerFor, setReactionPickerFor] = useState(null);
+  // Message whose "seen by" list is shown (on hover), or null
+  const [seenByOpenFor, setSeenByOpenFor] = useState(null);
+  // Search box text, filters (sender and date range) and whether they're shown
+  const [searchQuery, setSearchQuery] = useState("");
+  const [searchFilters, setSearchFilters] = useState({ from: "", after: "", before: "" });
+  const [showSearchFilters, setShowSearchFilters] = useState(false);
+  // Latest search in the active room ({ query, results, hasMore, loading }), or null
+  const [search, setSearch] = useState(null);
+  // Search result to jump to once older history containing it is loaded
+  const [pendingJump, setPendingJump] = useState(null);
+  // Message briefly highlighted after jumping to it
+  const [highlightedId, setHighlightedId] = useState(null);
+  // Whether the Socket.IO connection is currently up
+  const [connected, setConnected] = useState(socket.connected);
+  // Position of the "@name" being typed in the composer ({ start, query }), or null
+  const [mentionQuery, setMentionQuery] = useState(null);
+  // Highlighted entry in the mention suggestions
+  const [mentionIndex, setMentionIndex] = useState(0);
+  // User whose moderation actions are shown in the user panel
+  const [moderatingUser, setModeratingUser] = useState(null);
+
+  // State of the active room
+  const isJoined = Object.keys(rooms).length > 0;
+  const { settings: roomSettings, messages, usersList, typingUsers, hasMoreHistory, outbox, notify, directs } = rooms[activeRoom] || EMPTY_ROOM;
+  // End-to-end encrypted rooms are locked until we have their key
+  const isEncrypted = Boolean(roomSettings && roomSettings.encryption);
+  const isLocked = isEncrypted && !roomKeys[activeRoom];
+  // The open direct conversation, and whether the other user is still in the room
+  const direct = dmPeer ? { ...EMPTY_DIRECT, ...directs[dmPeer] } : null;
+  const dmPeerPresent = usersList.some(u => u.username === dmPeer && u.status !== 'offline');
+  // Our role in the active room; moderators get moderation controls
+  const myRole = roomRole(usersList, username);
+  const isModerator = myRole !== 'member';
+  // Mutes go by name, but never apply to the owner
+  const isMutedHere = Boolean(roomSettings && (roomSettings.muted || []).includes(username)) && myRole !== 'owner';
+  // Users matching the "@name" being typed (not ourselves, nor users who left)
+  const mentionSuggestions = mentionQuery
+    ? usersList
+      .filter(u => u.status !== 'offline')
+      .map(u => u.username)
+      .filter(name => name !== username && name.toLowerCase().startsWith(mentionQuery.query.toLowerCase()))
+      .slice(0, MAX_MENTION_SUGGESTIONS)
+    : [];
+  // Avatar of each known user: from the user list, or from their messages
+  // for users who have left
+  const avatarByUser = {};
+  messages.forEach(msg => {
+    if (msg.avatar) avatarByUser[msg.user] = msg.avatar;
+  });
+  usersList.forEach(user => {
+    if (user.avatar) avatarByUser[user.username] = user.avatar;
+  });
+  // Users by status (online, away, then offline), most recently active
+  // first: when they last posted, or were last seen
+  const lastPostedAt = {};
+  messages.forEach(msg => {
+    if (!msg.system) lastPostedAt[msg.user] = new Date(msg.createdAt).getTime();
+  });
+  const userActivity = (user) => Math.max(lastPostedAt[user.username] || 0, user.lastSeen || 0);
+  const sortedUsers = [...usersList].sort((a, b) =>
+    (STATUS_RANKS[b.status] || 0) - (STATUS_RANKS[a.status] || 0) ||
+    userActivity(b) - userActivity(a) ||
+    a.username.localeCompare(b.username)
+  );
+  const presentCount = usersList.filter(u => u.status !== 'offline').length;
+  // Number of loaded replies to each message, by parent id
+  const replyCounts = {};
+  messages.forEach(msg => {
+    if (msg.replyTo) replyCounts[msg.replyTo] = (replyCounts[msg.replyTo] || 0) + 1;
+  });
 
   // Dark mode state: false for light mode, true for dark mode
   const [darkMode, setDarkMode] = useState(false);
+  // Sound and desktop notification settings, and whether their panel is open
+  const [settings, setSettings] = useState(loadSettings);
+  const [settingsOpen, setSettingsOpen] = useState(false);
+  // Desktop notification permission ('default', 'granted' or 'denied')
+  const [notificationPermission, setNotificationPermission] = useState(
+    notificationsSupported ? Notification.permission : 'denied'
+  );
+  // Whether the page is visible; messages only count as read while it is
+  const [pageVisible, setPageVisible] = useState(!document.hidden);
+  // Whether the page has gone unused for IDLE_AFTER_MS
+  const [idle, setIdle] = useState(false);
 
   // Refs for auto-scrolling and scrolling to the join section
   const messagesPanelRef = useRef(null);
   const joinSectionRef = useRef(null);
+  // The message composer, for completing mentions at the cursor
+  const composerRef = useRef(null);
 
-  // Ref for debouncing typing indicator events
+  // Refs for throttling typing indicator events: the timer that sends
+  // "stopTyping", and the room and time of the last "typing" sent
   const typingTimeoutRef = useRef(null);
+  const lastTypingRef = useRef({ room: null, at: 0 });
+
+  // Refs for loading older history: whether a request is in flight, and the
+  // scroll position to restore once older messages are prepended
+  const loadingOlderRef = useRef(false);
+  const scrollAnchorRef = useRef(null);
+
+  // Rendered message elements by id, for jumping to a message
+  const messageRefs = useRef({});
+  // Ids of the active room's messages currently on screen, the timer that
+  // batches read marks, and the last mark sent per room
+  const visibleMessagesRef = useRef(new Set());
+  const readMarkTimerRef = useRef(null);
+  const lastReadMarkRef = useRef({});
+
+  // Mirrors of activeRoom, rooms, settings and dmPeer for socket listeners, which are registered only once
+  const activeRoomRef = useRef(null);
+  const roomsRef = useRef({});
+  const settingsRef = useRef(settings);
+  const dmPeerRef = useRef(null);
+  useEffect(() => {
+    activeRoomRef.current = activeRoom;
+    roomsRef.current = rooms;
+    settingsRef.current = settings;
+    dmPeerRef.current = dmPeer;
+  }, [activeRoom, rooms, settings, dmPeer]);
+
+  // Session token from the server, used to rejoin under our username after
+  // a reconnect and from our other tabs
+  const sessionRef = useRef(loadSession());
+  // Keys (exported) of the encrypted rooms we are creating, until they're joined
+  const pendingKeysRef = useRef({});
+
+  // Show a toast that disappears after a few seconds (or when clicked)
+  const dismissToast = useCallback((id) => {
+    setToasts(prev => prev.filter(toast => toast.id !== id));
+  }, []);
+  const showToast = useCallback((message) => {
+    const id = `${Date.now()}-${Math.random()}`;
+    setToasts(prev => [...prev, { id, message }]);
+    setTimeout(() => dismissToast(id), TOAST_DURATION_MS);
+  }, [dismissToast]);
 
   // ------------------------
   // Socket.IO Event Listeners
   // ------------------------
   useEffect(() => {
-    // When the server confirms joining the room
+    // Track the connection and rejoin every room after it comes back,
+    // asking only for the messages missed since the last one we have
+    socket.on('connect', () => {
+      setConnected(true);
+      Object.entries(roomsRef.current).forEach(([name, room]) => {
+        const lastMessage = room.messages[room.messages.length - 1];
+        socket.emit('joinRoom', {
+          roomName: name,
+          username,
+          avatar: avatar && avatar.id,
+          invite: room.inviteToken || undefined,
+          session: sessionRef.current,
+          since: lastMessage && lastMessage._id
+        });
+      });
+    });
+    socket.on('disconnect', () => {
+      setConnected(false);
+      // Who is typing is sent again when we rejoin
+      setRooms(prev => Object.fromEntries(Object.entries(prev).map(([name, room]) => [name, { ...room, typingUsers: [] }])));
+    });
+
+    // When the server confirms joining a room, add it and switch to it. After
+    // a reconnect the room is already there: merge in the missed messages and
+    // send whatever was queued while offline.
     socket.on('joinedRoom', (data) => {
-      setIsJoined(true);
-      setJoinError("");
-      setMessages(data.messages);
+      const existing = roomsRef.current[data.roomName];
+      if (sessionRef.current !== data.session) {
+        sessionRef.current = data.session;
+        saveSession(data.session);
+      }
+      setJoinError(null);
+      setNewRoomName("");
+      setRoomPassword("");
+      // The invite token and key have done their job; keep them out of the address bar
+      if (window.location.hash) window.history.replaceState(null, '', window.location.pathname + window.location.search);
+      // Encrypted rooms: use the key we created the room with, the one from
+      // the invite link, or the one remembered from before; without one the
+      // room stays locked until its passphrase is entered
+      if (data.room.encryption) {
+        const keyTexts = [
+          pendingKeysRef.current[data.roomName],
+          data.roomName === LINK_ROOM && LINK_KEY,
+          loadRoomKey(data.roomName)
+        ].filter(Boolean);
+        delete pendingKeysRef.current[data.roomName];
+        findRoomKey(data.room.encryption, keyTexts).then(found => {
+          if (!found) return;
+          saveRoomKey(data.roomName, found.text);
+          setRoomKeys(prev => ({ ...prev, [data.roomName]: found }));
+        });
+      }
+      setRooms(prev => {
+        const room = { ...EMPTY_ROOM, ...prev[data.roomName] };
+        return {
+          ...prev,
+          [data.roomName]: {
+            ...room,
+            settings: data.room,
+            inviteToken: data.inviteToken || null,
+            messages: data.resumed ? mergeMessages(room.messages, data.messages) : data.messages,
+            hasMoreHistory: data.hasMore ?? room.hasMoreHistory,
+            typingUsers: data.typingUsers || [],
+            notify: prev[data.roomName] ? room.notify : loadNotifyMode(data.roomName),
+            outbox: []
+          }
+        };
+      });
+      if (existing) {
+        existing.outbox.forEach(payload => socket.emit('chatMessage', { ...payload, roomName: data.roomName }));
+      } else {
+        setActiveRoom(data.roomName);
+      }
+    });
+
+    // When a page of older messages arrives, prepend it and remember where
+    // the user was so the view doesn't jump
+    socket.on('olderMessages', (data) => {
+      const panel = messagesPanelRef.current;
+      if (panel && data.roomName === activeRoomRef.current) {
+        scrollAnchorRef.current = { scrollHeight: panel.scrollHeight, scrollTop: panel.scrollTop };
+      }
+      loadingOlderRef.current = false;
+      setRooms(prev => patchRoom(prev, data.roomName, room => ({
+        messages: [...data.messages, ...room.messages],
+        hasMoreHistory: data.hasMore
+      })));
     });
 
     // When there is an error joining the room
+    // Errors from the server: rejected requests ({ code, event, message },
+    // e.g. when rate limited) and failed actions ({ message })
+    socket.on('error', (error) => {
+      showToast(error.message || "Something went wrong.");
+    });
+
+    // Forget a room we can no longer be in (kicked or banned)
+    const dropRoom = (name) => {
+      const { [name]: dropped, ...remaining } = roomsRef.current;
+      setRooms(prev => {
+        const { [name]: removed, ...rest } = prev;
+        return rest;
+      });
+      if (activeRoomRef.current === name) {
+        setThread(null);
+        setDmPeer(null);
+        setReplyingTo(null);
+        setActiveRoom(Object.keys(remaining)[0] || null);
+      }
+    };
+
     socket.on('joinError', (error) => {
-      setJoinError(error.message);
+      setJoinError(error);
+      // Banned while we were away: rejoining the room after a reconnect failed
+      if (error.reason === 'banned' && roomsRef.current[error.roomName]) dropRoom(error.roomName);
+    });
+
+    // A moderator removed us from a room
+    socket.on('removedFromRoom', ({ roomName: room, action, by }) => {
+      dropRoom(room);
+      setJoinError({
+        reason: action === 'ban' ? 'banned' : 'kicked',
+        message: action === 'ban' ? `${by} banned you from "${room}".` : `${by} removed you from "${room}".`
+      });
+    });
+
+    // Room settings changed (moderators, muted or banned users)
+    socket.on('roomUpdated', ({ roomName: room, room: settings }) => {
+      setRooms(prev => patchRoom(prev, room, () => ({ settings })));
     });
 
-    // When a new chat message is received
+    // When a new chat message is received (in any joined room)
     socket.on('chatMessage', (msgObj) => {
-      setMessages(prev => [...prev, msgObj]);
-      // Play notification sound if the message is from another user
-      if (msgObj.user !== username) {
+      // System messages (moderation notices) never notify
+      const fromOther = msgObj.user !== username && !msgObj.system;
+      const mentionsMe = fromOther && (msgObj.mentions || []).includes(username);
+      setRooms(prev => patchRoom(prev, msgObj.roomName, room => ({
+        messages: [...room.messages, msgObj]
+      })));
+      setThread(prev => (prev && msgObj.replyTo === prev.messageId
+        ? { ...prev, replies: [...prev.replies, msgObj] }
+        : prev));
+      // Mentions of us get their own sound; other messages from other users
+      // play the regular one unless the room is set to mentions only
+      const room = roomsRef.current[msgObj.roomName] || EMPTY_ROOM;
+      const notifies = mentionsMe || (fromOther && room.notify === 'all');
+      if (notifies && settingsRef.current.sound) {
+        if (mentionsMe) playMentionSound();
+        else notificationSound.play().catch(err => console.log("Sound error:", err));
+      }
+      // Desktop notification while the tab is in the background
+      if (notifies && document.hidden && settingsRef.current.desktopNotifications &&
+          notificationsSupported && Notification.permission === 'granted') {
+        const text = msgObj.encrypted
+          ? '🔐 Encrypted message'
+          : msgObj.text || `📎 ${(msgObj.attachments || []).length} file(s)`;
+        const notification = new Notification(
+          mentionsMe ? `${msgObj.user} mentioned you in ${msgObj.roomName}` : `${msgObj.user} in ${msgObj.roomName}`,
+          {
+            body: text.length > 120 ? `${text.slice(0, 119)}…` : text,
+            icon: msgObj.avatar ? avatarSrc(msgObj.avatar) : undefined,
+            tag: msgObj.roomName // newer messages from a room replace older notifications
+          }
+        );
+        notification.onclick = () => {
+          window.focus();
+          setActiveRoom(msgObj.roomName);
+          notification.close();
+        };
+      }
+    });
+
+    // Replace an edited or deleted message in place
+    socket.on('messageUpdated', ({ roomName: room, message }) => {
+      setRooms(prev => patchRoom(prev, room, r => ({
+        messages: r.messages.map(msg => (msg._id === message._id ? message : msg))
+      })));
+      setThread(prev => prev && {
+        ...prev,
+        parent: prev.parent._id === message._id ? message : prev.parent,
+        replies: prev.replies.map(msg => (msg._id === message._id ? message : msg))
+      });
+    });
+
+    // Update the reaction counts of a message
+    socket.on('reactionsUpdated', ({ roomName: room, messageId, reactions }) => {
+      setRooms(prev => patchRoom(prev, room, r => ({
+        messages: r.messages.map(msg => (msg._id === messageId ? { ...msg, reactions } : msg))
+      })));
+    });
+
+    // Show the results of our latest search (ignoring replies to older ones)
+    socket.on('searchResults', ({ roomName: room, query, results, hasMore }) => {
+      if (room !== activeRoomRef.current) return;
+      setSearch(prev => (prev && prev.query === query ? { ...prev, results, hasMore, loading: false } : prev));
+    });
+
+    // Show a thread the user asked for
+    socket.on('thread', (data) => {
+      if (data.roomName === activeRoomRef.current) {
+        setThread(data);
+        setDmPeer(null);
+      }
+    });
+
+    // A direct message to or from us: add it to the conversation with the
+    // other user, counting it as unread unless that conversation is on screen
+    socket.on('directMessage', ({ roomName: room, participants, message }) => {
+      const peer = participants[0] === username ? participants[1] : participants[0];
+      const fromOther = message.user !== username;
+      const onScreen = activeRoomRef.current === room && dmPeerRef.current === peer && !document.hidden;
+      setRooms(prev => patchDirect(prev, room, peer, direct => ({
+        messages: mergeMessages(direct.messages, [message]),
+        unread: fromOther && !onScreen ? direct.unread + 1 : direct.unread
+      })));
+      if (fromOther && !onScreen && settingsRef.current.sound) {
         notificationSound.play().catch(err => console.log("Sound error:", err));
       }
     });
 
-    // Update the user list in the room
-    socket.on('usersList', (allUsers) => {
-      setUsersList(allUsers);
+    // A page of a direct conversation's history, older than what we have
+    socket.on('directMessages', ({ roomName: room, peer, messages: page, hasMore }) => {
+      setRooms(prev => patchDirect(prev, room, peer, direct => ({
+        messages: mergeMessages(page, direct.messages),
+        hasMore,
+        loaded: true
+      })));
+    });
+
+    // Update the user list of a room
+    socket.on('usersList', ({ roomName: room, users }) => {
+      setRooms(prev => patchRoom(prev, room, () => ({ usersList: users })));
     });
 
-    // Update read receipts when notified by the server
-    socket.on('readReceipt', ({ messageId, readBy }) => {
-      setMessages(prev => prev.map(msg => {
-        if (msg._id === messageId) {
-          return { ...msg, readBy };
-        }
-        return msg;
-      }));
+    // Update read receipts when notified by the server: one message at a
+    // time (from older clients) or a batch from a "read up to here" mark
+    socket.on('readReceipt', ({ roomName: room, messageId, readBy }) => {
+      setRooms(prev => patchRoom(prev, room, r => ({
+        messages: r.messages.map(msg => (msg._id === messageId ? { ...msg, readBy } : msg))
+      })));
+    });
+    socket.on('readReceipts', ({ roomName: room, receipts }) => {
+      const readers = new Map(receipts.map(r => [r.messageId, r.readBy]));
+      setRooms(prev => patchRoom(prev, room, r => ({
+        messages: r.messages.map(msg => (readers.has(msg._id) ? { ...msg, readBy: readers.get(msg._id) } : msg))
+      })));
     });
 
     // Update typing indicator when a user is typing
-    socket.on('userTyping', ({ username: typingUser }) => {
-      setTypingUsers(prev => {
-        if (!prev.includes(typingUser)) {
-          return [...prev, typingUser];
-        }
-        return prev;
-      });
+    socket.on('userTyping', ({ roomName: room, username: typingUser }) => {
+      setRooms(prev => patchRoom(prev, room, r => (
+        r.typingUsers.includes(typingUser) ? {} : { typingUsers: [...r.typingUsers, typingUser] }
+      )));
     });
     // Remove user from typing list when they stop typing
-    socket.on('userStopTyping', ({ username: stopUser }) => {
-      setTypingUsers(prev => prev.filter(u => u !== stopUser));
+    socket.on('userStopTyping', ({ roomName: room, username: stopUser }) => {
+      setRooms(prev => patchRoom(prev, room, r => ({ typingUsers: r.typingUsers.filter(u => u !== stopUser) })));
     });
 
     // Clean up all event listeners on unmount
     return () => {
+      socket.off('connect');
+      socket.off('disconnect');
       socket.off('joinedRoom');
+      socket.off('olderMessages');
       socket.off('joinError');
+      socket.off('error');
+      socket.off('removedFromRoom');
+      socket.off('roomUpdated');
       socket.off('chatMessage');
+      socket.off('messageUpdated');
+      socket.off('thread');
+      socket.off('directMessage');
+      socket.off('directMessages');
+      socket.off('searchResults');
+      socket.off('reactionsUpdated');
       socket.off('usersList');
       socket.off('readReceipt');
+      socket.off('readReceipts');
       socket.off('userTyping');
       socket.off('userStopTyping');
     };
-  }, [username]);
+  }, [username, avatar, showToast]);
 
   // ------------------------
   // Auto-scroll and read receipt logic
   // ------------------------
-  useEffect(() => {
-    // Auto-scroll to the bottom of the messages panel whenever messages update
-    if (messagesPanelRef.current) {
-      messagesPanelRef.current.scrollTop = messagesPanelRef.current.scrollHeight;
+  useLayoutEffect(() => {
+    const panel = messagesPanelRef.current;
+    if (!panel) return;
+    const anchor = scrollAnchorRef.current;
+    if (anchor) {
+      // Older messages were prepended: keep the same messages in view
+      panel.scrollTop = panel.scrollHeight - anchor.scrollHeight + anchor.scrollTop;
+      scrollAnchorRef.current = null;
+    } else {
+      // Otherwise auto-scroll to the bottom whenever messages update
+      panel.scrollTop = panel.scrollHeight;
+    }
+  }, [messages]);
+
+  // Tell the server how far the user has read: the newest message that has
+  // been on screen (while the page was visible). Everything up to it counts
+  // as read, so one messagesRead event covers any number of messages.
+  const sendReadMark = useCallback(() => {
+    readMarkTimerRef.current = null;
+    const room = activeRoomRef.current;
+    if (!room || document.hidden) return;
+    const list = (roomsRef.current[room] || EMPTY_ROOM).messages;
+    let index = list.length - 1;
+    while (index >= 0 && !visibleMessagesRef.current.has(list[index]._id)) index--;
+    if (index < 0 || lastReadMarkRef.current[room] === list[index]._id) return;
+    const hasUnread = list.slice(0, index + 1).some(m => (
+      m.user !== username && !m.deleted && !(m.readBy || []).includes(username)
+    ));
+    if (!hasUnread) return;
+    lastReadMarkRef.current[room] = list[index]._id;
+    socket.emit('messagesRead', { roomName: room, upTo: list[index]._id });
+  }, [username]);
+  const scheduleReadMark = useCallback(() => {
+    if (!readMarkTimerRef.current) {
+      readMarkTimerRef.current = setTimeout(sendReadMark, READ_MARK_DELAY_MS);
     }
-    // For every message not yet marked as read by current user, send a read receipt
+  }, [sendReadMark]);
+
+  // Watch which messages of the active room are on screen. A message counts
+  // as seen when at least half of it (or half the panel, for long ones) shows.
+  useEffect(() => {
+    const panel = messagesPanelRef.current;
+    visibleMessagesRef.current = new Set();
+    if (!panel || typeof IntersectionObserver === 'undefined') return;
+    const observer = new IntersectionObserver((entries) => {
+      entries.forEach(entry => {
+        const id = entry.target.dataset.messageId;
+        const seen = entry.intersectionRatio >= 0.5 ||
+          (entry.rootBounds && entry.intersectionRect.height >= entry.rootBounds.height / 2);
+        if (seen) visibleMessagesRef.current.add(id);
+        else visibleMessagesRef.current.delete(id);
+      });
+      scheduleReadMark();
+    }, { root: panel, threshold: [0, 0.5, 1] });
     messages.forEach(msg => {
-      if (!msg.readBy || !msg.readBy.includes(username)) {
-        socket.emit('messageRead', { messageId: msg._id, roomName, username });
-      }
+      const el = messageRefs.current[msg._id];
+      if (el) observer.observe(el);
+    });
+    return () => observer.disconnect();
+  }, [messages, activeRoom, scheduleReadMark]);
+
+  // Coming back to the tab counts the messages on screen as read
+  useEffect(() => {
+    if (pageVisible) scheduleReadMark();
+  }, [pageVisible, scheduleReadMark]);
+
+  useEffect(() => () => clearTimeout(readMarkTimerRef.current), []);
+
+  // Track whether the tab is in the foreground
+  useEffect(() => {
+    const onVisibilityChange = () => setPageVisible(!document.hidden);
+    document.addEventListener('visibilitychange', onVisibilityChange);
+    return () => document.removeEventListener('visibilitychange', onVisibilityChange);
+  }, []);
+
+  // Track whether the page is being used: any input resets the idle timer
+  useEffect(() => {
+    let idleTimer = null;
+    const onActivity = () => {
+      clearTimeout(idleTimer);
+      idleTimer = setTimeout(() => setIdle(true), IDLE_AFTER_MS);
+      setIdle(false);
+    };
+    const events = ['mousemove', 'mousedown', 'keydown', 'touchstart', 'wheel'];
+    events.forEach(event => window.addEventListener(event, onActivity, { passive: true }));
+    onActivity();
+    return () => {
+      clearTimeout(idleTimer);
+      events.forEach(event => window.removeEventListener(event, onActivity));
+    };
+  }, []);
+
+  // Tell the server whether we're here (after every reconnect too); other
+  // users see this tab as away while it is hidden or idle
+  const myStatus = pageVisible && !idle ? 'online' : 'away';
+  useEffect(() => {
+    if (connected) socket.emit('setStatus', { status: myStatus });
+  }, [connected, myStatus]);
+
+  // Direct messages count as read while their conversation is on screen
+  const directUnread = direct ? direct.unread : 0;
+  useEffect(() => {
+    if (directUnread > 0 && pageVisible) {
+      setRooms(prev => patchDirect(prev, activeRoom, dmPeer, () => ({ unread: 0 })));
+    }
+  }, [directUnread, pageVisible, activeRoom, dmPeer]);
+
+  // Decrypt the encrypted texts of the rooms we have keys for: messages and
+  // their reply quotes, direct messages, and the open thread and search
+  // results. Each text is decrypted once; results are kept by ciphertext.
+  const decryptingRef = useRef(new Set());
+  useEffect(() => {
+    const pending = [];
+    const queue = (name, item) => {
+      const roomKey = roomKeys[name];
+      if (!roomKey || !item || !item.encrypted || !item.text) return;
+      if (plaintexts[item.text] || decryptingRef.current.has(item.text)) return;
+      decryptingRef.current.add(item.text);
+      pending.push(decryptText(roomKey.key, item.text).then(
+        text => [item.text, { text }],
+        () => [item.text, { failed: true }]
+      ));
+    };
+    Object.entries(rooms).forEach(([name, room]) => {
+      room.messages.forEach(msg => {
+        queue(name, msg);
+        queue(name, msg.replyPreview);
+      });
+      Object.values(room.directs).forEach(conversation => conversation.messages.forEach(msg => queue(name, msg)));
     });
-  }, [messages, roomName, username]);
+    if (thread) [thread.parent, ...thread.replies].forEach(msg => queue(activeRoom, msg));
+    if (search) search.results.forEach(msg => queue(activeRoom, msg));
+    if (pending.length === 0) return;
+    Promise.all(pending).then(results => {
+      results.forEach(([ciphertext]) => decryptingRef.current.delete(ciphertext));
+      setPlaintexts(prev => ({ ...prev, ...Object.fromEntries(results) }));
+    });
+  }, [rooms, roomKeys, plaintexts, thread, search, activeRoom]);
+
+  // Show the number of unread messages across all rooms in the page title
+  const totalUnread = Object.values(rooms).reduce((sum, room) => {
+    const { unread, direct } = unreadCounts(room, username);
+    return sum + unread + direct;
+  }, 0);
+  useEffect(() => {
+    document.title = totalUnread > 0 ? `(${totalUnread}) ${BASE_TITLE}` : BASE_TITLE;
+  }, [totalUnread]);
 
   // ------------------------
   // Event Handlers
@@ -171,58 +1037,439 @@ function App() {
     setDarkMode(prev => !prev);
   };
 
-  // Handle typing events with a debounce timer
+  // Change one of the sound/notification settings and remember it
+  const updateSettings = (changes) => {
+    const next = { ...settings, ...changes };
+    setSettings(next);
+    saveSettings(next);
+  };
+
+  // Turn desktop notifications on or off, asking the browser for permission
+  // the first time they are turned on
+  const toggleDesktopNotifications = async () => {
+    if (settings.desktopNotifications) {
+      updateSettings({ desktopNotifications: false });
+      return;
+    }
+    let permission = Notification.permission;
+    if (permission === 'default') {
+      permission = await Notification.requestPermission();
+      setNotificationPermission(permission);
+    }
+    updateSettings({ desktopNotifications: permission === 'granted' });
+  };
+
+  // Ask for the previous page of history when the user scrolls to the top
+  const handleMessagesScroll = (e) => {
+    if (e.target.scrollTop > 40 || !hasMoreHistory || loadingOlderRef.current || messages.length === 0) return;
+    loadingOlderRef.current = true;
+    socket.emit('loadOlderMessages', { roomName: activeRoom, before: messages[0]._id });
+  };
+
+  // Tell the room we stopped typing (after a pause, sending, or switching rooms)
+  const stopTyping = (room) => {
+    clearTimeout(typingTimeoutRef.current);
+    lastTypingRef.current = { room: null, at: 0 };
+    socket.emit('stopTyping', { roomName: room });
+  };
+
+  // Handle typing events: "typing" goes out at most every TYPING_REPEAT_MS,
+  // and "stopTyping" once the keystrokes pause
   const handleTyping = () => {
-    socket.emit('typing', { roomName, username });
-    if (typingTimeoutRef.current) clearTimeout(typingTimeoutRef.current);
-    typingTimeoutRef.current = setTimeout(() => {
-      socket.emit('stopTyping', { roomName, username });
-    }, 2000);
+    if (!connected) return;
+    const room = activeRoom;
+    const now = Date.now();
+    if (lastTypingRef.current.room !== room || now - lastTypingRef.current.at >= TYPING_REPEAT_MS) {
+      socket.emit('typing', { roomName: room });
+      lastTypingRef.current = { room, at: now };
+    }
+    clearTimeout(typingTimeoutRef.current);
+    typingTimeoutRef.current = setTimeout(() => stopTyping(room), TYPING_IDLE_MS);
   };
 
   // Handle profile picture upload for join page
   // This function validates the file is an image and is below 10 MB
-  const handleAvatarChange = (e) => {
+  const handleAvatarChange = async (e) => {
     const file = e.target.files[0];
     if (file) {
       // Check that the file type is an image
       if (!file.type.startsWith('image/')) {
-        alert('Please select a valid image file.');
+        showToast('Please select a valid image file.');
         return;
       }
       // Limit file size to 10 MB
       const maxSize = 10 * 1024 * 1024; // 10 MB in bytes
       if (file.size > maxSize) {
-        alert('Image is too large. Please select an image under 10MB.');
+        showToast('Image is too large. Please select an image under 10MB.');
         return;
       }
-      // Use FileReader to convert the image file to a Base64 string
-      const reader = new FileReader();
-      reader.onerror = () => {
-        alert('Error reading file. Please try a different image.');
-      };
-      reader.onload = () => {
-        setAvatar(reader.result);
-      };
-      reader.readAsDataURL(file);
+      // Upload the image once; the server shrinks it to a small thumbnail and
+      // everyone loads it from the returned URL
+      try {
+        const response = await fetch(`${SERVER_URL}/avatars`, {
+          method: 'POST',
+          headers: { 'Content-Type': file.type, 'X-Upload-Token': await getUploadToken('avatar') },
+          body: file
+        });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error);
+        setAvatar(result);
+      } catch (err) {
+        showToast(err.message || 'Error uploading image. Please try a different image.');
+      }
     }
   };
 
-  // Handle joining a room by sending username, room name, and avatar to the server
-  const handleJoinRoom = () => {
+  // Join (or create) the room from the join form. Protected rooms need the
+  // password, or the invite token when the page was opened from an invite link.
+  const handleJoinRoom = async () => {
     if (!username.trim() || !roomName.trim()) {
-      alert("Username and Room Name are required!");
+      showToast("Username and Room Name are required!");
+      return;
+    }
+    const creating = joinMode === 'create';
+    // A new encrypted room gets its key here; the server only stores the salt
+    // and a key check
+    let encryption;
+    if (creating && encrypted) {
+      if (keyMode === 'passphrase' && passphrase.length < MIN_PASSPHRASE_LENGTH) {
+        showToast(`The passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters long.`);
+        return;
+      }
+      const salt = generateSalt();
+      const key = keyMode === 'link' ? await generateRoomKey() : await deriveRoomKey(passphrase, salt);
+      pendingKeysRef.current[roomName] = await exportRoomKey(key);
+      encryption = { mode: keyMode, salt, check: await makeKeyCheck(key) };
+      setPassphrase("");
+    }
+    socket.emit('joinRoom', {
+      roomName,
+      username,
+      avatar: avatar && avatar.id,
+      retention,
+      create: creating,
+      access: creating ? access : undefined,
+      password: roomPassword || undefined,
+      invite: !creating && LINK_INVITE && roomName === LINK_ROOM ? LINK_INVITE : undefined,
+      session: sessionRef.current,
+      encryption
+    });
+  };
+
+  // Join an additional room from the sidebar (identity stays the same)
+  const handleJoinAnotherRoom = () => {
+    if (!newRoomName.trim()) return;
+    if (rooms[newRoomName]) {
+      switchRoom(newRoomName);
+      setNewRoomName("");
+      return;
+    }
+    socket.emit('joinRoom', {
+      roomName: newRoomName,
+      username,
+      avatar: avatar && avatar.id,
+      retention,
+      password: roomPassword || undefined,
+      session: sessionRef.current
+    });
+  };
+
+  // Copy the active room's invite link to the clipboard
+  const copyInviteLink = async () => {
+    // Rooms whose key travels in links get it in the fragment
+    const keyInLink = isEncrypted && roomSettings.encryption.mode === 'link' && roomKeys[activeRoom];
+    const link = inviteLink(activeRoom, (rooms[activeRoom] || EMPTY_ROOM).inviteToken, keyInLink ? keyInLink.text : undefined);
+    try {
+      await navigator.clipboard.writeText(link);
+      setCopiedInvite(true);
+      setTimeout(() => setCopiedInvite(false), 2000);
+    } catch (err) {
+      // Clipboard access denied: let the user copy it by hand
+      window.prompt("Copy this invite link:", link);
+    }
+  };
+
+  // Show another joined room in the chat panel (which marks its messages read)
+  const switchRoom = (name) => {
+    if (name === activeRoom) return;
+    if (activeRoom) stopTyping(activeRoom);
+    setActiveRoom(name);
+    setThread(null);
+    setDmPeer(null);
+    setReplyingTo(null);
+    setMentionQuery(null);
+    clearSearch();
+  };
+
+  // Leave a room; leaving the last one returns to the join page
+  const leaveRoom = (name) => {
+    socket.emit('leaveRoom', { roomName: name });
+    const { [name]: left, ...remaining } = rooms;
+    setRooms(remaining);
+    if (name === activeRoom) {
+      setThread(null);
+      setDmPeer(null);
+      setReplyingTo(null);
+      clearSearch();
+      setActiveRoom(Object.keys(remaining)[0] || null);
+    }
+  };
+
+  // Open the direct messages with a user of the active room, loading their
+  // history the first time
+  const openDirect = (peer) => {
+    setThread(null);
+    setDmPeer(peer);
+    setDmText("");
+    const direct = (rooms[activeRoom] || EMPTY_ROOM).directs[peer];
+    if (!direct || !direct.loaded) socket.emit('loadDirectMessages', { roomName: activeRoom, peer });
+  };
+
+  // Send the direct message being typed; it shows up once the server echoes it
+  const sendDirectMessage = async () => {
+    if (!dmText.trim() || !connected || isLocked) return;
+    const text = dmText;
+    setDmText("");
+    const body = isEncrypted ? { ciphertext: (await encryptForRoom(activeRoom, text)).ciphertext } : { text };
+    socket.emit('directMessage', { roomName: activeRoom, peer: dmPeer, ...body });
+  };
+
+  // Encrypt a message for an encrypted room (whose key we have), with the
+  // users it mentions. We already know what our own message says.
+  const encryptForRoom = async (name, text) => {
+    const ciphertext = await encryptText(roomKeys[name].key, text);
+    setPlaintexts(prev => ({ ...prev, [ciphertext]: { text } }));
+    const usernames = (rooms[name] || EMPTY_ROOM).usersList.map(u => u.username);
+    return { ciphertext, mentions: findMentions(text, usernames) };
+  };
+
+  // Unlock the active encrypted room with its passphrase
+  const unlockRoom = async () => {
+    const { encryption } = roomSettings;
+    const key = await deriveRoomKey(passphrase, encryption.salt);
+    if (!(await verifyRoomKey(key, encryption.check))) {
+      showToast("That passphrase doesn't unlock this room.");
       return;
     }
-    socket.emit('joinRoom', { roomName, username, avatar });
+    const text = await exportRoomKey(key);
+    saveRoomKey(activeRoom, text);
+    setRoomKeys(prev => ({ ...prev, [activeRoom]: { key, text } }));
+    setPassphrase("");
+  };
+
+  // What a message's (or reply quote's) text says: encrypted texts once
+  // decrypted, or null while they can't be read (see encryptionNotice)
+  const plainText = (item) => {
+    if (!item.encrypted) return item.text;
+    const entry = plaintexts[item.text];
+    return entry && !entry.failed ? entry.text : null;
+  };
+  // Why an encrypted text can't be shown
+  const encryptionNotice = (item) => {
+    const entry = plaintexts[item.text];
+    if (entry && entry.failed) return "⚠️ This message couldn't be decrypted";
+    return roomKeys[activeRoom] ? '🔐 Decrypting…' : '🔐 Encrypted message (unlock the room to read it)';
+  };
+  const shownText = (item) => plainText(item) ?? encryptionNotice(item);
+  // A message's text as Markdown, or the reason it can't be shown
+  const renderMessageText = (msg, mentions) => {
+    const text = plainText(msg);
+    return text === null
+      ? <span style={themeStyles.encryptionNotice}>{encryptionNotice(msg)}</span>
+      : renderMarkdown(text, themeStyles.markdown, mentions);
+  };
+
+  // Switch the active room between a sound for every message and mentions only
+  const toggleNotifyMode = () => {
+    const mode = notify === 'all' ? 'mentions' : 'all';
+    saveNotifyMode(activeRoom, mode);
+    setRooms(prev => patchRoom(prev, activeRoom, () => ({ notify: mode })));
+  };
+
+  // Track the "@name" typed just before the cursor, for mention suggestions
+  const updateMentionQuery = (text, cursor) => {
+    const match = text.slice(0, cursor).match(/(^|[^\w])@([^@\n]{0,40})$/);
+    setMentionQuery(match ? { start: cursor - match[2].length - 1, query: match[2] } : null);
+    setMentionIndex(0);
+  };
+
+  // Replace the "@name" being typed with a complete mention of `name`
+  const completeMention = (name) => {
+    const { start, query } = mentionQuery;
+    const inserted = `@${name} `;
+    setCurrentMessage(currentMessage.slice(0, start) + inserted + currentMessage.slice(start + 1 + query.length));
+    setMentionQuery(null);
+    const cursor = start + inserted.length;
+    requestAnimationFrame(() => {
+      const composer = composerRef.current;
+      if (!composer) return;
+      composer.focus();
+      composer.setSelectionRange(cursor, cursor);
+    });
   };
 
-  // Send a text message to the room
-  const sendMessage = () => {
-    if (!currentMessage.trim()) return;
-    socket.emit('chatMessage', { roomName, user: username, text: currentMessage, avatar });
+  // Send a text message to the active room (queued while offline)
+  const sendMessage = async () => {
+    if (!currentMessage.trim() && pendingAttachments.length === 0) return;
+    if (isLocked) {
+      showToast("Unlock this room with its passphrase to send messages.");
+      return;
+    }
+    const room = activeRoom;
+    const text = currentMessage;
+    const payload = {
+      replyTo: replyingTo ? replyingTo._id : undefined,
+      attachments: pendingAttachments.map(a => a.id)
+    };
     setCurrentMessage("");
-    socket.emit('stopTyping', { roomName, username });
+    setMentionQuery(null);
+    setReplyingTo(null);
+    setPendingAttachments([]);
+    // Encrypted rooms only ever get ciphertext
+    Object.assign(payload, isEncrypted ? await encryptForRoom(room, text) : { text });
+    if (!connected) {
+      setRooms(prev => patchRoom(prev, room, r => ({ outbox: [...r.outbox, payload] })));
+      return;
+    }
+    // The server fills in our username and avatar from the joined session
+    socket.emit('chatMessage', { ...payload, roomName: room });
+    stopTyping(room);
+  };
+
+  // Upload a file chosen in the composer; it is sent with the next message
+  const handleAttachmentChange = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    if (file.size > MAX_ATTACHMENT_SIZE) {
+      showToast('File is too large. Please select a file under 10MB.');
+      return;
+    }
+    setUploading(true);
+    try {
+      const response = await fetch(`${SERVER_URL}/attachments`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': file.type || 'application/octet-stream',
+          'X-File-Name': encodeURIComponent(file.name),
+          'X-Upload-Token': await getUploadToken('attachment')
+        },
+        body: file
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        showToast(result.error || 'Upload failed.');
+        return;
+      }
+      setPendingAttachments(prev => [...prev, result]);
+    } catch (err) {
+      showToast('Upload failed. Please try again.');
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  // Scroll a rendered message into view and highlight it briefly. Returns
+  // false when the message isn't rendered (not loaded).
+  const showMessage = useCallback((messageId) => {
+    const element = messageRefs.current[messageId];
+    if (!element) return false;
+    element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    setHighlightedId(messageId);
+    setTimeout(() => setHighlightedId(prev => (prev === messageId ? null : prev)), 2000);
+    return true;
+  }, []);
+
+  // Scroll to a message and flash it; messages that aren't loaded (older
+  // history) are shown in the thread view instead
+  const jumpToMessage = (messageId) => {
+    if (!showMessage(messageId)) openThread(messageId);
+  };
+
+  // Search the active room's stored messages
+  const runSearch = () => {
+    const query = searchQuery.trim();
+    if (!query && !searchFilters.from.trim()) {
+      setSearch(null);
+      return;
+    }
+    setSearch({ query, results: [], hasMore: false, loading: true });
+    socket.emit('searchMessages', {
+      roomName: activeRoom,
+      query,
+      from: searchFilters.from,
+      // Date inputs select whole days in local time
+      after: searchFilters.after ? new Date(`${searchFilters.after}T00:00:00`).toISOString() : undefined,
+      before: searchFilters.before ? new Date(`${searchFilters.before}T23:59:59.999`).toISOString() : undefined
+    });
+  };
+
+  // Close the search results and forget the search
+  const clearSearch = () => {
+    setSearch(null);
+    setSearchQuery("");
+    setPendingJump(null);
+  };
+
+  // Jump to a search result, loading older history first if needed
+  const showSearchResult = (messageId) => {
+    if (!showMessage(messageId)) setPendingJump(messageId);
+  };
+
+  // Load older history a page at a time until the search result we're
+  // jumping to is rendered. If it's older than everything the server still
+  // has, show it in the thread view instead.
+  useEffect(() => {
+    if (!pendingJump) return;
+    if (showMessage(pendingJump)) {
+      setPendingJump(null);
+    } else if (!hasMoreHistory || messages.length === 0) {
+      socket.emit('getThread', { roomName: activeRoom, messageId: pendingJump });
+      setPendingJump(null);
+    } else if (!loadingOlderRef.current) {
+      loadingOlderRef.current = true;
+      socket.emit('loadOlderMessages', { roomName: activeRoom, before: messages[0]._id });
+    }
+  }, [pendingJump, messages, hasMoreHistory, activeRoom, showMessage]);
+
+  // Ask the server for a message and all replies to it
+  const openThread = (messageId) => {
+    socket.emit('getThread', { roomName: activeRoom, messageId });
+  };
+
+  // Save the edited text of one of our messages
+  const saveEdit = async () => {
+    if (!editing || !editing.text.trim()) return;
+    const { id, text } = editing;
+    setEditing(null);
+    const body = isEncrypted ? await encryptForRoom(activeRoom, text) : { text };
+    socket.emit('editMessage', { roomName: activeRoom, messageId: id, ...body });
+  };
+
+  // Delete a message: one of ours, or anyone's as a moderator (everyone sees
+  // a "message deleted" placeholder)
+  const deleteMessage = (messageId) => {
+    if (!window.confirm("Delete this message?")) return;
+    socket.emit('deleteMessage', { roomName: activeRoom, messageId });
+  };
+
+  // Take a moderation action (kick, mute, ban, ...) against a user in the active room
+  const moderate = (action, target) => {
+    const confirmations = {
+      kick: `Remove ${target} from the room?`,
+      ban: `Ban ${target} from the room? They won't be able to rejoin.`
+    };
+    if (confirmations[action] && !window.confirm(confirmations[action])) return;
+    socket.emit('moderate', { roomName: activeRoom, action, username: target });
+    setModeratingUser(null);
+  };
+
+  // Add our reaction with this emoji, or remove it if we already reacted with it
+  const toggleReaction = (msg, emoji) => {
+    const reaction = (msg.reactions || []).find(r => r.emoji === emoji);
+    const event = reaction && reaction.users.includes(username) ? 'removeReaction' : 'addReaction';
+    socket.emit(event, { roomName: activeRoom, messageId: msg._id, emoji });
+    setReactionPickerFor(null);
   };
 
   // Scroll to the join form when "Get Started Now" is clicked
@@ -296,6 +1543,37 @@ function App() {
       backgroundColor: darkMode ? '#333' : '#fff',
       color: darkMode ? '#e0e0e0' : '#333'
     },
+    // Multi-line message composer and editor
+    messageInput: {
+      flex: 1,
+      resize: 'none',
+      fontFamily: 'inherit'
+    },
+    // "Join a room" / "Create a room" switch above the join form
+    joinModeTabs: {
+      display: 'flex',
+      gap: 8,
+      marginTop: 4
+    },
+    joinModeTab: {
+      flex: 1,
+      padding: 8,
+      cursor: 'pointer',
+      border: '2px solid #a8edea',
+      borderRadius: 6,
+      background: 'transparent',
+      color: 'inherit',
+      fontSize: '0.95rem'
+    },
+    joinModeTabActive: {
+      borderColor: '#FF758C',
+      backgroundColor: darkMode ? '#4a2a33' : '#ffe4ea'
+    },
+    // Error message shown in the join form
+    joinError: {
+      color: '#d9534f',
+      fontSize: '0.9rem'
+    },
     // Label for file input styled as a button
     fileLabel: {
       cursor: 'pointer',
@@ -331,9 +1609,57 @@ function App() {
       boxShadow: '0 2px 8px rgba(0,0,0,0.2)',
       backgroundColor: darkMode ? '#1e1e1e' : '#fff'
     },
-    // Left panel for the user list
-    userPanel: {
-      width: '20%',
+    // Left sidebar listing the joined rooms
+    roomSidebar: {
+      width: '18%',
+      borderRight: '1px solid #ccc',
+      padding: 10,
+      overflowY: 'auto',
+      display: 'flex',
+      flexDirection: 'column',
+      gap: 4,
+      backgroundColor: darkMode ? '#242424' : '#f4f4f4'
+    },
+    // Each room entry in the sidebar
+    roomItem: {
+      padding: 8,
+      borderRadius: 4,
+      cursor: 'pointer',
+      display: 'flex',
+      alignItems: 'center',
+      gap: 6,
+      backgroundColor: darkMode ? '#3a3a3a' : '#fff'
+    },
+    roomItemActive: {
+      border: '2px solid #FF758C'
+    },
+    roomItemName: {
+      flex: 1,
+      overflow: 'hidden',
+      textOverflow: 'ellipsis',
+      whiteSpace: 'nowrap'
+    },
+    // Unread message counter next to a room name
+    unreadBadge: {
+      minWidth: 20,
+      padding: '0 6px',
+      borderRadius: 10,
+      backgroundColor: '#FF758C',
+      color: '#fff',
+      fontSize: '0.75rem',
+      textAlign: 'center'
+    },
+    // Small "×" button to leave a room
+    leaveButton: {
+      border: 'none',
+      background: 'transparent',
+      cursor: 'pointer',
+      color: darkMode ? '#ccc' : '#888',
+      fontSize: '1rem'
+    },
+    // Panel for the user list of the active room
+    userPanel: {
+      width: '18%',
       borderRight: '1px solid #ccc',
       padding: 10,
       overflowY: 'auto',
@@ -349,6 +1675,50 @@ function App() {
       display: 'flex',
       alignItems: 'center'
     },
+    // Online/away/offline marker in front of a user
+    statusDot: {
+      flexShrink: 0,
+      width: 10,
+      height: 10,
+      borderRadius: '50%',
+      marginRight: 6
+    },
+    // Users who have left the room, listed for a while with when they were last seen
+    offlineUser: {
+      opacity: 0.6
+    },
+    lastSeen: {
+      fontSize: '0.75rem',
+      color: darkMode ? '#aaa' : '#777'
+    },
+    // Other users open a direct conversation when clicked
+    userItemClickable: {
+      cursor: 'pointer'
+    },
+    userItemActive: {
+      border: '2px solid #FF758C'
+    },
+    // Owner/moderator/muted markers next to a user's name
+    roleBadge: {
+      marginLeft: 4,
+      fontSize: '0.85rem'
+    },
+    // Opens a user's moderation actions
+    moderateButton: {
+      marginLeft: 'auto',
+      padding: '0 6px',
+      cursor: 'pointer',
+      border: 'none',
+      background: 'transparent',
+      color: 'inherit',
+      fontSize: '0.9rem'
+    },
+    moderationActions: {
+      display: 'flex',
+      flexWrap: 'wrap',
+      gap: 4,
+      margin: '0 0 8px 8px'
+    },
     // Style for user avatar in the user panel
     userAvatar: {
       width: 30,
@@ -359,12 +1729,115 @@ function App() {
     },
     // Right panel for the chat area
     chatPanel: {
-      width: '80%',
+      flex: 1,
       display: 'flex',
       flexDirection: 'column',
       padding: 10,
       backgroundColor: darkMode ? '#121212' : '#fff'
     },
+    // Chat header with the room name and its retention policy
+    chatHeader: {
+      display: 'flex',
+      alignItems: 'center',
+      gap: 12
+    },
+    retentionBadge: {
+      fontSize: '0.8rem',
+      padding: '4px 8px',
+      borderRadius: 12,
+      backgroundColor: darkMode ? '#333' : '#eee',
+      color: darkMode ? '#ccc' : '#666'
+    },
+    // Passphrase prompt for an encrypted room we can't read yet
+    lockedBanner: {
+      display: 'flex',
+      flexWrap: 'wrap',
+      alignItems: 'center',
+      gap: 8,
+      padding: 10,
+      marginBottom: 8,
+      borderRadius: 8,
+      fontSize: '0.9rem',
+      backgroundColor: darkMode ? '#3a3320' : '#fff8e1',
+      color: darkMode ? '#f0d98c' : '#7a5d00'
+    },
+    // Search box in the chat header, its filters and the result list
+    searchBox: {
+      display: 'flex',
+      alignItems: 'center',
+      gap: 6
+    },
+    searchInput: {
+      marginTop: 0,
+      padding: '6px 10px',
+      fontSize: '0.9rem'
+    },
+    searchFilters: {
+      display: 'flex',
+      flexWrap: 'wrap',
+      alignItems: 'center',
+      gap: 12,
+      marginBottom: 8,
+      fontSize: '0.85rem'
+    },
+    searchResults: {
+      maxHeight: 280,
+      overflowY: 'auto',
+      marginBottom: 8,
+      padding: 8,
+      borderRadius: 6,
+      border: '1px solid #ccc',
+      display: 'flex',
+      flexDirection: 'column',
+      gap: 6,
+      backgroundColor: darkMode ? '#1e1e1e' : '#fafafa'
+    },
+    searchResult: {
+      padding: 6,
+      borderRadius: 6,
+      cursor: 'pointer',
+      fontSize: '0.9rem',
+      backgroundColor: darkMode ? '#2a2a2a' : '#fff'
+    },
+    searchResultText: {
+      whiteSpace: 'pre-wrap',
+      wordBreak: 'break-word'
+    },
+    searchMatch: {
+      padding: 0,
+      backgroundColor: darkMode ? '#7a5a00' : '#ffe58f',
+      color: 'inherit'
+    },
+    // Per-room choice between sounds for all messages or mentions only
+    notifyToggle: {
+      marginLeft: 8,
+      fontSize: '0.8rem',
+      padding: '4px 8px',
+      cursor: 'pointer',
+      border: '1px solid #ccc',
+      borderRadius: 12,
+      background: 'transparent',
+      color: 'inherit'
+    },
+    // Copies the room's invite link
+    inviteButton: {
+      marginLeft: 'auto',
+      fontSize: '0.8rem',
+      padding: '4px 8px',
+      cursor: 'pointer',
+      border: '1px solid #ccc',
+      borderRadius: 12,
+      background: 'transparent',
+      color: 'inherit'
+    },
+    // Moderation notices ("alice muted bob") between the messages
+    systemMessage: {
+      margin: '8px 0',
+      textAlign: 'center',
+      fontSize: '0.85rem',
+      fontStyle: 'italic',
+      color: darkMode ? '#aaa' : '#777'
+    },
     // Panel containing chat messages
     messagesPanel: {
       flex: 1,
@@ -408,12 +1881,296 @@ function App() {
       color: darkMode ? '#ccc' : '#888',
       marginLeft: 'auto'
     },
+    // "(edited)" marker and deleted-message placeholder
+    editedLabel: {
+      fontSize: '0.75rem',
+      color: darkMode ? '#aaa' : '#888'
+    },
+    deletedText: {
+      fontStyle: 'italic',
+      color: darkMode ? '#888' : '#999'
+    },
+    // Encrypted text we can't show (yet)
+    encryptionNotice: {
+      fontStyle: 'italic',
+      color: darkMode ? '#888' : '#999'
+    },
+    // Inline editor for one of our messages
+    editRow: {
+      display: 'flex',
+      alignItems: 'center',
+      gap: 6
+    },
+    // Small text buttons for message actions (edit, delete, ...)
+    messageActions: {
+      display: 'flex',
+      gap: 8,
+      marginTop: 4
+    },
+    messageAction: {
+      border: 'none',
+      background: 'transparent',
+      padding: 0,
+      cursor: 'pointer',
+      fontSize: '0.75rem',
+      color: darkMode ? '#FF9AAE' : '#FF758C'
+    },
+    // Attachments inside a message bubble
+    attachmentImage: {
+      display: 'block',
+      maxWidth: '100%',
+      maxHeight: 300,
+      marginTop: 6,
+      borderRadius: 6
+    },
+    attachmentLink: {
+      display: 'block',
+      marginTop: 6,
+      color: darkMode ? '#FF9AAE' : '#FF758C'
+    },
+    // Markdown inside a message: code, code blocks, links, lists, paragraphs
+    markdown: {
+      code: {
+        fontFamily: 'Menlo, Consolas, monospace',
+        fontSize: '0.85em',
+        padding: '1px 4px',
+        borderRadius: 4,
+        backgroundColor: darkMode ? '#1b1b1b' : '#ececec'
+      },
+      codeBlock: {
+        fontFamily: 'Menlo, Consolas, monospace',
+        fontSize: '0.85rem',
+        margin: '4px 0',
+        padding: 8,
+        borderRadius: 6,
+        overflowX: 'auto',
+        whiteSpace: 'pre',
+        backgroundColor: darkMode ? '#1b1b1b' : '#ececec'
+      },
+      link: {
+        color: darkMode ? '#FF9AAE' : '#FF758C',
+        wordBreak: 'break-all'
+      },
+      list: {
+        margin: '4px 0',
+        paddingLeft: 20
+      },
+      paragraph: {
+        margin: '2px 0'
+      },
+      mention: {
+        fontWeight: 'bold',
+        padding: '0 2px',
+        borderRadius: 3,
+        color: darkMode ? '#ffd27f' : '#b36b00',
+        backgroundColor: darkMode ? '#4a3d1f' : '#fff0cc'
+      }
+    },
+    // "@name" suggestions above the composer
+    mentionSuggestions: {
+      marginTop: 8,
+      borderRadius: 6,
+      overflow: 'hidden',
+      border: '1px solid #ccc',
+      backgroundColor: darkMode ? '#2a2a2a' : '#fff'
+    },
+    mentionSuggestion: {
+      padding: '4px 10px',
+      cursor: 'pointer',
+      fontSize: '0.9rem'
+    },
+    mentionSuggestionActive: {
+      backgroundColor: darkMode ? '#4a2a33' : '#ffe4ea'
+    },
+    // Preview card for a link in a message
+    linkPreview: {
+      display: 'block',
+      marginTop: 6,
+      padding: '6px 10px',
+      borderLeft: '3px solid #FF758C',
+      borderRadius: 4,
+      textDecoration: 'none',
+      color: 'inherit',
+      backgroundColor: darkMode ? '#333' : '#fff'
+    },
+    linkPreviewSite: {
+      fontSize: '0.75rem',
+      color: darkMode ? '#aaa' : '#888'
+    },
+    linkPreviewDescription: {
+      fontSize: '0.85rem',
+      color: darkMode ? '#ccc' : '#555'
+    },
+    // Paperclip button next to the message input
+    attachButton: {
+      cursor: 'pointer',
+      padding: '10px',
+      marginTop: 4,
+      marginRight: 6,
+      fontSize: '1.1rem'
+    },
+    // Reaction chips under a message
+    reactionRow: {
+      display: 'flex',
+      flexWrap: 'wrap',
+      gap: 4,
+      marginTop: 4
+    },
+    reactionChip: {
+      padding: '2px 8px',
+      borderRadius: 12,
+      border: '1px solid ' + (darkMode ? '#555' : '#ddd'),
+      backgroundColor: darkMode ? '#333' : '#fff',
+      color: darkMode ? '#e0e0e0' : '#333',
+      cursor: 'pointer',
+      fontSize: '0.85rem'
+    },
+    reactionChipMine: {
+      borderColor: '#FF758C',
+      backgroundColor: darkMode ? '#4a2a33' : '#ffe4ea'
+    },
+    // Message that mentions us
+    mentionedMessage: {
+      borderLeft: '4px solid #f0ad4e',
+      backgroundColor: darkMode ? '#3d3420' : '#fff6e0'
+    },
+    // Message flashed after jumping to it
+    highlightedMessage: {
+      boxShadow: '0 0 0 2px #FF758C'
+    },
+    // Quoted parent shown at the top of a reply
+    replyQuote: {
+      borderLeft: '3px solid #FF758C',
+      padding: '2px 8px',
+      marginBottom: 4,
+      fontSize: '0.85rem',
+      cursor: 'pointer',
+      overflow: 'hidden',
+      textOverflow: 'ellipsis',
+      whiteSpace: 'nowrap',
+      color: darkMode ? '#bbb' : '#666'
+    },
+    // "Replying to ..." bar above the message input
+    replyBar: {
+      display: 'flex',
+      alignItems: 'center',
+      marginTop: 8,
+      padding: '4px 8px',
+      borderLeft: '3px solid #FF758C',
+      backgroundColor: darkMode ? '#2a2a2a' : '#f4f4f4'
+    },
+    replyBarText: {
+      flex: 1,
+      fontSize: '0.85rem',
+      overflow: 'hidden',
+      textOverflow: 'ellipsis',
+      whiteSpace: 'nowrap'
+    },
+    // Right-hand panel listing a thread
+    threadPanel: {
+      width: '25%',
+      borderLeft: '1px solid #ccc',
+      padding: 10,
+      overflowY: 'auto',
+      display: 'flex',
+      flexDirection: 'column',
+      gap: 8,
+      backgroundColor: darkMode ? '#242424' : '#fafafa'
+    },
+    threadHeader: {
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'space-between'
+    },
+    threadItem: {
+      padding: 8,
+      borderRadius: 6,
+      fontSize: '0.9rem',
+      cursor: 'pointer',
+      backgroundColor: darkMode ? '#2a2a2a' : '#fff'
+    },
+    threadParent: {
+      borderLeft: '3px solid #FF758C'
+    },
+    // Our own messages in a direct conversation
+    directOwnItem: {
+      backgroundColor: darkMode ? '#3d2a30' : '#FFE8EE'
+    },
+    directComposer: {
+      display: 'flex',
+      gap: 6,
+      marginTop: 'auto'
+    },
     // Read receipt text styling
     readReceipt: {
       fontSize: '0.75rem',
       color: darkMode ? '#ccc' : '#888',
       marginTop: 4
     },
+    // Stack of small avatars of the users who have seen a message
+    seenBy: {
+      position: 'relative',
+      display: 'flex',
+      justifyContent: 'flex-end',
+      alignItems: 'center',
+      marginTop: 4
+    },
+    seenByAvatar: {
+      width: 18,
+      height: 18,
+      marginLeft: -5,
+      borderRadius: '50%',
+      objectFit: 'cover',
+      border: `2px solid ${darkMode ? '#2a2a2a' : '#F8F8F8'}`,
+      display: 'inline-flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      fontSize: '0.6rem',
+      fontWeight: 'bold',
+      color: '#fff',
+      backgroundColor: '#FF758C'
+    },
+    seenByMore: {
+      marginLeft: 4,
+      fontSize: '0.7rem',
+      color: darkMode ? '#ccc' : '#888'
+    },
+    // List of readers shown while hovering the avatar stack
+    seenByList: {
+      position: 'absolute',
+      right: 0,
+      bottom: '100%',
+      zIndex: 1,
+      minWidth: 120,
+      maxHeight: 200,
+      overflowY: 'auto',
+      padding: '6px 10px',
+      borderRadius: 6,
+      fontSize: '0.8rem',
+      boxShadow: '0 2px 8px rgba(0,0,0,0.2)',
+      backgroundColor: darkMode ? '#1e1e1e' : '#fff'
+    },
+    // Hint shown at the top of the messages panel while older history exists
+    historyNotice: {
+      textAlign: 'center',
+      fontSize: '0.8rem',
+      color: darkMode ? '#aaa' : '#888'
+    },
+    // Banner shown above the messages while disconnected
+    offlineBanner: {
+      padding: 8,
+      marginBottom: 8,
+      borderRadius: 6,
+      fontSize: '0.9rem',
+      textAlign: 'center',
+      backgroundColor: darkMode ? '#5a4a1a' : '#fff3cd',
+      color: darkMode ? '#ffe8a1' : '#856404'
+    },
+    // A message waiting in the offline queue
+    queuedMessage: {
+      opacity: 0.6,
+      alignSelf: 'flex-end'
+    },
     // Row containing the text input and send button
     inputRow: {
       display: 'flex',
@@ -436,11 +2193,38 @@ function App() {
       marginBottom: 20,
       color: darkMode ? '#aaa' : '#555'
     },
-    // Style for the dark mode toggle button
-    darkModeButton: {
+    // Buttons in the top right corner (settings and dark mode)
+    topButtons: {
       position: 'absolute',
       top: 10,
       right: 10,
+      display: 'flex',
+      gap: 8,
+      zIndex: 2
+    },
+    // Toasts in the bottom right corner
+    toastStack: {
+      position: 'fixed',
+      bottom: 20,
+      right: 20,
+      display: 'flex',
+      flexDirection: 'column',
+      gap: 8,
+      maxWidth: 360,
+      zIndex: 10
+    },
+    toast: {
+      padding: '10px 14px',
+      borderRadius: 6,
+      cursor: 'pointer',
+      backgroundColor: darkMode ? '#5a2a33' : '#ffe4ea',
+      border: '1px solid #FF758C',
+      color: darkMode ? '#fff' : '#333',
+      boxShadow: '0 2px 8px rgba(0,0,0,0.2)',
+      fontSize: '0.9rem'
+    },
+    // Style for the dark mode toggle button
+    darkModeButton: {
       padding: '8px 12px',
       cursor: 'pointer',
       border: 'none',
@@ -448,6 +2232,33 @@ function App() {
       backgroundColor: '#FF758C',
       color: '#fff',
       fontSize: '1rem'
+    },
+    // Drop-down panel with the notification settings
+    settingsPanel: {
+      position: 'absolute',
+      top: 54,
+      right: 10,
+      width: 320,
+      padding: 16,
+      borderRadius: 8,
+      zIndex: 2,
+      boxShadow: '0 4px 12px rgba(0,0,0,0.2)',
+      backgroundColor: darkMode ? '#1e1e1e' : '#fff'
+    },
+    settingsTitle: {
+      marginTop: 0
+    },
+    settingsRow: {
+      display: 'flex',
+      alignItems: 'center',
+      gap: 8,
+      marginBottom: 8,
+      cursor: 'pointer'
+    },
+    settingsHint: {
+      fontSize: '0.8rem',
+      marginTop: 4,
+      color: darkMode ? '#aaa' : '#888'
     }
   };
 
@@ -456,10 +2267,58 @@ function App() {
   // ------------------------
   return (
     <div style={themeStyles.container}>
-      {/* Dark Mode Toggle Button with Sun/Moon icons */}
-      <button style={themeStyles.darkModeButton} onClick={toggleDarkMode}>
-        {darkMode ? '🌞 Light Mode' : '🌜 Dark Mode'}
-      </button>
+      {/* Toasts, newest at the bottom; click one to dismiss it */}
+      {toasts.length > 0 && (
+        <div style={themeStyles.toastStack} role="status">
+          {toasts.map(toast => (
+            <div key={toast.id} style={themeStyles.toast} onClick={() => dismissToast(toast.id)}>
+              {toast.message}
+            </div>
+          ))}
+        </div>
+      )}
+      <div style={themeStyles.topButtons}>
+        {/* Sound and desktop notification settings */}
+        <button style={themeStyles.darkModeButton} onClick={() => setSettingsOpen(!settingsOpen)}>
+          ⚙️ Settings
+        </button>
+        {/* Dark Mode Toggle Button with Sun/Moon icons */}
+        <button style={themeStyles.darkModeButton} onClick={toggleDarkMode}>
+          {darkMode ? '🌞 Light Mode' : '🌜 Dark Mode'}
+        </button>
+      </div>
+      {settingsOpen && (
+        <div style={themeStyles.settingsPanel}>
+          <h3 style={themeStyles.settingsTitle}>Notifications</h3>
+          <label style={themeStyles.settingsRow}>
+            <input
+              type="checkbox"
+              checked={settings.sound}
+              onChange={() => updateSettings({ sound: !settings.sound })}
+            />
+            Play a sound for new messages
+          </label>
+          <label style={themeStyles.settingsRow}>
+            <input
+              type="checkbox"
+              checked={settings.desktopNotifications}
+              disabled={notificationPermission === 'denied'}
+              onChange={toggleDesktopNotifications}
+            />
+            Desktop notifications while YChat is in the background
+          </label>
+          {notificationPermission === 'denied' && (
+            <div style={themeStyles.settingsHint}>
+              {notificationsSupported
+                ? 'Notifications are blocked for this site in your browser settings.'
+                : "This browser doesn't support desktop notifications."}
+            </div>
+          )}
+          <div style={themeStyles.settingsHint}>
+            Use the 🔔 button in a room's header to be notified only when you're mentioned.
+          </div>
+        </div>
+      )}
 
       {!isJoined ? (
         // Join (Landing) Page with Hero Section and Animated Tagline
@@ -473,23 +2332,95 @@ function App() {
               </p>
             </div>
             {/* Profile picture preview */}
-            {avatar && <img src={avatar} alt="Avatar Preview" style={themeStyles.avatarPreview} />}
+            {avatar && <img src={avatarSrc(avatar.url)} alt="Avatar Preview" style={themeStyles.avatarPreview} />}
             {/* Username input field */}
             <input
               style={themeStyles.input}
               type="text"
               placeholder="Username"
+              maxLength={MAX_USERNAME_LENGTH}
               value={username}
               onChange={(e) => setUsername(e.target.value)}
             />
+            {/* Join an existing room, or create a new one */}
+            <div style={themeStyles.joinModeTabs}>
+              {[['join', 'Join a room'], ['create', 'Create a room']].map(([mode, label]) => (
+                <button
+                  key={mode}
+                  style={joinMode === mode ? { ...themeStyles.joinModeTab, ...themeStyles.joinModeTabActive } : themeStyles.joinModeTab}
+                  onClick={() => {
+                    setJoinMode(mode);
+                    setJoinError(null);
+                  }}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
             {/* Room name input field */}
             <input
               style={themeStyles.input}
               type="text"
               placeholder="Room Name"
+              maxLength={MAX_ROOM_NAME_LENGTH}
               value={roomName}
               onChange={(e) => setRoomName(e.target.value)}
             />
+            {/* Retention policy (also used when joining a room nobody has created yet) */}
+            <select
+              style={themeStyles.input}
+              value={retention}
+              onChange={(e) => setRetention(e.target.value)}
+            >
+              {Object.entries(RETENTION_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+            {/* Who may join the new room */}
+            {joinMode === 'create' && (
+              <select style={themeStyles.input} value={access} onChange={(e) => setAccess(e.target.value)}>
+                {Object.entries(ACCESS_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            )}
+            {/* Room password: chosen when creating, or asked for by the server */}
+            {((joinMode === 'create' && access === 'password') ||
+              (joinMode === 'join' && joinError && PASSWORD_ERRORS.includes(joinError.reason))) && (
+              <input
+                style={themeStyles.input}
+                type="password"
+                placeholder="Room Password"
+                value={roomPassword}
+                onChange={(e) => setRoomPassword(e.target.value)}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter') handleJoinRoom();
+                }}
+              />
+            )}
+            {/* End-to-end encryption for the new room, and how members get its key */}
+            {joinMode === 'create' && e2eSupported && (
+              <label style={themeStyles.settingsRow}>
+                <input type="checkbox" checked={encrypted} onChange={() => setEncrypted(!encrypted)} />
+                🔐 End-to-end encrypted
+              </label>
+            )}
+            {joinMode === 'create' && encrypted && (
+              <select style={themeStyles.input} value={keyMode} onChange={(e) => setKeyMode(e.target.value)}>
+                {Object.entries(KEY_MODE_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            )}
+            {joinMode === 'create' && encrypted && keyMode === 'passphrase' && (
+              <input
+                style={themeStyles.input}
+                type="password"
+                placeholder={`Encryption passphrase (at least ${MIN_PASSPHRASE_LENGTH} characters)`}
+                value={passphrase}
+                onChange={(e) => setPassphrase(e.target.value)}
+              />
+            )}
             {/* Label for profile picture upload */}
             <label style={themeStyles.fileLabel}>
               Choose Profile Picture
@@ -500,8 +2431,10 @@ function App() {
                 onChange={handleAvatarChange}
               />
             </label>
+            {/* Reason the server rejected the last join attempt */}
+            {joinError && <div style={themeStyles.joinError}>{joinError.message}</div>}
             <button style={themeStyles.button} onClick={handleJoinRoom}>
-              Join Room
+              {joinMode === 'create' ? 'Create Room' : 'Join Room'}
             </button>
           </div>
           {/* Footer description section with a call-to-action */}
@@ -519,38 +2452,515 @@ function App() {
       ) : (
         // Chat Room Page
         <div style={themeStyles.chatContainer}>
-          {/* Left Panel: Users List */}
-          <div style={themeStyles.userPanel}>
-            <h3>Users ({usersList.length})</h3>
-            {usersList.map((user, idx) => (
-              <div key={idx} style={themeStyles.userItem}>
-                {user.avatar && (
-                  <img src={user.avatar} alt={user.username} style={themeStyles.userAvatar} />
-                )}
-                <span>{user.username}</span>
+          {/* Room Sidebar: joined rooms with unread counts */}
+          <div style={themeStyles.roomSidebar}>
+            <h3>Rooms</h3>
+            {Object.entries(rooms).map(([name, room]) => (
+              <div
+                key={name}
+                style={name === activeRoom ? { ...themeStyles.roomItem, ...themeStyles.roomItemActive } : themeStyles.roomItem}
+                onClick={() => switchRoom(name)}
+              >
+                <span style={themeStyles.roomItemName}>
+                  {room.settings && room.settings.encryption && <span title="End-to-end encrypted">🔐 </span>}
+                  {name}
+                </span>
+                {(() => {
+                  const { unread, mentions, direct: directCount } = unreadCounts(room, username);
+                  return (
+                    <>
+                      {directCount > 0 && <span style={themeStyles.unreadBadge} title="Direct messages">✉ {directCount}</span>}
+                      {mentions > 0 && <span style={themeStyles.unreadBadge} title="Mentions of you">@</span>}
+                      {unread > 0 && <span style={themeStyles.unreadBadge}>{unread}</span>}
+                    </>
+                  );
+                })()}
+                <button
+                  style={themeStyles.leaveButton}
+                  title={`Leave ${name}`}
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    leaveRoom(name);
+                  }}
+                >
+                  ×
+                </button>
               </div>
             ))}
+            <input
+              style={themeStyles.input}
+              type="text"
+              placeholder="Join another room"
+              maxLength={MAX_ROOM_NAME_LENGTH}
+              value={newRoomName}
+              onChange={(e) => setNewRoomName(e.target.value)}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter') {
+                  handleJoinAnotherRoom();
+                }
+              }}
+            />
+            {/* Password for a protected room, when the server asks for one */}
+            {joinError && PASSWORD_ERRORS.includes(joinError.reason) && (
+              <input
+                style={themeStyles.input}
+                type="password"
+                placeholder="Room Password"
+                value={roomPassword}
+                onChange={(e) => setRoomPassword(e.target.value)}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter') handleJoinAnotherRoom();
+                }}
+              />
+            )}
+            {joinError && <div style={themeStyles.joinError}>{joinError.message}</div>}
+          </div>
+          {/* Middle Panel: Users List */}
+          <div style={themeStyles.userPanel}>
+            <h3>Users ({presentCount})</h3>
+            {sortedUsers.map((user, idx) => {
+              const role = user.role || 'member';
+              const muted = (roomSettings.muted || []).includes(user.username) && role !== 'owner';
+              // Moderators act on users below their own role
+              const canModerateUser = user.username !== username && ROLE_RANKS[myRole] > ROLE_RANKS[role];
+              // Clicking another user opens our direct messages with them
+              const isOther = user.username !== username;
+              const directUnreadCount = isOther ? (directs[user.username] || EMPTY_DIRECT).unread : 0;
+              return (
+                <div key={idx}>
+                  <div
+                    style={{
+                      ...themeStyles.userItem,
+                      ...(user.status === 'offline' ? themeStyles.offlineUser : {}),
+                      ...(isOther ? themeStyles.userItemClickable : {}),
+                      ...(isOther && dmPeer === user.username ? themeStyles.userItemActive : {})
+                    }}
+                    title={isOther ? `Message ${user.username} privately` : undefined}
+                    onClick={isOther ? () => openDirect(user.username) : undefined}
+                  >
+                    <span
+                      style={{ ...themeStyles.statusDot, backgroundColor: STATUS_COLORS[user.status] || STATUS_COLORS.online }}
+                      title={user.status || 'online'}
+                    />
+                    {user.avatar && (
+                      <img src={avatarSrc(user.avatar)} alt={user.username} style={themeStyles.userAvatar} />
+                    )}
+                    <div>
+                      <div>{user.username}</div>
+                      {user.lastSeen && user.status !== 'online' && (
+                        <div style={themeStyles.lastSeen}>
+                          {user.status === 'away' ? 'Away · active' : 'Last seen'} {timeAgo(user.lastSeen)}
+                        </div>
+                      )}
+                    </div>
+                    {role === 'owner' && <span style={themeStyles.roleBadge} title="Room owner">👑</span>}
+                    {role === 'moderator' && <span style={themeStyles.roleBadge} title="Moderator">🛡️</span>}
+                    {muted && <span style={themeStyles.roleBadge} title="Muted">🔇</span>}
+                    {directUnreadCount > 0 && (
+                      <span style={{ ...themeStyles.unreadBadge, marginLeft: 6 }} title="Unread direct messages">
+                        {directUnreadCount}
+                      </span>
+                    )}
+                    {canModerateUser && (
+                      <button
+                        style={themeStyles.moderateButton}
+                        title="Moderate this user"
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          setModeratingUser(moderatingUser === user.username ? null : user.username);
+                        }}
+                      >
+                        ⋯
+                      </button>
+                    )}
+                  </div>
+                  {canModerateUser && moderatingUser === user.username && (
+                    <div style={themeStyles.moderationActions}>
+                      {user.status !== 'offline' && (
+                        <button style={themeStyles.messageAction} onClick={() => moderate('kick', user.username)}>Kick</button>
+                      )}
+                      <button
+                        style={themeStyles.messageAction}
+                        onClick={() => moderate(muted ? 'unmute' : 'mute', user.username)}
+                      >
+                        {muted ? 'Unmute' : 'Mute'}
+                      </button>
+                      <button style={themeStyles.messageAction} onClick={() => moderate('ban', user.username)}>Ban</button>
+                      {myRole === 'owner' && (
+                        <button
+                          style={themeStyles.messageAction}
+                          onClick={() => moderate(role === 'moderator' ? 'removeModerator' : 'addModerator', user.username)}
+                        >
+                          {role === 'moderator' ? 'Remove moderator' : 'Make moderator'}
+                        </button>
+                      )}
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+            {/* Banned users, for moderators to lift the ban */}
+            {isModerator && (roomSettings.banned || []).length > 0 && (
+              <>
+                <h4>Banned</h4>
+                {roomSettings.banned.map(name => (
+                  <div key={name} style={themeStyles.userItem}>
+                    <span>{name}</span>
+                    <button style={themeStyles.moderateButton} onClick={() => moderate('unban', name)}>Unban</button>
+                  </div>
+                ))}
+              </>
+            )}
           </div>
           {/* Right Panel: Chat */}
           <div style={themeStyles.chatPanel}>
-            <h2>Room: {roomName}</h2>
-            <div style={themeStyles.messagesPanel} ref={messagesPanelRef}>
-              {messages.map((msg, idx) => (
-                <div key={msg._id || idx} style={themeStyles.messageItem}>
+            <div style={themeStyles.chatHeader}>
+              <h2>Room: {activeRoom}</h2>
+              {roomSettings && (
+                <span style={themeStyles.retentionBadge}>{RETENTION_LABELS[roomSettings.retention]}</span>
+              )}
+              {roomSettings && roomSettings.access !== 'open' && (
+                <span style={themeStyles.retentionBadge}>
+                  {roomSettings.access === 'password' ? '🔒 Password protected' : '🔒 Invite only'}
+                </span>
+              )}
+              {isEncrypted && (
+                <span style={themeStyles.retentionBadge} title="Only members with the room key can read messages">
+                  🔐 End-to-end encrypted
+                </span>
+              )}
+              <button style={themeStyles.inviteButton} onClick={copyInviteLink} title="Copy a link to this room">
+                {copiedInvite ? '✅ Copied!' : '🔗 Invite link'}
+              </button>
+              <button
+                style={themeStyles.notifyToggle}
+                title="Choose which messages in this room play a sound"
+                onClick={toggleNotifyMode}
+              >
+                {notify === 'all' ? '🔔 All messages' : '🔕 Mentions only'}
+              </button>
+              {/* Search box (ephemeral rooms have no stored messages to search, and
+                  the server can't read the text of encrypted rooms) */}
+              {roomSettings && roomSettings.retention !== 'ephemeral' && (
+                <div style={themeStyles.searchBox}>
+                  <input
+                    style={{ ...themeStyles.input, ...themeStyles.searchInput }}
+                    type="search"
+                    placeholder={isEncrypted ? "🔍 Use Filters to search by sender or date" : "🔍 Search messages"}
+                    disabled={isEncrypted}
+                    value={searchQuery}
+                    onChange={(e) => setSearchQuery(e.target.value)}
+                    onKeyDown={(e) => {
+                      if (e.key === 'Enter') runSearch();
+                      if (e.key === 'Escape') clearSearch();
+                    }}
+                  />
+                  <button style={themeStyles.messageAction} onClick={() => setShowSearchFilters(!showSearchFilters)}>
+                    Filters
+                  </button>
+                </div>
+              )}
+            </div>
+            {/* Search filters: sender and date range */}
+            {showSearchFilters && roomSettings && roomSettings.retention !== 'ephemeral' && (
+              <div style={themeStyles.searchFilters}>
+                <label>
+                  From{' '}
+                  <input
+                    style={themeStyles.input}
+                    list="search-senders"
+                    placeholder="Anyone"
+                    value={searchFilters.from}
+                    onChange={(e) => setSearchFilters({ ...searchFilters, from: e.target.value })}
+                  />
+                  <datalist id="search-senders">
+                    {usersList.map(user => <option key={user.username} value={user.username} />)}
+                  </datalist>
+                </label>
+                <label>
+                  After{' '}
+                  <input
+                    style={themeStyles.input}
+                    type="date"
+                    value={searchFilters.after}
+                    onChange={(e) => setSearchFilters({ ...searchFilters, after: e.target.value })}
+                  />
+                </label>
+                <label>
+                  Before{' '}
+                  <input
+                    style={themeStyles.input}
+                    type="date"
+                    value={searchFilters.before}
+                    onChange={(e) => setSearchFilters({ ...searchFilters, before: e.target.value })}
+                  />
+                </label>
+                <button style={themeStyles.messageAction} onClick={runSearch}>Search</button>
+              </div>
+            )}
+            {/* Encrypted room we don't have the key for yet */}
+            {isLocked && (
+              <div style={themeStyles.lockedBanner}>
+                {roomSettings.encryption.mode === 'passphrase' ? (
+                  <>
+                    <span>🔐 Enter this room's passphrase to read and send messages.</span>
+                    <input
+                      style={themeStyles.input}
+                      type="password"
+                      placeholder="Passphrase"
+                      value={passphrase}
+                      onChange={(e) => setPassphrase(e.target.value)}
+                      onKeyDown={(e) => {
+                        if (e.key === 'Enter') unlockRoom();
+                      }}
+                    />
+                    <button style={themeStyles.button} onClick={unlockRoom} disabled={!passphrase}>Unlock</button>
+                  </>
+                ) : (
+                  <span>🔐 This room's key is in its invite link. Open the full link a member shared to read and send messages.</span>
+                )}
+              </div>
+            )}
+            {/* Search results; click one to jump to it */}
+            {search && (
+              <div style={themeStyles.searchResults}>
+                <div style={themeStyles.threadHeader}>
+                  <strong>
+                    {search.loading
+                      ? 'Searching…'
+                      : `${search.results.length}${search.hasMore ? '+' : ''} result${search.results.length === 1 ? '' : 's'}`}
+                  </strong>
+                  <button style={themeStyles.leaveButton} onClick={clearSearch}>×</button>
+                </div>
+                {search.results.map(result => (
+                  <div key={result._id} style={themeStyles.searchResult} onClick={() => showSearchResult(result._id)}>
+                    <div style={themeStyles.messageHeader}>
+                      <strong>{result.user}</strong>
+                      <div style={themeStyles.messageTime}>{timeAgo(result.createdAt)}</div>
+                    </div>
+                    <div style={themeStyles.searchResultText}>
+                      {highlightTerms(
+                        (text => text.length > 200 ? `${text.slice(0, 200)}…` : text)(shownText(result)),
+                        search.query,
+                        themeStyles.searchMatch
+                      )}
+                    </div>
+                  </div>
+                ))}
+                {search.hasMore && (
+                  <div style={themeStyles.historyNotice}>Showing the newest matches – refine the search to see others</div>
+                )}
+              </div>
+            )}
+            {/* Connection banner while the socket is down */}
+            {!connected && (
+              <div style={themeStyles.offlineBanner}>
+                Connection lost – reconnecting… Messages you send now will be delivered once you're back online.
+              </div>
+            )}
+            <div style={themeStyles.messagesPanel} ref={messagesPanelRef} onScroll={handleMessagesScroll}>
+              {hasMoreHistory && (
+                <div style={themeStyles.historyNotice}>Scroll up to load older messages</div>
+              )}
+              {messages.map((msg, idx) => (msg.system ? (
+                // Moderation notice posted by the server
+                <div
+                  key={msg._id || idx}
+                  data-message-id={msg._id}
+                  ref={(el) => { messageRefs.current[msg._id] = el; }}
+                  style={themeStyles.systemMessage}
+                >
+                  {msg.text} · {timeAgo(msg.createdAt)}
+                </div>
+              ) : (
+                <div
+                  key={msg._id || idx}
+                  data-message-id={msg._id}
+                  ref={(el) => { messageRefs.current[msg._id] = el; }}
+                  style={{
+                    ...themeStyles.messageItem,
+                    ...(msg.user !== username && (msg.mentions || []).includes(username) ? themeStyles.mentionedMessage : {}),
+                    ...(msg._id === highlightedId ? themeStyles.highlightedMessage : {})
+                  }}
+                >
                   <div style={themeStyles.messageHeader}>
                     {msg.avatar && (
-                      <img src={msg.avatar} alt={msg.user} style={themeStyles.messageAvatar} />
+                      <img src={avatarSrc(msg.avatar)} alt={msg.user} style={themeStyles.messageAvatar} />
                     )}
                     <strong>{msg.user}</strong>
                     <div style={themeStyles.messageTime}>{timeAgo(msg.createdAt)}</div>
                   </div>
-                  {/* Since image sending is removed, we render only text messages */}
-                  <div>{msg.text}</div>
-                  {msg.readBy && msg.readBy.length > 0 && (
-                    <div style={themeStyles.readReceipt}>
-                      Read by: {msg.readBy.join(', ')}
+                  {/* Quoted parent of a reply; click to jump to it */}
+                  {msg.replyTo && (
+                    <div style={themeStyles.replyQuote} onClick={() => jumpToMessage(msg.replyTo)}>
+                      {(() => {
+                        const parent = messages.find(m => m._id === msg.replyTo);
+                        const preview = msg.replyPreview || { user: '', text: '' };
+                        const quoted = parent || preview;
+                        const quote = { user: quoted.user, text: quoted.deleted ? 'This message was deleted' : shownText(quoted) };
+                        // Encrypted previews carry the whole parent, so shorten them here
+                        const text = quote.text.length > 140 ? `${quote.text.slice(0, 140)}…` : quote.text;
+                        return <><strong>{quote.user}</strong>: {text}</>;
+                      })()}
+                    </div>
+                  )}
+                  {/* Message text, the inline editor, or a placeholder for deleted messages */}
+                  {msg.deleted ? (
+                    <div style={themeStyles.deletedText}>
+                      {msg.deletedBy ? `This message was deleted by ${msg.deletedBy}` : 'This message was deleted'}
+                    </div>
+                  ) : editing && editing.id === msg._id ? (
+                    <div style={themeStyles.editRow}>
+                      <textarea
+                        style={{ ...themeStyles.input, ...themeStyles.messageInput }}
+                        rows={Math.min(editing.text.split('\n').length, 6)}
+                        maxLength={MAX_MESSAGE_LENGTH}
+                        value={editing.text}
+                        autoFocus
+                        onChange={(e) => setEditing({ ...editing, text: e.target.value })}
+                        onKeyDown={(e) => {
+                          if (e.key === 'Enter' && !e.shiftKey) {
+                            e.preventDefault();
+                            saveEdit();
+                          }
+                          if (e.key === 'Escape') setEditing(null);
+                        }}
+                      />
+                      <button style={themeStyles.messageAction} onClick={saveEdit}>Save</button>
+                      <button style={themeStyles.messageAction} onClick={() => setEditing(null)}>Cancel</button>
+                    </div>
+                  ) : (
+                    <div>
+                      {renderMessageText(msg, msg.mentions)}
+                      {msg.editedAt && <span style={themeStyles.editedLabel}>(edited)</span>}
+                    </div>
+                  )}
+                  {/* Previews of linked pages, added by the server shortly after sending */}
+                  {!msg.deleted && msg.linkPreviews && msg.linkPreviews.map(preview => (
+                    <a
+                      key={preview.url}
+                      href={preview.url}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      style={themeStyles.linkPreview}
+                    >
+                      <div style={themeStyles.linkPreviewSite}>{preview.siteName}</div>
+                      <strong>{preview.title}</strong>
+                      {preview.description && (
+                        <div style={themeStyles.linkPreviewDescription}>{preview.description}</div>
+                      )}
+                    </a>
+                  ))}
+                  {/* Attachments: images inline, other files as download links */}
+                  {!msg.deleted && msg.attachments && msg.attachments.map(attachment => (
+                    attachment.type.startsWith('image/') ? (
+                      <a key={attachment.id} href={attachmentUrl(attachment)} target="_blank" rel="noopener noreferrer">
+                        <img src={attachmentUrl(attachment)} alt={attachment.name} style={themeStyles.attachmentImage} />
+                      </a>
+                    ) : (
+                      <a
+                        key={attachment.id}
+                        href={attachmentUrl(attachment)}
+                        download={attachment.name}
+                        style={themeStyles.attachmentLink}
+                      >
+                        📎 {attachment.name} ({formatBytes(attachment.size)})
+                      </a>
+                    )
+                  ))}
+                  {/* Reaction chips with counts (ours highlighted); click to toggle */}
+                  {!msg.deleted && msg.reactions && msg.reactions.length > 0 && (
+                    <div style={themeStyles.reactionRow}>
+                      {msg.reactions.map(reaction => (
+                        <button
+                          key={reaction.emoji}
+                          title={reaction.users.join(', ')}
+                          style={reaction.users.includes(username)
+                            ? { ...themeStyles.reactionChip, ...themeStyles.reactionChipMine }
+                            : themeStyles.reactionChip}
+                          onClick={() => toggleReaction(msg, reaction.emoji)}
+                          disabled={isMutedHere}
+                        >
+                          {reaction.emoji} {reaction.count}
+                        </button>
+                      ))}
+                    </div>
+                  )}
+                  {reactionPickerFor === msg._id && (
+                    <div style={themeStyles.reactionRow}>
+                      {REACTION_EMOJIS.map(emoji => (
+                        <button key={emoji} style={themeStyles.reactionChip} onClick={() => toggleReaction(msg, emoji)}>
+                          {emoji}
+                        </button>
+                      ))}
+                    </div>
+                  )}
+                  {/* Reply/thread actions, plus edit/delete on our own stored messages */}
+                  {!msg.deleted && roomSettings.retention !== 'ephemeral' && !(editing && editing.id === msg._id) && (
+                    <div style={themeStyles.messageActions}>
+                      <button style={themeStyles.messageAction} onClick={() => setReplyingTo(msg)}>
+                        Reply
+                      </button>
+                      {!isMutedHere && (
+                        <button
+                          style={themeStyles.messageAction}
+                          onClick={() => setReactionPickerFor(reactionPickerFor === msg._id ? null : msg._id)}
+                        >
+                          React
+                        </button>
+                      )}
+                      {replyCounts[msg._id] > 0 && (
+                        <button style={themeStyles.messageAction} onClick={() => openThread(msg._id)}>
+                          💬 {replyCounts[msg._id]} {replyCounts[msg._id] === 1 ? 'reply' : 'replies'}
+                        </button>
+                      )}
+                      {msg.user === username && plainText(msg) !== null && !isMutedHere && (
+                        <button style={themeStyles.messageAction} onClick={() => setEditing({ id: msg._id, text: plainText(msg) })}>
+                          Edit
+                        </button>
+                      )}
+                      {(msg.user === username || isModerator) && (
+                        <button style={themeStyles.messageAction} onClick={() => deleteMessage(msg._id)}>
+                          Delete
+                        </button>
+                      )}
                     </div>
                   )}
+                  {/* Avatars of the users who have seen the message; hover for the full list */}
+                  {(() => {
+                    const readers = (msg.readBy || []).filter(u => u !== msg.user);
+                    if (readers.length === 0) return null;
+                    return (
+                      <div
+                        style={themeStyles.seenBy}
+                        onMouseEnter={() => setSeenByOpenFor(msg._id)}
+                        onMouseLeave={() => setSeenByOpenFor(null)}
+                      >
+                        {readers.slice(0, MAX_SEEN_BY_AVATARS).map(reader => (
+                          avatarByUser[reader]
+                            ? <img key={reader} src={avatarSrc(avatarByUser[reader])} alt={reader} style={themeStyles.seenByAvatar} />
+                            : <span key={reader} style={themeStyles.seenByAvatar}>{reader.charAt(0).toUpperCase()}</span>
+                        ))}
+                        {readers.length > MAX_SEEN_BY_AVATARS && (
+                          <span style={themeStyles.seenByMore}>+{readers.length - MAX_SEEN_BY_AVATARS}</span>
+                        )}
+                        {seenByOpenFor === msg._id && (
+                          <div style={themeStyles.seenByList}>
+                            <strong>Seen by</strong>
+                            {readers.map(reader => <div key={reader}>{reader}</div>)}
+                          </div>
+                        )}
+                      </div>
+                    );
+                  })()}
+                </div>
+              )))}
+              {/* Messages queued while offline */}
+              {outbox.map((queued, idx) => (
+                <div key={`outbox-${idx}`} style={{ ...themeStyles.messageItem, ...themeStyles.queuedMessage }}>
+                  <div>{renderMessageText(queued.ciphertext ? { text: queued.ciphertext, encrypted: true } : queued)}</div>
+                  {queued.attachments.length > 0 && <div>📎 {queued.attachments.length} file(s)</div>}
+                  <div style={themeStyles.readReceipt}>Waiting for connection…</div>
                 </div>
               ))}
             </div>
@@ -558,28 +2968,189 @@ function App() {
             {typingUsers.length > 0 && (
               <CombinedTypingIndicator users={typingUsers} style={themeStyles.typingIndicator} />
             )}
+            {/* Message being replied to */}
+            {replyingTo && (
+              <div style={themeStyles.replyBar}>
+                <span style={themeStyles.replyBarText}>
+                  Replying to <strong>{replyingTo.user}</strong>: {shownText(replyingTo)}
+                </span>
+                <button style={themeStyles.leaveButton} onClick={() => setReplyingTo(null)}>×</button>
+              </div>
+            )}
+            {/* Files uploaded for the next message */}
+            {(pendingAttachments.length > 0 || uploading) && (
+              <div style={themeStyles.reactionRow}>
+                {pendingAttachments.map(attachment => (
+                  <span key={attachment.id} style={themeStyles.reactionChip}>
+                    📎 {attachment.name}
+                    <button
+                      style={themeStyles.leaveButton}
+                      onClick={() => setPendingAttachments(prev => prev.filter(a => a.id !== attachment.id))}
+                    >
+                      ×
+                    </button>
+                  </span>
+                ))}
+                {uploading && <span style={themeStyles.historyNotice}>Uploading…</span>}
+              </div>
+            )}
+            {/* Users matching the "@name" being typed */}
+            {mentionSuggestions.length > 0 && (
+              <div style={themeStyles.mentionSuggestions}>
+                {mentionSuggestions.map((name, idx) => (
+                  <div
+                    key={name}
+                    style={idx === mentionIndex
+                      ? { ...themeStyles.mentionSuggestion, ...themeStyles.mentionSuggestionActive }
+                      : themeStyles.mentionSuggestion}
+                    // mousedown (not click) so the composer keeps its focus
+                    onMouseDown={(e) => {
+                      e.preventDefault();
+                      completeMention(name);
+                    }}
+                  >
+                    @{name}
+                  </div>
+                ))}
+              </div>
+            )}
             {/* Row for sending messages */}
             <div style={themeStyles.inputRow}>
-              <input
-                style={themeStyles.input}
-                type="text"
-                placeholder="Type your message..."
+              {roomSettings && roomSettings.retention !== 'ephemeral' && !isEncrypted && (
+                <label style={themeStyles.attachButton} title="Attach a file">
+                  📎
+                  <input style={{ display: 'none' }} type="file" onChange={handleAttachmentChange} />
+                </label>
+              )}
+              {/* Enter sends; Shift+Enter starts a new line (for lists and code blocks) */}
+              <textarea
+                ref={composerRef}
+                style={{ ...themeStyles.input, ...themeStyles.messageInput }}
+                rows={Math.min(currentMessage.split('\n').length, 6)}
+                placeholder={isMutedHere
+                  ? "You have been muted in this room"
+                  : isLocked
+                    ? "Unlock this room to send messages"
+                    : "Type your message... (Markdown supported, @ to mention)"}
+                disabled={isMutedHere || isLocked}
+                maxLength={MAX_MESSAGE_LENGTH}
                 value={currentMessage}
                 onChange={(e) => {
                   setCurrentMessage(e.target.value);
+                  updateMentionQuery(e.target.value, e.target.selectionStart);
                   handleTyping();
                 }}
                 onKeyDown={(e) => {
-                  if (e.key === 'Enter') {
+                  // While mention suggestions are open, arrows pick one and Enter/Tab insert it
+                  if (mentionSuggestions.length > 0) {
+                    const count = mentionSuggestions.length;
+                    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                      e.preventDefault();
+                      setMentionIndex((mentionIndex + (e.key === 'ArrowDown' ? 1 : -1) + count) % count);
+                      return;
+                    }
+                    if (e.key === 'Enter' || e.key === 'Tab') {
+                      e.preventDefault();
+                      completeMention(mentionSuggestions[Math.min(mentionIndex, count - 1)]);
+                      return;
+                    }
+                    if (e.key === 'Escape') {
+                      setMentionQuery(null);
+                      return;
+                    }
+                  }
+                  if (e.key === 'Enter' && !e.shiftKey) {
+                    e.preventDefault();
                     sendMessage();
                   }
                 }}
               />
-              <button style={themeStyles.button} onClick={sendMessage}>
+              <button style={themeStyles.button} onClick={sendMessage} disabled={isMutedHere || isLocked}>
                 Send
               </button>
             </div>
           </div>
+          {/* Thread Panel: a message and all replies to it */}
+          {thread && (
+            <div style={themeStyles.threadPanel}>
+              <div style={themeStyles.threadHeader}>
+                <h3>Thread</h3>
+                <button style={themeStyles.leaveButton} onClick={() => setThread(null)}>×</button>
+              </div>
+              {[thread.parent, ...thread.replies].map((msg, idx) => (
+                <div
+                  key={msg._id}
+                  style={idx === 0 ? { ...themeStyles.threadItem, ...themeStyles.threadParent } : themeStyles.threadItem}
+                  onClick={() => messageRefs.current[msg._id] && jumpToMessage(msg._id)}
+                >
+                  <div style={themeStyles.messageHeader}>
+                    <strong>{msg.user}</strong>
+                    <div style={themeStyles.messageTime}>{timeAgo(msg.createdAt)}</div>
+                  </div>
+                  {msg.deleted
+                    ? <div style={themeStyles.deletedText}>This message was deleted</div>
+                    : <div>{renderMessageText(msg, msg.mentions)}</div>}
+                </div>
+              ))}
+              {thread.replies.length === 0 && <div style={themeStyles.historyNotice}>No replies yet</div>}
+              {!thread.parent.deleted && (
+                <button style={themeStyles.button} onClick={() => setReplyingTo(thread.parent)}>
+                  Reply in thread
+                </button>
+              )}
+            </div>
+          )}
+          {/* Direct Message Panel: our private conversation with one user of the room */}
+          {direct && (
+            <div style={themeStyles.threadPanel}>
+              <div style={themeStyles.threadHeader}>
+                <h3>✉ {dmPeer}</h3>
+                <button style={themeStyles.leaveButton} onClick={() => setDmPeer(null)}>×</button>
+              </div>
+              {direct.hasMore && (
+                <button
+                  style={themeStyles.messageAction}
+                  onClick={() => socket.emit('loadDirectMessages', { roomName: activeRoom, peer: dmPeer, before: direct.messages[0]._id })}
+                >
+                  Load older messages
+                </button>
+              )}
+              {direct.loaded && direct.messages.length === 0 && (
+                <div style={themeStyles.historyNotice}>Only you and {dmPeer} can see these messages</div>
+              )}
+              {direct.messages.map(msg => (
+                <div
+                  key={msg._id}
+                  style={msg.user === username ? { ...themeStyles.threadItem, ...themeStyles.directOwnItem } : themeStyles.threadItem}
+                >
+                  <div style={themeStyles.messageHeader}>
+                    <strong>{msg.user}</strong>
+                    <div style={themeStyles.messageTime}>{timeAgo(msg.createdAt)}</div>
+                  </div>
+                  <div>{renderMessageText(msg)}</div>
+                </div>
+              ))}
+              {dmPeerPresent ? (
+                <div style={themeStyles.directComposer}>
+                  <input
+                    type="text"
+                    style={{ ...themeStyles.input, flex: 1 }}
+                    placeholder={`Message ${dmPeer}...`}
+                    value={dmText}
+                    maxLength={MAX_MESSAGE_LENGTH}
+                    disabled={isMutedHere || isLocked}
+                    onChange={(e) => setDmText(e.target.value)}
+                    onKeyDown={(e) => {
+                      if (e.key === 'Enter') sendDirectMessage();
+                    }}
+                  />
+                  <button style={themeStyles.button} onClick={sendDirectMessage} disabled={isMutedHere || isLocked}>Send</button>
+                </div>
+              ) : (
+                <div style={themeStyles.historyNotice}>{dmPeer} has left the room</div>
+              )}
+            </div>
+          )}
         </div>
       )}
     </div>
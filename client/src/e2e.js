@@ -0,0 +1,91 @@
+// client/src/e2e.js
+
+// End-to-end encryption for rooms, with the browser's WebCrypto. Messages are
+// encrypted with AES-GCM under a room key that never leaves the members'
+// browsers: it is derived from a shared passphrase (PBKDF2 with the room's
+// salt), or generated at random and carried in the invite link's fragment,
+// which browsers don't send to the server. Encrypted text is sent as
+// "e2e1:<iv>:<ciphertext>" in Base64.
+
+const PREFIX = 'e2e1';
+const PBKDF2_ITERATIONS = 250000;
+// Encrypted with the room key when the room is created, so members can tell
+// a wrong passphrase from a right one before reading anything
+const KEY_CHECK_TEXT = 'ychat-e2e-key-check';
+
+// WebCrypto is only available on secure (https or localhost) pages
+export const e2eSupported = Boolean(window.crypto && window.crypto.subtle);
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+function toBase64(bytes) {
+  let binary = '';
+  new Uint8Array(bytes).forEach(b => { binary += String.fromCharCode(b); });
+  return window.btoa(binary);
+}
+function fromBase64(text) {
+  return Uint8Array.from(window.atob(text), c => c.charCodeAt(0));
+}
+// The URL-safe variant used for keys in links
+const toBase64Url = (bytes) => toBase64(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+const fromBase64Url = (text) => fromBase64(text.replace(/-/g, '+').replace(/_/g, '/'));
+
+// A new random salt for deriving a room's key from its passphrase
+export function generateSalt() {
+  return toBase64(window.crypto.getRandomValues(new Uint8Array(16)));
+}
+
+// The room key for a passphrase and the room's salt
+export async function deriveRoomKey(passphrase, salt) {
+  const material = await window.crypto.subtle.importKey('raw', encoder.encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return window.crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt: fromBase64(salt), iterations: PBKDF2_ITERATIONS, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    true,
+    ['encrypt', 'decrypt']
+  );
+}
+
+// A new random room key, for rooms whose key travels in invite links
+export function generateRoomKey() {
+  return window.crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+}
+
+// A room key as text for links and localStorage, and back
+export async function exportRoomKey(key) {
+  return toBase64Url(await window.crypto.subtle.exportKey('raw', key));
+}
+export function importRoomKey(text) {
+  return window.crypto.subtle.importKey('raw', fromBase64Url(text), { name: 'AES-GCM' }, true, ['encrypt', 'decrypt']);
+}
+
+export async function encryptText(key, text) {
+  const iv = window.crypto.getRandomValues(new Uint8Array(12));
+  const ciphertext = await window.crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, encoder.encode(text));
+  return `${PREFIX}:${toBase64(iv)}:${toBase64(ciphertext)}`;
+}
+
+// Decrypt text made by encryptText. Rejects when the key is wrong or the
+// text was tampered with.
+export async function decryptText(key, payload) {
+  const [prefix, iv, ciphertext] = String(payload).split(':');
+  if (prefix !== PREFIX || !iv || !ciphertext) throw new Error('Not an encrypted message');
+  const plaintext = await window.crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: fromBase64(iv) }, key, fromBase64(ciphertext)
+  );
+  return decoder.decode(plaintext);
+}
+
+// The key check stored with a new encrypted room, and whether a key matches it
+export function makeKeyCheck(key) {
+  return encryptText(key, KEY_CHECK_TEXT);
+}
+export async function verifyRoomKey(key, check) {
+  try {
+    return (await decryptText(key, check)) === KEY_CHECK_TEXT;
+  } catch (err) {
+    return false;
+  }
+}
@@ -0,0 +1,155 @@
+// client/src/markdown.js
+
+import React from 'react';
+
+// Renders the Markdown subset supported in messages: **bold**, *italic* /
+// _italic_, `inline code`, ``` fenced code blocks ```, "-"/"*" and "1."
+// lists, bare http(s) URLs as links, and @mentions. Everything is built as
+// React elements, so HTML in a message is shown as text, never interpreted.
+
+// Bare URLs; trailing punctuation belongs to the sentence (same rules as the
+// server uses to pick links for previews)
+const URL_SOURCE = "https?:\\/\\/[^\\s<>\"'`]+";
+const TRAILING_PUNCTUATION = /[.,;:!?)\]}*_]+$/;
+
+// One inline token per alternative: code, bold, *italic*, _italic_ (only at
+// word boundaries, so snake_case is left alone) and URLs
+const INLINE_PATTERN = new RegExp([
+  '`([^`\\n]+)`',
+  '\\*\\*(?=\\S)(.+?)\\*\\*',
+  '\\*(?=[^\\s*])([^*\\n]+?)\\*',
+  '(^|[^\\w])_(?=\\S)([^_\\n]+?)_(?!\\w)',
+  `(${URL_SOURCE})`
+].join('|'), 'g');
+
+const FENCE = /^\s*```\s*([\w+#.-]*)\s*$/;
+const LIST_ITEMS = {
+  ul: /^\s*[-*]\s+/,
+  ol: /^\s*(\d{1,9})[.)]\s+/
+};
+
+function listType(line) {
+  return Object.keys(LIST_ITEMS).find(type => LIST_ITEMS[type].test(line)) || null;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Pattern for "@name" mentions of the given users, matched like the server
+// does: case-insensitive, longest name first, not inside words
+function mentionPattern(mentions) {
+  if (!mentions || mentions.length === 0) return null;
+  const names = [...mentions].sort((a, b) => b.length - a.length).map(escapeRegExp);
+  return new RegExp(`(^|[^\\w])(@(?:${names.join('|')}))(?!\\w)`, 'gi');
+}
+
+// Plain text with mentions highlighted
+function renderText(text, ctx, keyPrefix) {
+  if (!ctx.mentionPattern) return [text];
+  const out = [];
+  const pattern = new RegExp(ctx.mentionPattern.source, 'gi');
+  let last = 0;
+  let match;
+  while ((match = pattern.exec(text))) {
+    const start = match.index + match[1].length;
+    if (start > last) out.push(text.slice(last, start));
+    out.push(<span key={`${keyPrefix}-m${start}`} style={ctx.styles.mention}>{match[2]}</span>);
+    last = pattern.lastIndex;
+  }
+  if (last < text.length) out.push(text.slice(last));
+  return out;
+}
+
+// Render a single line of inline Markdown into an array of strings and elements
+function renderInline(text, ctx, keyPrefix) {
+  const { styles } = ctx;
+  const out = [];
+  const pattern = new RegExp(INLINE_PATTERN.source, 'g');
+  let last = 0;
+  let match;
+  while ((match = pattern.exec(text))) {
+    const [, code, bold, italic, underscorePrefix, underscoreItalic, url] = match;
+    const start = match.index + (underscoreItalic !== undefined ? underscorePrefix.length : 0);
+    const key = `${keyPrefix}-${start}`;
+    if (start > last) out.push(...renderText(text.slice(last, start), ctx, `${key}-t`));
+    if (code !== undefined) {
+      out.push(<code key={key} style={styles.code}>{code}</code>);
+    } else if (bold !== undefined) {
+      out.push(<strong key={key}>{renderInline(bold, ctx, key)}</strong>);
+    } else if (italic !== undefined || underscoreItalic !== undefined) {
+      out.push(<em key={key}>{renderInline(italic !== undefined ? italic : underscoreItalic, ctx, key)}</em>);
+    } else {
+      const href = url.replace(TRAILING_PUNCTUATION, '');
+      out.push(
+        <a key={key} href={href} target="_blank" rel="noopener noreferrer" style={styles.link}>{href}</a>
+      );
+      // Give the trimmed punctuation back to the surrounding text
+      pattern.lastIndex = start + href.length;
+    }
+    last = pattern.lastIndex;
+  }
+  if (last < text.length) out.push(...renderText(text.slice(last), ctx, `${keyPrefix}-end`));
+  return out;
+}
+
+// Render message text into block elements (paragraphs, lists and code
+// blocks). `styles` may hold inline styles for code, codeBlock, link, list,
+// paragraph and mention; `mentions` lists the usernames to highlight.
+export function renderMarkdown(text, styles = {}, mentions = []) {
+  const ctx = { styles, mentionPattern: mentionPattern(mentions) };
+  const lines = String(text || '').split('\n');
+  const blocks = [];
+  let i = 0;
+  while (i < lines.length) {
+    const key = `b${i}`;
+    const fence = lines[i].match(FENCE);
+    if (fence) {
+      // Fenced code block, running to the closing fence (or the end of the message)
+      const code = [];
+      for (i++; i < lines.length && !/^\s*```\s*$/.test(lines[i]); i++) code.push(lines[i]);
+      i++;
+      blocks.push(
+        <pre key={key} style={styles.codeBlock}>
+          <code data-language={fence[1] || undefined}>{code.join('\n')}</code>
+        </pre>
+      );
+      continue;
+    }
+    const type = listType(lines[i]);
+    if (type) {
+      const items = [];
+      const first = lines[i].match(LIST_ITEMS[type]);
+      for (; i < lines.length && listType(lines[i]) === type; i++) {
+        items.push(lines[i].replace(LIST_ITEMS[type], ''));
+      }
+      const Tag = type;
+      blocks.push(
+        <Tag key={key} start={type === 'ol' ? Number(first[1]) : undefined} style={styles.list}>
+          {items.map((item, n) => <li key={n}>{renderInline(item, ctx, `${key}-${n}`)}</li>)}
+        </Tag>
+      );
+      continue;
+    }
+    if (!lines[i].trim()) {
+      i++;
+      continue;
+    }
+    // Paragraph: consecutive lines up to a blank line, list or code block
+    const paragraph = [];
+    for (; i < lines.length && lines[i].trim() && !FENCE.test(lines[i]) && !listType(lines[i]); i++) {
+      paragraph.push(lines[i]);
+    }
+    blocks.push(
+      <p key={key} style={styles.paragraph}>
+        {paragraph.map((line, n) => (
+          <React.Fragment key={n}>
+            {n > 0 && <br />}
+            {renderInline(line, ctx, `${key}-${n}`)}
+          </React.Fragment>
+        ))}
+      </p>
+    );
+  }
+  return blocks;
+}
@@ -0,0 +1,138 @@
+// server/attachments.js
+const express = require('express');
+
+// Largest file that can be uploaded as an attachment
+const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024;
+const MAX_ATTACHMENTS_PER_MESSAGE = 5;
+// Uploads that aren't attached to a message within this time are deleted
+const UNATTACHED_TTL_MS = 60 * 60 * 1000;
+// Attachment ids are random 128-bit hex strings (other blobs, like avatars, use other ids)
+const ATTACHMENT_ID_PATTERN = /^[0-9a-f]{32}$/;
+
+// Content types that may be uploaded, with the leading bytes ("magic number")
+// a file of that type must start with. Types without a signature can't be
+// checked and are always served as downloads.
+const ALLOWED_TYPES = {
+  'image/png': [[0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]],
+  'image/jpeg': [[0xff, 0xd8, 0xff]],
+  'image/gif': [[0x47, 0x49, 0x46, 0x38]],
+  'image/webp': [[0x52, 0x49, 0x46, 0x46]], // "RIFF", followed by "WEBP" at offset 8
+  'application/pdf': [[0x25, 0x50, 0x44, 0x46]], // "%PDF"
+  'application/zip': [[0x50, 0x4b, 0x03, 0x04], [0x50, 0x4b, 0x05, 0x06]],
+  'text/plain': null
+};
+
+// Whether a file's contents match the declared content type
+function matchesSignature(buffer, type) {
+  const signatures = ALLOWED_TYPES[type];
+  if (!signatures) return true;
+  const ok = signatures.some(sig => sig.every((byte, i) => buffer[i] === byte));
+  if (ok && type === 'image/webp') {
+    return buffer.slice(8, 12).toString('ascii') === 'WEBP';
+  }
+  return ok;
+}
+
+// Clean up a client-supplied file name (sent URI-encoded in X-File-Name)
+function sanitizeFileName(raw) {
+  let name = 'file';
+  try {
+    name = decodeURIComponent(raw || '') || name;
+  } catch (err) {
+    // keep the default name
+  }
+  return name.replace(/[/\\\u0000-\u001f]/g, '_').slice(0, 200);
+}
+
+// Attachment metadata stored on messages and sent to clients
+function toAttachment(meta) {
+  return { id: meta.id, name: meta.name, type: meta.type, size: meta.size };
+}
+
+// Express routes for uploading (POST /attachments, raw file body) and
+// downloading (GET /attachments/:id) attachments. `guard` middleware (e.g.
+// auth and rate limits) runs on uploads before the body is read.
+function createAttachmentRoutes(blobs, { guard = [] } = {}) {
+  const router = express.Router();
+
+  router.post('/attachments', ...guard, express.raw({ type: () => true, limit: MAX_ATTACHMENT_BYTES }), async (req, res) => {
+    const type = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    const body = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+    if (!Object.prototype.hasOwnProperty.call(ALLOWED_TYPES, type)) {
+      return res.status(415).json({ error: "This file type can't be attached." });
+    }
+    if (body.length === 0) {
+      return res.status(400).json({ error: "The file is empty." });
+    }
+    if (!matchesSignature(body, type)) {
+      return res.status(400).json({ error: "The file content doesn't match its type." });
+    }
+    try {
+      const meta = await blobs.put(body, {
+        name: sanitizeFileName(req.headers['x-file-name']),
+        type,
+        expiresAt: new Date(Date.now() + UNATTACHED_TTL_MS)
+      });
+      res.status(201).json(toAttachment(meta));
+    } catch (error) {
+      console.error("❌ Error storing attachment:", error);
+      res.status(500).json({ error: "Failed to store the file." });
+    }
+  });
+
+  router.get('/attachments/:id', async (req, res) => {
+    let meta;
+    try {
+      meta = ATTACHMENT_ID_PATTERN.test(req.params.id) && await blobs.getMeta(req.params.id);
+    } catch (error) {
+      console.error("❌ Error loading attachment:", error);
+      return res.status(500).json({ error: "Failed to load the attachment." });
+    }
+    if (!meta) {
+      return res.status(404).json({ error: "Attachment not found." });
+    }
+    // Only verified images are shown inline; everything else is a download
+    const inline = meta.type.startsWith('image/');
+    res.set({
+      'Content-Type': meta.type,
+      'Content-Length': meta.size,
+      'Content-Disposition': `${inline ? 'inline' : 'attachment'}; filename*=UTF-8''${encodeURIComponent(meta.name)}`,
+      'X-Content-Type-Options': 'nosniff',
+      'Cache-Control': 'private, max-age=3600'
+    });
+    blobs.open(meta.id)
+      .on('error', () => res.destroy())
+      .pipe(res);
+  });
+
+  // Turn body-parser errors (e.g. files over the size limit) into JSON responses
+  router.use((err, req, res, next) => {
+    if (err.type === 'entity.too.large') {
+      return res.status(413).json({ error: `Files can be at most ${MAX_ATTACHMENT_BYTES / (1024 * 1024)} MB.` });
+    }
+    next(err);
+  });
+
+  return router;
+}
+
+// Claim the uploads referenced by a new chatMessage (see claim in the blob
+// store), so no other message can take them. Resolves to their metadata, or
+// releases whatever it claimed and throws an Error with a user-facing message.
+// The caller attaches the uploads once the message is sent, or releases them.
+async function claimAttachments(blobs, ids) {
+  if (!Array.isArray(ids) || ids.length > MAX_ATTACHMENTS_PER_MESSAGE) {
+    throw new Error(`A message can have at most ${MAX_ATTACHMENTS_PER_MESSAGE} attachments.`);
+  }
+  const unique = [...new Set(ids)];
+  const metas = await Promise.all(unique.map(id => (
+    typeof id === 'string' && ATTACHMENT_ID_PATTERN.test(id) ? blobs.claim(id) : null
+  )));
+  if (metas.some(meta => !meta)) {
+    await Promise.all(metas.filter(Boolean).map(meta => blobs.release(meta.id)));
+    throw new Error("An attachment has expired or was already sent. Please upload it again.");
+  }
+  return metas;
+}
+
+module.exports = { createAttachmentRoutes, claimAttachments, toAttachment, matchesSignature };
@@ -0,0 +1,106 @@
+// server/avatars.js
+const express = require('express');
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { matchesSignature } = require('./attachments');
+
+// Largest image accepted for upload before it is shrunk
+const MAX_AVATAR_UPLOAD_BYTES = 10 * 1024 * 1024;
+// Avatars are stored as square WebP thumbnails of this size
+const AVATAR_SIZE = 128;
+const AVATAR_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+// Avatar ids are "avatar-" plus the SHA-256 of the thumbnail
+const AVATAR_ID_PATTERN = /^avatar-[0-9a-f]{64}$/;
+// Avatars that nobody joins with within this time are deleted
+const UNUSED_AVATAR_TTL_MS = 60 * 60 * 1000;
+
+// Path clients load an avatar from (relative to the server URL)
+function avatarPath(id) {
+  return `/avatars/${id}`;
+}
+
+// Express routes for uploading (POST /avatars, raw image body) and serving
+// (GET /avatars/:id) avatars. Uploads are resized and re-encoded, then stored
+// by content hash, so the same picture is only ever stored once. `guard`
+// middleware (e.g. auth and rate limits) runs on uploads before the body is read.
+function createAvatarRoutes(blobs, { guard = [] } = {}) {
+  const router = express.Router();
+
+  router.post('/avatars', ...guard, express.raw({ type: () => true, limit: MAX_AVATAR_UPLOAD_BYTES }), async (req, res) => {
+    const type = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    const body = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+    if (!AVATAR_TYPES.includes(type) || !matchesSignature(body, type)) {
+      return res.status(415).json({ error: "Please upload a PNG, JPEG, GIF or WebP image." });
+    }
+    let thumbnail;
+    try {
+      thumbnail = await sharp(body)
+        .rotate() // apply EXIF orientation before it is stripped
+        .resize(AVATAR_SIZE, AVATAR_SIZE, { fit: 'cover' })
+        .webp({ quality: 80 })
+        .toBuffer();
+    } catch (error) {
+      return res.status(400).json({ error: "The image could not be read." });
+    }
+    const id = `avatar-${crypto.createHash('sha256').update(thumbnail).digest('hex')}`;
+    try {
+      const existing = await blobs.getMeta(id);
+      if (!existing || !existing.attached) {
+        // Kept for good once someone joins with it (see resolveAvatar);
+        // until then each upload restarts the clock
+        await blobs.put(thumbnail, {
+          id, name: `${id}.webp`, type: 'image/webp', expiresAt: new Date(Date.now() + UNUSED_AVATAR_TTL_MS)
+        });
+      }
+      res.status(201).json({ id, url: avatarPath(id) });
+    } catch (error) {
+      console.error("❌ Error storing avatar:", error);
+      res.status(500).json({ error: "Failed to store the avatar." });
+    }
+  });
+
+  router.get('/avatars/:id', async (req, res) => {
+    let meta;
+    try {
+      meta = AVATAR_ID_PATTERN.test(req.params.id) && await blobs.getMeta(req.params.id);
+    } catch (error) {
+      console.error("❌ Error loading avatar:", error);
+      return res.status(500).json({ error: "Failed to load the avatar." });
+    }
+    if (!meta) {
+      return res.status(404).json({ error: "Avatar not found." });
+    }
+    res.set({
+      'Content-Type': meta.type,
+      'Content-Length': meta.size,
+      'X-Content-Type-Options': 'nosniff',
+      // Content-addressed, so it never changes
+      'Cache-Control': 'public, max-age=31536000, immutable'
+    });
+    blobs.open(meta.id)
+      .on('error', () => res.destroy())
+      .pipe(res);
+  });
+
+  router.use((err, req, res, next) => {
+    if (err.type === 'entity.too.large') {
+      return res.status(413).json({ error: `Images can be at most ${MAX_AVATAR_UPLOAD_BYTES / (1024 * 1024)} MB.` });
+    }
+    next(err);
+  });
+
+  return router;
+}
+
+// Resolve the avatar id a client sent with joinRoom to the path stored with
+// the user and their messages; null for unknown ids (or old data URLs).
+// An avatar in use no longer expires.
+async function resolveAvatar(blobs, id) {
+  if (typeof id !== 'string' || !AVATAR_ID_PATTERN.test(id)) return null;
+  const meta = await blobs.getMeta(id);
+  if (!meta) return null;
+  if (!meta.attached) await blobs.attach(id, null);
+  return avatarPath(id);
+}
+
+module.exports = { createAvatarRoutes, resolveAvatar };
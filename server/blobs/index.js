@@ -0,0 +1,15 @@
+// server/blobs/index.js
+const createLocalDiskBlobStore = require('./localDiskStore');
+
+// Pick a blob store for uploaded attachments based on config:
+//   backend: "disk" (the only backend so far)
+//   dir: directory the disk backend writes files to
+function createBlobStore(config = {}) {
+  const backend = config.backend || 'disk';
+  if (backend === 'disk') {
+    return createLocalDiskBlobStore(config);
+  }
+  throw new Error(`Unknown blob store backend: "${backend}"`);
+}
+
+module.exports = { createBlobStore };
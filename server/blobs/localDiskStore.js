@@ -0,0 +1,125 @@
+// server/blobs/localDiskStore.js
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// How often expired blobs are deleted from disk
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Blob store keeping each upload as a file plus a "<id>.json" metadata file
+// in one directory. Metadata is also kept in memory for quick lookups.
+//
+// Every blob has an expiresAt (null = never). Uploads start with a short
+// expiry and get their message's expiry once they are attached to one, so
+// attachments disappear together with the message.
+function createLocalDiskBlobStore({ dir }) {
+  // blobId -> metadata ({ id, name, type, size, createdAt, expiresAt, attached })
+  const blobs = new Map();
+  // Ids of blobs claimed for a message that is being sent (see claim)
+  const claims = new Set();
+  let sweepTimer = null;
+
+  const filePath = (id) => path.join(dir, id);
+  const metaPath = (id) => path.join(dir, `${id}.json`);
+  const isExpired = (meta, now = Date.now()) => Boolean(meta.expiresAt) && meta.expiresAt.getTime() <= now;
+
+  const writeMeta = (meta) => fs.promises.writeFile(metaPath(meta.id), JSON.stringify(meta));
+
+  const remove = async (id) => {
+    blobs.delete(id);
+    claims.delete(id);
+    await Promise.all([filePath(id), metaPath(id)].map(p => fs.promises.rm(p, { force: true })));
+  };
+
+  const sweep = async () => {
+    const now = Date.now();
+    for (const meta of blobs.values()) {
+      if (isExpired(meta, now)) {
+        await remove(meta.id).catch(err => console.error("❌ Error deleting expired attachment:", err));
+      }
+    }
+  };
+
+  return {
+    name: 'disk',
+
+    async connect() {
+      await fs.promises.mkdir(dir, { recursive: true });
+      for (const entry of await fs.promises.readdir(dir)) {
+        if (!entry.endsWith('.json')) continue;
+        const meta = JSON.parse(await fs.promises.readFile(path.join(dir, entry), 'utf8'));
+        blobs.set(meta.id, {
+          ...meta,
+          createdAt: new Date(meta.createdAt),
+          expiresAt: meta.expiresAt ? new Date(meta.expiresAt) : null
+        });
+      }
+      await sweep();
+      sweepTimer = setInterval(sweep, SWEEP_INTERVAL_MS);
+      sweepTimer.unref();
+      console.log(`✅ Storing attachments in ${dir}`);
+    },
+
+    async close() {
+      clearInterval(sweepTimer);
+    },
+
+    // Save an upload under a random id, or under `id` when given (e.g. a
+    // content hash); resolves to its metadata
+    async put(buffer, { id, name, type, expiresAt }) {
+      const meta = {
+        id: id || crypto.randomBytes(16).toString('hex'),
+        name,
+        type,
+        size: buffer.length,
+        createdAt: new Date(),
+        expiresAt,
+        attached: false
+      };
+      await fs.promises.writeFile(filePath(meta.id), buffer);
+      await writeMeta(meta);
+      blobs.set(meta.id, meta);
+      return { ...meta };
+    },
+
+    async getMeta(id) {
+      const meta = blobs.get(id);
+      return meta && !isExpired(meta) ? { ...meta } : null;
+    },
+
+    // Stream the contents of a blob
+    open(id) {
+      return fs.createReadStream(filePath(id));
+    },
+
+    // Reserve an unattached blob for a message before it is sent; resolves to
+    // its metadata, or null when it doesn't exist, expired or is already
+    // attached or claimed. The check and the claim happen in one step, so of
+    // two messages sent with the same upload only one gets it.
+    async claim(id) {
+      const meta = blobs.get(id);
+      if (!meta || isExpired(meta) || meta.attached || claims.has(id)) return null;
+      claims.add(id);
+      return { ...meta };
+    },
+
+    // Give up a claim (e.g. when the message couldn't be sent)
+    async release(id) {
+      claims.delete(id);
+    },
+
+    // Mark a blob as attached to a message that expires at expiresAt (null = never)
+    async attach(id, expiresAt) {
+      const meta = blobs.get(id);
+      claims.delete(id);
+      if (!meta) return;
+      meta.attached = true;
+      meta.expiresAt = expiresAt;
+      await writeMeta(meta);
+    },
+
+    remove
+  };
+}
+
+module.exports = createLocalDiskBlobStore;
@@ -1,9 +1,29 @@
 // server/index.js
 const express = require('express');
 const http = require('http');
+const path = require('path');
+const crypto = require('crypto');
 const cors = require('cors');
 const socketIO = require('socket.io');
-const mongoose = require('mongoose');
+const { createStore } = require('./store');
+const { createReadReceipts } = require('./readReceipts');
+const {
+  normalizeRetention, retentionPolicy, messageExpiry, conversationKey, publicRoom, newRoomSettings, checkRoomAccess,
+  canModerate, userRole, checkModeration, isMuted, isBanned, applyModeration, moderationNotice
+} = require('./rooms');
+const {
+  replyPreview, parseMentions, parseSearchQuery, isValidEmoji, aggregateReactions
+} = require('./messages');
+const { createBlobStore } = require('./blobs');
+const { createAttachmentRoutes, claimAttachments, toAttachment } = require('./attachments');
+const { createAvatarRoutes, resolveAvatar } = require('./avatars');
+const { createLinkPreviews } = require('./linkPreviews');
+const { validateEvent } = require('./validation');
+const { createRateLimits, parseLimits, clientAddress } = require('./rateLimits');
+const { createUploadTokens } = require('./uploadTokens');
+const { createPubSub } = require('./pubsub');
+const { createPubSubAdapter } = require('./pubsub/adapter');
+const { createPresence } = require('./presence');
 
 const app = express();
 
@@ -11,7 +31,11 @@ const app = express();
 const allowedOrigins = ["https://ychats.netlify.app","https://ychat.live"];
 app.use(cors({ origin: allowedOrigins, methods: ["GET", "POST"], credentials: true }));
 
-// Create HTTP server and attach Socket.IO with increased payload limit
+// Create HTTP server and attach Socket.IO. Files and avatars go through the
+// upload routes, so socket payloads stay small (the longest message fits
+// easily in this limit). Heartbeats are frequent enough that a connection
+// that died without closing (a sleeping laptop, a dropped network) leaves
+// presence within about 20 seconds.
 const server = http.createServer(app);
 const io = socketIO(server, {
   cors: {
@@ -19,126 +43,932 @@ const io = socketIO(server, {
     methods: ["GET", "POST"],
     credentials: true
   },
-  maxHttpBufferSize: 50 * 1024 * 1024 // Allow payloads up to 50 MB
+  maxHttpBufferSize: 64 * 1024, // 64 KB
+  pingInterval: 10000,
+  pingTimeout: 10000
 });
 
-// Ensure MONGO_URI is set
-const MONGO_URI = process.env.MONGO_URI;
-if (!MONGO_URI) {
-  console.error("❌ ERROR: MONGO_URI is not set in environment variables! Check Render settings.");
+// Choose the message store. STORE_BACKEND may be "mongo" or "memory"; when it is
+// not set, MongoDB is used if MONGO_URI is present and memory otherwise.
+// STORE_FILE lets the memory backend persist messages to a JSON file.
+let store;
+try {
+  store = createStore({
+    backend: process.env.STORE_BACKEND,
+    mongoUri: process.env.MONGO_URI,
+    file: process.env.STORE_FILE
+  });
+} catch (err) {
+  console.error(`❌ ERROR: ${err.message}`);
   process.exit(1);
 }
 
-// Connect to MongoDB Atlas
-mongoose.connect(MONGO_URI, { useNewUrlParser: true, useUnifiedTopology: true })
-  .then(() => console.log("✅ Successfully connected to MongoDB Atlas!"))
-  .catch(err => {
-    console.error("❌ MongoDB connection error:", err);
-    process.exit(1);
+// Several server instances can run side by side when PUBSUB_URL points them
+// at a shared pub/sub (see pubsub/index.js) and MongoDB: broadcasts fan out
+// to every instance, and presence, typing and read receipt state is shared.
+// Without it this instance keeps all of that in memory.
+const instanceId = crypto.randomBytes(8).toString('hex');
+let pubsub;
+try {
+  pubsub = createPubSub({ url: process.env.PUBSUB_URL });
+} catch (err) {
+  console.error(`❌ ERROR: ${err.message}`);
+  process.exit(1);
+}
+if (pubsub) {
+  io.adapter(createPubSubAdapter(pubsub, { instanceId }));
+  if (store.name === 'memory') {
+    console.log("🔹 Each instance has its own in-memory message store; use MongoDB to share messages between instances");
+  }
+}
+
+// Rate limits for socket events, per connection and per IP address.
+// RATE_LIMITS overrides the defaults in rateLimits.js (JSON), and
+// RATE_LIMIT_IP_MULTIPLIER sets how many connections' worth one IP may send.
+let rateLimits;
+try {
+  rateLimits = createRateLimits({
+    limits: parseLimits(process.env.RATE_LIMITS),
+    ipMultiplier: Number(process.env.RATE_LIMIT_IP_MULTIPLIER) || undefined
   });
+} catch (err) {
+  console.error(`❌ ERROR: ${err.message}`);
+  process.exit(1);
+}
+
+// Behind reverse proxies (like Render's) every connection comes from the
+// last proxy; set TRUST_PROXY to how many there are (Render: 1) so the client
+// address is taken from the entries they add to X-Forwarded-For
+const trustedProxies = process.env.TRUST_PROXY === 'true' ? 1 : Number(process.env.TRUST_PROXY) || 0;
+
+// Uploads need a token from "requestUploadToken", so only clients connected
+// to the chat can store files. Instances behind a shared PUBSUB_URL need the
+// same UPLOAD_TOKEN_SECRET to accept each other's tokens.
+if (process.env.PUBSUB_URL && !process.env.UPLOAD_TOKEN_SECRET) {
+  console.log("🔹 UPLOAD_TOKEN_SECRET is not set; uploads only work on the instance the client is connected to");
+}
+const uploadTokens = createUploadTokens({ secret: process.env.UPLOAD_TOKEN_SECRET });
+
+// Uploads are rate limited per IP address, like socket events
+function limitUploads(req, res, next) {
+  const address = clientAddress(req.headers, req.socket.remoteAddress, trustedProxies);
+  const retryAfterMs = rateLimits.checkAddress('upload', address);
+  if (retryAfterMs) {
+    res.set('Retry-After', String(Math.ceil(retryAfterMs / 1000)));
+    return res.status(429).json({ error: "You're uploading too often. Please slow down." });
+  }
+  next();
+}
+
+// Uploaded attachments and avatars are kept on local disk (UPLOAD_DIR) and
+// served by the /attachments and /avatars routes
+const blobs = createBlobStore({ dir: process.env.UPLOAD_DIR || path.join(__dirname, 'uploads') });
+app.use(createAttachmentRoutes(blobs, { guard: [uploadTokens.required('attachment'), limitUploads] }));
+app.use(createAvatarRoutes(blobs, { guard: [uploadTokens.required('avatar'), limitUploads] }));
+
+// Number of messages sent per history page (on join and when scrolling up)
+const HISTORY_PAGE_SIZE = 50;
+// Most results sent for one search
+const SEARCH_RESULT_LIMIT = 25;
+
+// Read receipts are buffered and written to the message store in batches
+const readReceipts = createReadReceipts({ store, pubsub, instanceId });
+
+// Previews (title/description) of links in messages. Set LINK_PREVIEWS=off to
+// stop the server from fetching linked pages.
+const linkPreviews = createLinkPreviews(process.env.LINK_PREVIEWS === 'off' ? { fetchPage: null } : {});
+
+// Who is in which room (and typing there), through which connection. A
+// socket may be in several rooms at once and appears in each room's list.
+// Changes made on other instances are passed on to this instance's sockets;
+// each instance tells its own sockets about presence changes it sees.
+const presence = createPresence({
+  pubsub,
+  instanceId,
+  onRoomChange: (roomName) => sendUsersList(roomName),
+  onTypingChange: (roomName, username, typing) => {
+    io.local.to(roomName).emit(typing ? 'userTyping' : 'userStopTyping', { roomName, username });
+  }
+});
+// Cache of room settings (retention policy etc.) loaded when users join
+const roomSettings = {};
+// Instances drop their cached copy when another instance changes a room
+const ROOMS_CHANNEL = 'ychat:rooms';
+if (pubsub) {
+  pubsub.subscribe(ROOMS_CHANNEL, ({ instance, roomName }) => {
+    if (instance === instanceId) return;
+    delete roomSettings[roomName];
+    // Roles may have changed, so reload the room for the user list of our
+    // sockets in it
+    if (!io.of('/').adapter.rooms.has(roomName)) return;
+    getRoomSettings(roomName)
+      .then(() => sendUsersList(roomName))
+      .catch(error => console.error("❌ Error reloading room settings:", error));
+  });
+}
+
+// Look up a room's settings, creating the room with `defaults` if it's new
+async function getRoomSettings(roomName, defaults) {
+  if (!roomSettings[roomName]) {
+    roomSettings[roomName] = await store.ensureRoom(roomName, defaults);
+  }
+  return roomSettings[roomName];
+}
+
+// Create a room with `settings` (from newRoomSettings) through the "create
+// room" flow. Resolves to the room, or null when it already exists.
+async function createRoom(roomName, settings) {
+  if (roomSettings[roomName] || await store.getRoom(roomName)) return null;
+  const room = await store.ensureRoom(roomName, settings);
+  // Someone else may have created the room at the same moment
+  if (room.inviteToken !== settings.inviteToken) return null;
+  roomSettings[roomName] = room;
+  return room;
+}
+
+// Save changed room settings, refresh the cache and tell everyone in the
+// room (e.g. who is a moderator or muted now)
+async function updateRoomSettings(roomName, changes) {
+  const room = await store.updateRoom(roomName, changes);
+  if (room) {
+    roomSettings[roomName] = room;
+    if (pubsub) pubsub.publish(ROOMS_CHANNEL, { instance: instanceId, roomName });
+    io.to(roomName).emit('roomUpdated', { roomName, room: publicRoom(room) });
+    sendUsersList(roomName);
+  }
+  return room;
+}
+
+// The sessions through which a user is in a room
+function userSessions(roomName, username) {
+  return presence.connections(roomName, username).map(c => c.sessionId);
+}
+
+// Send a room's user list to this instance's sockets in it (the other
+// instances do the same when they hear about the change). Each user comes
+// with their role, going by the sessions they're connected with, so clients
+// never have to guess it from a name.
+function sendUsersList(roomName) {
+  const room = roomSettings[roomName] || {};
+  const users = presence.users(roomName).map(user => ({
+    ...user,
+    role: userRole(room, user.username, userSessions(roomName, user.username))
+  }));
+  io.local.to(roomName).emit('usersList', { roomName, users });
+}
+
+// Usernames currently in a room (not those listed as offline)
+function roomUsernames(roomName) {
+  return presence.users(roomName).filter(u => u.status !== 'offline').map(u => u.username);
+}
+
+// Force a user's connections (on any instance) out of a room, kicked or
+// banned by `by`. Their instances update the room's presence as they leave.
+function removeFromRoom(connections, roomName, action, by) {
+  const socketIds = connections.map(c => c.socketId);
+  if (socketIds.length === 0) return;
+  io.to(socketIds).emit('removedFromRoom', { roomName, action, by });
+  io.in(socketIds).socketsLeave(roomName);
+}
+
+// Typing expires on its own this long after the last "typing" event, so a
+// client that goes quiet without sending "stopTyping" (closed mid-sentence,
+// lost its connection) doesn't show as typing forever
+const TYPING_TIMEOUT_MS = 6000;
+// `${roomName}\n${socketId}` -> expiry timer of this instance's typing sockets
+const typingTimers = new Map();
+
+function clearTypingTimer(roomName, socketId) {
+  const key = `${roomName}\n${socketId}`;
+  clearTimeout(typingTimers.get(key));
+  typingTimers.delete(key);
+}
 
-// Define a Message schema with TTL (24 hours), relative timestamps and read receipts
-const messageSchema = new mongoose.Schema({
-  roomName: { type: String, required: true },
-  user: { type: String, required: true },
-  avatar: { type: String }, // optionally store sender's avatar with the message
-  text: { type: String, required: true },
-  createdAt: { type: Date, default: Date.now, index: { expires: '24h' } },
-  readBy: { type: [String], default: [] }
+// Set whether one of this instance's sockets is typing in a room, telling the
+// room's sockets (other instances hear it through presence) when that changes
+// whether its user shows as typing. Repeated "typing" events only push the
+// expiry back.
+function setTyping(socket, roomName, typing) {
+  clearTypingTimer(roomName, socket.id);
+  if (typing) {
+    const timer = setTimeout(() => setTyping(socket, roomName, false), TYPING_TIMEOUT_MS);
+    typingTimers.set(`${roomName}\n${socket.id}`, timer);
+  }
+  if (presence.setTyping(roomName, socket.id, typing)) {
+    socket.to(roomName).local.emit(typing ? 'userTyping' : 'userStopTyping', { roomName, username: socket.username });
+  }
+}
+
+// However a socket of this instance leaves a room (leaveRoom, disconnecting,
+// kicked from another instance), drop its presence there and update the room
+io.of('/').adapter.on('leave-room', (roomName, socketId) => {
+  clearTypingTimer(roomName, socketId);
+  const entry = presence.leave(roomName, socketId);
+  if (!entry) return;
+  if (entry.typing && !presence.isTyping(roomName, entry.username)) {
+    io.local.to(roomName).emit('userStopTyping', { roomName, username: entry.username });
+  }
+  sendUsersList(roomName);
 });
-const Message = mongoose.model('Message', messageSchema);
 
-// Maintain a map of room -> list of users (as objects: { username, avatar })
-const roomUsers = {};
-// In-memory read receipts (keyed by message ID)
-const readReceipts = {};
+// A direct message as sent to clients: under the room it was sent in, and
+// without the sessions it is bound to
+function toClientDirect(message, roomName) {
+  const { sessions, ...fields } = message;
+  return { ...fields, roomName };
+}
+
+// Prepare stored messages for sending to clients: merge in read receipts that
+// haven't been flushed yet and aggregate reactions into counts
+function toClient(messages) {
+  return readReceipts.mergeInto(messages).map(m => ({ ...m, reactions: aggregateReactions(m.reactions) }));
+}
+
+// History sent with joinedRoom. A client rejoining after a dropped connection
+// passes the id of the last message it has (`since`) and gets only what it
+// missed; when that isn't possible (the message expired, or more than a page
+// was missed) it gets the newest page instead and replaces its history.
+async function loadJoinHistory(room, since) {
+  if (since) {
+    if (!retentionPolicy(room).persist) {
+      return { messages: [], resumed: true };
+    }
+    const missed = await store.getMessagesAfter(room.name, since, { limit: HISTORY_PAGE_SIZE });
+    if (missed && !missed.hasMore) {
+      return { messages: missed.messages, resumed: true };
+    }
+  }
+  const page = await store.getRoomMessages(room.name, { limit: HISTORY_PAGE_SIZE });
+  return { messages: page.messages, hasMore: page.hasMore, resumed: false };
+}
+
+// Store a new message (unless the room is ephemeral, where messages are only
+// relayed) and send it to everyone in the room
+async function publishMessage(room, message) {
+  let messageObj;
+  if (retentionPolicy(room).persist) {
+    messageObj = await store.saveMessage(message);
+  } else {
+    messageObj = { ...message, _id: crypto.randomBytes(12).toString('hex') };
+  }
+  readReceipts.remember(messageObj);
+  io.to(room.name).emit('chatMessage', toClient([messageObj])[0]);
+  return messageObj;
+}
+
+// Log a moderation action in the room as a system message from `actor`
+function postSystemMessage(room, actor, text) {
+  const createdAt = new Date();
+  return publishMessage(room, {
+    roomName: room.name, user: actor, text, system: true,
+    readBy: [actor], createdAt, expiresAt: messageExpiry(room, createdAt)
+  });
+}
+
+// Take a new snapshot of an edited or deleted message in the stored replies
+// to it, and send the replies out again, so their quotes show the current
+// text (or none, once it is deleted)
+async function updateReplyPreviews(room, parent) {
+  if (!retentionPolicy(room).persist) return;
+  const replies = await store.getReplies(room.name, parent._id);
+  const preview = replyPreview(parent);
+  const updated = await Promise.all(replies.map(reply => store.updateMessage(reply._id, { replyPreview: preview })));
+  updated.filter(Boolean).forEach(reply => {
+    io.to(room.name).emit('messageUpdated', { roomName: room.name, message: toClient([reply])[0] });
+  });
+}
+
+// Unfurl the links in a new or edited message in the background and broadcast
+// the previews once they're known, so sending never waits on other websites.
+// Stored messages get the previews saved with them; if the text changed in the
+// meantime, the newer edit brings its own previews and these are dropped.
+async function addLinkPreviews(room, message) {
+  // The server can't (and mustn't) read the links in encrypted messages
+  if (message.encrypted) return;
+  try {
+    const previews = await linkPreviews.unfurl(message.text);
+    if (previews.length === 0 && (message.linkPreviews || []).length === 0) return;
+    let updated;
+    if (retentionPolicy(room).persist) {
+      const current = await store.getMessage(message._id);
+      if (!current || current.deleted || current.text !== message.text) return;
+      updated = await store.updateMessage(message._id, { linkPreviews: previews });
+    } else {
+      updated = { ...message, linkPreviews: previews };
+    }
+    if (updated) {
+      io.to(room.name).emit('messageUpdated', { roomName: room.name, message: toClient([updated])[0] });
+    }
+  } catch (error) {
+    console.error("❌ Error adding link previews:", error);
+  }
+}
 
 io.on('connection', (socket) => {
   console.log(`🟢 Client connected: ${socket.id}`);
 
-  // When a user joins a room (avatar now included)
-  socket.on('joinRoom', async ({ roomName, username, avatar }) => {
+  // Every inbound event is rate limited and its payload checked against the
+  // schemas in validation.js before any handler sees it. Rejected events
+  // are answered with a structured error: { code, event, message } (plus
+  // retryAfterMs for "rateLimited").
+  const limiter = rateLimits.forConnection(
+    clientAddress(socket.handshake.headers, socket.handshake.address, trustedProxies)
+  );
+  socket.use(([event, payload], next) => {
+    const retryAfterMs = limiter.check(event);
+    if (retryAfterMs) {
+      // Typing indicators are best-effort; extra ones are dropped quietly
+      if (event === 'typing' || event === 'stopTyping') return;
+      socket.emit('error', {
+        code: 'rateLimited',
+        event,
+        retryAfterMs,
+        message: "You're doing that too often. Please slow down."
+      });
+      return;
+    }
+    const problem = validateEvent(event, payload);
+    if (problem) {
+      console.log(`🔹 Rejected "${event}" from ${socket.id}: ${problem}`);
+      socket.emit('error', { code: 'invalidPayload', event, message: `Invalid request: ${problem}.` });
+      return;
+    }
+    next();
+  });
+
+  // The identity bound to this socket at joinRoom, which roles, mutes and
+  // bans are checked against
+  const socketUser = () => ({ username: socket.username, session: socket.sessionId });
+
+  // When a user joins a room (avatar now included). The first user to join a
+  // room creates it, choosing how long its messages are kept. The username is
+  // bound to the socket on its first join; later events (and joins of other
+  // rooms) never trust a client-sent name. The session token handed out on
+  // the first join is shared by the client's tabs: connections with the same
+  // session may be in a room under the same username at once (each counts
+  // towards the user's presence), while anyone else gets "usernameTaken".
+  // With `create` set, the room must not exist yet and is created with the
+  // given `access` ("open", "password" or "invite") and `password`. Joining a
+  // protected room takes its `password` or an `invite` token, checked before
+  // the socket joins the room or sees any history. Whoever creates a room
+  // (either way) becomes its owner, in their current session only; banned
+  // users can't join at all.
+  socket.on('joinRoom', async ({
+    roomName, username: requestedName, avatar: requestedAvatar, retention,
+    create, access, password, invite, session, since, encryption
+  }) => {
+    const username = socket.username || requestedName;
+    if (typeof roomName !== 'string' || !roomName.trim()) {
+      socket.emit('joinError', { reason: 'invalidRoom', message: "A room name is required." });
+      return;
+    }
+    if (typeof username !== 'string' || !username.trim()) {
+      socket.emit('joinError', { reason: 'invalidUsername', message: "A username is required." });
+      return;
+    }
+    const sessionId = socket.sessionId || (typeof session === 'string' && session) || crypto.randomBytes(16).toString('hex');
+    let newSettings;
+    if (create) {
+      try {
+        newSettings = await newRoomSettings({ retention, access, password, encryption });
+      } catch (error) {
+        // e.g. a password room without a (long enough) password
+        socket.emit('joinError', { reason: 'invalidSettings', message: error.message });
+        return;
+      }
+    }
+    let room;
+    let avatar;
+    try {
+      // Avatars are uploaded through POST /avatars; the client sends the avatar id
+      avatar = socket.username ? socket.avatar : await resolveAvatar(blobs, requestedAvatar);
+      if (create) {
+        room = await createRoom(roomName, { ...newSettings, owner: username, ownerSession: sessionId });
+        if (!room) {
+          socket.emit('joinError', {
+            reason: 'roomExists',
+            message: `A room named "${roomName}" already exists. Join it instead, or pick another name.`
+          });
+          return;
+        }
+      } else {
+        room = await getRoomSettings(roomName, {
+          retention: normalizeRetention(retention), owner: username, ownerSession: sessionId
+        });
+      }
+    } catch (error) {
+      console.error("❌ Error joining room:", error);
+      socket.emit('joinError', { message: "Error joining room." });
+      return;
+    }
+    if (isBanned(room, { username, session: sessionId })) {
+      socket.emit('joinError', { reason: 'banned', roomName, message: "You have been banned from this room." });
+      return;
+    }
+    // The creator and sockets already in the room (e.g. rejoining it) don't
+    // need credentials
+    if (!create && !socket.rooms.has(roomName)) {
+      const denied = await checkRoomAccess(room, { password, invite });
+      if (denied) {
+        socket.emit('joinError', { ...denied, roomName });
+        return;
+      }
+    }
+    const others = presence.connections(roomName, username, socket.id);
+    if (others.some(c => c.sessionId !== sessionId)) {
+      socket.emit('joinError', {
+        reason: 'usernameTaken',
+        message: `The username "${username}" is already in use in this room.`
+      });
+      return;
+    }
     socket.join(roomName);
-    socket.roomName = roomName;
     socket.username = username;
     socket.avatar = avatar;
-    if (!roomUsers[roomName]) {
-      roomUsers[roomName] = [];
-    }
-    // Only add if not already present
-    if (!roomUsers[roomName].find(u => u.username === username)) {
-      roomUsers[roomName].push({ username, avatar });
-    }
+    socket.sessionId = sessionId;
+    presence.join(roomName, socket.id, { username, avatar, sessionId, status: socket.status || 'online' });
     console.log(`🔹 User "${username}" joined room: "${roomName}"`);
 
     try {
-      // Fetch last 24 hours of messages (including createdAt)
-      const recentMessages = await Message.find({ roomName }).sort({ createdAt: 1 });
-      const messages = recentMessages.map(msg => {
-        const m = msg.toObject();
-        m._id = m._id.toString();
-        if (!m.readBy) m.readBy = [];
-        return m;
+      // Fetch the newest page of the room's unexpired messages (or just the
+      // missed ones when rejoining)
+      const history = await loadJoinHistory(room, since);
+      socket.emit('joinedRoom', {
+        ...history,
+        roomName,
+        room: publicRoom(room),
+        messages: toClient(history.messages),
+        session: sessionId,
+        typingUsers: presence.typingUsers(roomName).filter(u => u !== username),
+        // Members of protected rooms can share (and rejoin with) the invite token
+        inviteToken: room.access && room.access !== 'open' ? room.inviteToken : undefined
       });
-      socket.emit('joinedRoom', { roomName, messages });
-      // Broadcast updated user list to everyone in the room
-      io.to(roomName).emit('usersList', roomUsers[roomName]);
+      // Send the updated user list to everyone in the room
+      sendUsersList(roomName);
     } catch (error) {
-      console.error("❌ Error fetching messages from MongoDB:", error);
+      console.error("❌ Error fetching messages:", error);
       socket.emit('joinError', { message: "Error retrieving chat history." });
     }
   });
 
-  // Handle new chat messages (avatar is also sent along)
-  socket.on('chatMessage', async ({ roomName, user, text, avatar }) => {
+  // Load the page of messages just before the "before" message id
+  socket.on('loadOlderMessages', async ({ roomName, before }) => {
+    if (!socket.rooms.has(roomName)) return;
     try {
+      const page = await store.getRoomMessages(roomName, { limit: HISTORY_PAGE_SIZE, before });
+      const messages = toClient(page.messages);
+      socket.emit('olderMessages', { roomName, messages, hasMore: page.hasMore });
+    } catch (error) {
+      console.error("❌ Error fetching older messages:", error);
+      socket.emit('error', { message: "Failed to load older messages." });
+    }
+  });
+
+  // Search a room's stored messages. `query` is matched word by word;
+  // `from` (a username) and `after`/`before` (timestamps) narrow the results.
+  socket.on('searchMessages', async ({ roomName, query, from, after, before }) => {
+    if (!socket.rooms.has(roomName)) return;
+    const terms = parseSearchQuery(query);
+    const sender = typeof from === 'string' && from.trim() ? from.trim() : null;
+    if (terms.length === 0 && !sender) return;
+    const toDate = (value) => {
+      const date = value ? new Date(value) : null;
+      return date && !isNaN(date) ? date : null;
+    };
+    try {
+      if (terms.length > 0 && (await getRoomSettings(roomName)).encryption) {
+        socket.emit('error', { message: "Encrypted rooms can only be searched by sender and date." });
+        return;
+      }
+      const { messages, hasMore } = await store.searchMessages(roomName, {
+        terms, from: sender, after: toDate(after), before: toDate(before), limit: SEARCH_RESULT_LIMIT
+      });
+      socket.emit('searchResults', { roomName, query, results: toClient(messages), hasMore });
+    } catch (error) {
+      console.error("❌ Error searching messages:", error);
+      socket.emit('error', { message: "Search failed." });
+    }
+  });
+
+  // The text of a new or edited message as it is stored: plaintext in
+  // ordinary rooms. In end-to-end encrypted rooms it is ciphertext the server
+  // never reads, so the sender's client says whom it mentions (only users of
+  // the room, or `knownMentions`, count). Emits an error and returns null for
+  // the wrong kind of text.
+  const messageBody = (room, { text, ciphertext, mentions }, knownMentions = []) => {
+    const usernames = [...roomUsernames(room.name), ...knownMentions];
+    if (room.encryption) {
+      if (!ciphertext || text) {
+        socket.emit('error', { message: "Messages in this room must be end-to-end encrypted." });
+        return null;
+      }
+      return { text: ciphertext, encrypted: true, mentions: [...new Set(mentions || [])].filter(u => usernames.includes(u)) };
+    }
+    if (ciphertext) {
+      socket.emit('error', { message: "This room isn't end-to-end encrypted." });
+      return null;
+    }
+    const plaintext = typeof text === 'string' ? text : '';
+    return { text: plaintext, encrypted: false, mentions: parseMentions(plaintext, usernames) };
+  };
+
+  // Handle new chat messages. Sender name and avatar come from the identity
+  // bound at joinRoom, not from the payload. `replyTo` optionally names the
+  // message being answered, which must be in the same room. `attachments`
+  // lists ids of files uploaded beforehand through POST /attachments.
+  // Encrypted rooms take `ciphertext` and `mentions` instead of `text`.
+  socket.on('chatMessage', async ({
+    roomName, text, ciphertext, mentions: claimedMentions, replyTo, attachments: attachmentIds = []
+  }) => {
+    if (!socket.rooms.has(roomName)) return;
+    const user = socket.username;
+    const avatar = socket.avatar;
+    try {
+      const room = await getRoomSettings(roomName);
+      if (isMuted(room, socketUser())) {
+        socket.emit('error', { message: "You have been muted in this room." });
+        return;
+      }
+      const body = messageBody(room, { text, ciphertext, mentions: claimedMentions });
+      if (!body) return;
+      if (attachmentIds.length > 0) {
+        // Files would be stored unencrypted
+        if (room.encryption) {
+          socket.emit('error', { message: "Files can't be shared in encrypted rooms." });
+          return;
+        }
+        if (!retentionPolicy(room).persist) {
+          socket.emit('error', { message: "Files can't be shared in ephemeral rooms." });
+          return;
+        }
+      }
+      if (!body.text.trim() && attachmentIds.length === 0) return;
+      const reply = {};
+      if (replyTo) {
+        const parent = await store.getMessage(replyTo);
+        if (!parent || parent.roomName !== roomName || parent.deleted) {
+          socket.emit('error', { message: "You can only reply to messages in the same room." });
+          return;
+        }
+        reply.replyTo = parent._id;
+        reply.replyPreview = replyPreview(parent);
+      }
+      // Claimed right before sending, so two messages can't both take an upload
+      let attachments = [];
+      if (attachmentIds.length > 0) {
+        try {
+          attachments = (await claimAttachments(blobs, attachmentIds)).map(toAttachment);
+        } catch (error) {
+          socket.emit('error', { message: error.message });
+          return;
+        }
+      }
       // The sender automatically "reads" their own message
-      const newMessage = new Message({ roomName, user, text, avatar, readBy: [user] });
-      const savedMessage = await newMessage.save();
-      let messageObj = savedMessage.toObject();
-      messageObj._id = messageObj._id.toString();
-      if (!messageObj.readBy) messageObj.readBy = [];
-      readReceipts[messageObj._id] = messageObj.readBy;
-      io.to(roomName).emit('chatMessage', messageObj);
+      const createdAt = new Date();
+      const message = {
+        roomName, user, ...body, avatar, ...reply, attachments,
+        readBy: [user], createdAt, expiresAt: messageExpiry(room, createdAt)
+      };
+      let messageObj;
+      try {
+        messageObj = await publishMessage(room, message);
+      } catch (error) {
+        await Promise.all(attachments.map(a => blobs.release(a.id)));
+        throw error;
+      }
+      // Sending a message ends the sender's typing
+      setTyping(socket, roomName, false);
+      // Attachments now live exactly as long as their message
+      await Promise.all(attachments.map(a => blobs.attach(a.id, messageObj.expiresAt)));
+      addLinkPreviews(room, messageObj);
     } catch (error) {
       console.error("❌ Error saving message:", error);
       socket.emit('error', { message: "Failed to send message." });
     }
   });
 
-  // Handle read receipt updates from clients
-  socket.on('messageRead', ({ messageId, roomName, username }) => {
-    if (!readReceipts[messageId]) {
-      readReceipts[messageId] = [];
+  // Direct messages between two users of a room. They are kept under a
+  // conversation key derived from the room and both usernames (with the
+  // room's retention), go only to the two users' connections, and can only
+  // be loaded by them: the key is always built from this socket's own name,
+  // and each message is stored with the sessions of both users, so someone
+  // who later joins under one of the names doesn't get to read them.
+  // In encrypted rooms they are sent as `ciphertext`, like room messages.
+  socket.on('directMessage', async ({ roomName, peer, text, ciphertext }) => {
+    if (!socket.rooms.has(roomName) || peer === socket.username) return;
+    try {
+      const room = await getRoomSettings(roomName);
+      if (isMuted(room, socketUser())) {
+        socket.emit('error', { message: "You have been muted in this room." });
+        return;
+      }
+      const body = messageBody(room, { text, ciphertext });
+      if (!body || !body.text.trim()) return;
+      const recipients = presence.connections(roomName, peer);
+      if (recipients.length === 0) {
+        socket.emit('error', { message: `${peer} isn't in this room.` });
+        return;
+      }
+      const createdAt = new Date();
+      const message = {
+        roomName: conversationKey(roomName, socket.username, peer),
+        user: socket.username, text: body.text, encrypted: body.encrypted, avatar: socket.avatar,
+        sessions: [...new Set([socket.sessionId, ...recipients.map(c => c.sessionId)])],
+        readBy: [socket.username], createdAt, expiresAt: messageExpiry(room, createdAt)
+      };
+      const saved = retentionPolicy(room).persist
+        ? await store.saveMessage(message)
+        : { ...message, _id: crypto.randomBytes(12).toString('hex') };
+      // Both users' connections, including the sender's other tabs
+      const socketIds = [...recipients, ...presence.connections(roomName, socket.username)].map(c => c.socketId);
+      io.to(socketIds).emit('directMessage', {
+        roomName,
+        participants: [socket.username, peer],
+        message: toClientDirect(saved, roomName)
+      });
+    } catch (error) {
+      console.error("❌ Error sending direct message:", error);
+      socket.emit('error', { message: "Failed to send message." });
     }
-    if (!readReceipts[messageId].includes(username)) {
-      readReceipts[messageId].push(username);
+  });
+
+  // Load a page of this socket's user's direct messages with `peer` (the
+  // newest, or those before the "before" message id), out of those its
+  // session took part in
+  socket.on('loadDirectMessages', async ({ roomName, peer, before }) => {
+    if (!socket.rooms.has(roomName)) return;
+    try {
+      const key = conversationKey(roomName, socket.username, peer);
+      const page = await store.getRoomMessages(key, { limit: HISTORY_PAGE_SIZE, before, session: socket.sessionId });
+      socket.emit('directMessages', {
+        roomName,
+        peer,
+        before: before || null,
+        messages: page.messages.map(m => toClientDirect(m, roomName)),
+        hasMore: page.hasMore
+      });
+    } catch (error) {
+      console.error("❌ Error fetching direct messages:", error);
+      socket.emit('error', { message: "Failed to load direct messages." });
     }
-    io.to(roomName).emit('readReceipt', { messageId, readBy: readReceipts[messageId] });
   });
 
-  // Typing indicator events
-  socket.on('typing', ({ roomName, username }) => {
-    socket.to(roomName).emit('userTyping', { username });
+  // List a message and all replies to it
+  socket.on('getThread', async ({ roomName, messageId }) => {
+    if (!socket.rooms.has(roomName)) return;
+    try {
+      const parent = await store.getMessage(messageId);
+      if (!parent || parent.roomName !== roomName) {
+        socket.emit('error', { message: "Message not found." });
+        return;
+      }
+      const replies = await store.getReplies(roomName, messageId);
+      socket.emit('thread', {
+        roomName,
+        messageId,
+        parent: toClient([parent])[0],
+        replies: toClient(replies)
+      });
+    } catch (error) {
+      console.error("❌ Error fetching thread:", error);
+      socket.emit('error', { message: "Failed to load thread." });
+    }
   });
-  socket.on('stopTyping', ({ roomName, username }) => {
-    socket.to(roomName).emit('userStopTyping', { username });
+
+  // Load a message this socket is allowed to change: it must be stored, belong
+  // to roomName and have been sent by this socket's user (or, with
+  // `moderated`, the user must moderate the room). System messages can't be
+  // changed. Emits an error and resolves to null otherwise.
+  const loadOwnMessage = async (roomName, messageId, { moderated = false } = {}) => {
+    if (!socket.rooms.has(roomName)) return null;
+    const message = await store.getMessage(messageId);
+    if (!message || message.roomName !== roomName || message.deleted || message.system) {
+      socket.emit('error', { message: "Message not found." });
+      return null;
+    }
+    const moderator = moderated && canModerate(await getRoomSettings(roomName), socketUser());
+    if (message.user !== socket.username && !moderator) {
+      socket.emit('error', { message: "You can only change your own messages." });
+      return null;
+    }
+    return message;
+  };
+
+  // Edit the text of one of your own messages
+  socket.on('editMessage', async ({ roomName, messageId, text, ciphertext, mentions: claimedMentions }) => {
+    try {
+      const message = await loadOwnMessage(roomName, messageId);
+      if (!message) return;
+      const room = await getRoomSettings(roomName);
+      if (isMuted(room, socketUser())) {
+        socket.emit('error', { message: "You have been muted in this room." });
+        return;
+      }
+      // Users mentioned before keep their mention even if they've left since
+      const body = messageBody(room, { text, ciphertext, mentions: claimedMentions }, message.mentions || []);
+      if (!body || !body.text.trim()) return;
+      const updated = await store.updateMessage(messageId, { text: body.text, mentions: body.mentions, editedAt: new Date() });
+      if (updated) {
+        io.to(roomName).emit('messageUpdated', { roomName, message: toClient([updated])[0] });
+        addLinkPreviews(room, updated);
+        await updateReplyPreviews(room, updated);
+      }
+    } catch (error) {
+      console.error("❌ Error editing message:", error);
+      socket.emit('error', { message: "Failed to edit message." });
+    }
   });
 
-  // Handle disconnection: remove user from room list and broadcast update
+  // Delete one of your own messages (moderators: any message), leaving a
+  // tombstone in its place
+  socket.on('deleteMessage', async ({ roomName, messageId }) => {
+    try {
+      const message = await loadOwnMessage(roomName, messageId, { moderated: true });
+      if (!message) return;
+      const updated = await store.updateMessage(messageId, {
+        text: '', attachments: [], mentions: [], linkPreviews: [], deleted: true, deletedAt: new Date(),
+        // Moderators removing someone else's message are named on the tombstone
+        deletedBy: message.user !== socket.username ? socket.username : null
+      });
+      await Promise.all((message.attachments || []).map(a => blobs.remove(a.id)));
+      if (updated) {
+        io.to(roomName).emit('messageUpdated', { roomName, message: toClient([updated])[0] });
+        await updateReplyPreviews(await getRoomSettings(roomName), updated);
+      }
+    } catch (error) {
+      console.error("❌ Error deleting message:", error);
+      socket.emit('error', { message: "Failed to delete message." });
+    }
+  });
+
+  // Add or remove the user's reaction on a message and broadcast the new
+  // counts (muted users can't react)
+  const updateReaction = async (roomName, messageId, emoji, add) => {
+    if (!socket.rooms.has(roomName) || !isValidEmoji(emoji)) return;
+    try {
+      if (isMuted(await getRoomSettings(roomName), socketUser())) {
+        socket.emit('error', { message: "You have been muted in this room." });
+        return;
+      }
+      const message = await store.getMessage(messageId);
+      if (!message || message.roomName !== roomName || message.deleted) {
+        socket.emit('error', { message: "Message not found." });
+        return;
+      }
+      const updated = add
+        ? await store.addReaction(messageId, emoji, socket.username)
+        : await store.removeReaction(messageId, emoji, socket.username);
+      if (updated) {
+        io.to(roomName).emit('reactionsUpdated', { roomName, messageId, reactions: aggregateReactions(updated.reactions) });
+      }
+    } catch (error) {
+      console.error("❌ Error updating reaction:", error);
+      socket.emit('error', { message: "Failed to update reaction." });
+    }
+  };
+  socket.on('addReaction', ({ roomName, messageId, emoji }) => updateReaction(roomName, messageId, emoji, true));
+  socket.on('removeReaction', ({ roomName, messageId, emoji }) => updateReaction(roomName, messageId, emoji, false));
+
+  // Handle read receipt updates for single messages (sent by older clients)
+  // (only for messages that actually belong to a room this socket has joined)
+  socket.on('messageRead', async ({ messageId, roomName }) => {
+    if (!socket.rooms.has(roomName)) return;
+    try {
+      const readBy = await readReceipts.markRead(messageId, roomName, socket.username);
+      if (readBy) {
+        io.to(roomName).emit('readReceipt', { roomName, messageId, readBy });
+      }
+    } catch (error) {
+      console.error("❌ Error updating read receipt:", error);
+    }
+  });
+
+  // Mark everything up to and including the message `upTo` as read. Clients
+  // send this (batched) for the newest message that has actually been on
+  // screen; the new readers are broadcast as one readReceipts event.
+  socket.on('messagesRead', async ({ roomName, upTo }) => {
+    if (!socket.rooms.has(roomName) || typeof upTo !== 'string') return;
+    try {
+      const receipts = await readReceipts.markReadUpTo(roomName, upTo, socket.username);
+      if (receipts && receipts.length > 0) {
+        io.to(roomName).emit('readReceipts', { roomName, receipts });
+      }
+    } catch (error) {
+      console.error("❌ Error updating read receipts:", error);
+    }
+  });
+
+  // Moderation of a room's users: `action` is one of kick, mute, unmute, ban,
+  // unban, addModerator or removeModerator (see rooms.js for who may do
+  // what). Kicks and bans force the user's connection out of the room; every
+  // action is logged in the room as a system message. Moderators can only be
+  // appointed while they're in the room, as the role goes to their session.
+  socket.on('moderate', async ({ roomName, action, username: target }) => {
+    if (!socket.rooms.has(roomName)) return;
+    try {
+      const room = await getRoomSettings(roomName);
+      // The target is ranked by the sessions they're connected with
+      const connections = presence.connections(roomName, target, socket.id);
+      const problem = checkModeration(room, socketUser(), action, target, connections.map(c => c.sessionId));
+      if (problem) {
+        socket.emit('error', { message: problem });
+        return;
+      }
+      if ((action === 'kick' || action === 'addModerator') && connections.length === 0) {
+        socket.emit('error', { message: `${target} isn't in this room.` });
+        return;
+      }
+      const session = connections.length > 0 ? connections[0].sessionId : undefined;
+      const changes = applyModeration(room, action, target, { by: socket.username, session });
+      if (!changes && action !== 'kick') return;
+      const updated = changes ? await updateRoomSettings(roomName, changes) : room;
+      if (!updated) return;
+      if (action === 'kick' || action === 'ban') {
+        removeFromRoom(connections, roomName, action, socket.username);
+      }
+      await postSystemMessage(updated, socket.username, moderationNotice(action, socket.username, target));
+      console.log(`🔧 "${socket.username}" ${action}: "${target}" in room "${roomName}"`);
+    } catch (error) {
+      console.error("❌ Error moderating room:", error);
+      socket.emit('error', { message: "Failed to apply the moderation action." });
+    }
+  });
+
+  // Typing indicator events (muted users can't show as typing). Typing is
+  // part of presence, so other instances pass it on to their own sockets.
+  // Clients repeat "typing" every few seconds while the user keeps typing;
+  // without it, typing expires after TYPING_TIMEOUT_MS.
+  socket.on('typing', async ({ roomName }) => {
+    if (!socket.rooms.has(roomName)) return;
+    try {
+      if (isMuted(await getRoomSettings(roomName), socketUser())) return;
+      setTyping(socket, roomName, true);
+    } catch (error) {
+      console.error("❌ Error updating typing status:", error);
+    }
+  });
+  socket.on('stopTyping', ({ roomName }) => {
+    if (!socket.rooms.has(roomName)) return;
+    setTyping(socket, roomName, false);
+  });
+
+  // Whether the user is looking at this tab ("online") or not ("away": the
+  // tab is hidden or has been idle). Applies to all the socket's rooms, and
+  // to the ones it joins later.
+  socket.on('setStatus', ({ status }) => {
+    socket.status = status;
+    presence.setStatus(socket.id, status).forEach(sendUsersList);
+  });
+
+  // Tokens for the upload routes: avatars are picked before joining, so any
+  // connected client may upload one; attachments need a joined user
+  socket.on('requestUploadToken', ({ kind }) => {
+    if (kind === 'attachment' && !socket.username) {
+      socket.emit('error', { message: "Join a room to share files." });
+      return;
+    }
+    socket.emit('uploadToken', uploadTokens.issue(kind));
+  });
+
+  // Leave one room while staying connected to the others (presence is
+  // updated by the adapter's "leave-room" listener)
+  socket.on('leaveRoom', ({ roomName }) => {
+    if (!socket.rooms.has(roomName)) return;
+    socket.leave(roomName);
+    console.log(`🔸 User "${socket.username}" left room: "${roomName}"`);
+  });
+
+  // On disconnection the socket leaves all its rooms, which updates presence
   socket.on('disconnect', () => {
     console.log(`🔴 Client disconnected: ${socket.id}`);
-    const userRoom = socket.roomName;
-    const userName = socket.username;
-    if (userRoom && userName && roomUsers[userRoom]) {
-      roomUsers[userRoom] = roomUsers[userRoom].filter(u => u.username !== userName);
-      io.to(userRoom).emit('usersList', roomUsers[userRoom]);
-    }
   });
 });
 
-// Use Render’s assigned port dynamically
+// Use Render’s assigned port dynamically, once the message and blob stores are ready
 const PORT = process.env.PORT || 10000;
-server.listen(PORT, () => {
-  console.log(`🚀 Server is running on port ${PORT}`);
-});
\ No newline at end of file
+Promise.all([store.connect(), blobs.connect(), pubsub && pubsub.connect()])
+  .then(async () => {
+    await presence.connect();
+    readReceipts.start();
+    server.listen(PORT, () => {
+      console.log(`🚀 Server is running on port ${PORT}`);
+    });
+  })
+  .catch(err => {
+    console.error(`❌ Storage (${store.name} messages, ${blobs.name} attachments) or pub/sub startup error:`, err);
+    process.exit(1);
+  });
+
+// Write out buffered read receipts before shutting down (Render sends SIGTERM)
+const shutdown = async () => {
+  console.log("🛑 Shutting down...");
+  await readReceipts.stop();
+  // Let the other instances drop our users right away
+  await presence.close();
+  if (pubsub) await pubsub.close();
+  await store.close();
+  await blobs.close();
+  process.exit(0);
+};
+process.on('SIGTERM', shutdown);
+process.on('SIGINT', shutdown);
@@ -0,0 +1,243 @@
+// server/linkPreviews.js
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { stripCode } = require('./messages');
+
+// Only the first few links of a message get a preview
+const MAX_PREVIEWS_PER_MESSAGE = 3;
+// Limits for fetching a linked page
+const FETCH_TIMEOUT_MS = 5000;
+const MAX_PAGE_BYTES = 512 * 1024;
+const MAX_REDIRECTS = 3;
+// Previews (and failures) are cached per URL for this long
+const CACHE_TTL_MS = 60 * 60 * 1000;
+const CACHE_SIZE = 500;
+const MAX_TITLE_LENGTH = 200;
+const MAX_DESCRIPTION_LENGTH = 300;
+
+// Links are bare http(s) URLs; trailing punctuation belongs to the sentence.
+// The client auto-links message text with the same rules.
+const URL_PATTERN = /https?:\/\/[^\s<>"'`]+/gi;
+const TRAILING_PUNCTUATION = /[.,;:!?)\]}*_]+$/;
+
+// Unique http(s) URLs in a message's text, ignoring fenced and inline code
+function extractUrls(text) {
+  const urls = (stripCode(text).match(URL_PATTERN) || []).map(url => url.replace(TRAILING_PUNCTUATION, ''));
+  return [...new Set(urls)].slice(0, MAX_PREVIEWS_PER_MESSAGE);
+}
+
+// Addresses that aren't on the public internet: "this network", private,
+// carrier-grade NAT, loopback, link-local, IETF protocol assignments,
+// documentation, benchmarking, multicast and reserved ranges; for IPv6 also
+// unspecified/loopback, discard, Teredo, documentation, unique local,
+// link-local, site-local and multicast.
+const PRIVATE_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+  ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 127], ['100::', 64], ['2001::', 32], ['2001:db8::', 32], ['fc00::', 7], ['fe80::', 10], ['fec0::', 10],
+  ['ff00::', 8]
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+// The eight 16-bit groups of an IPv6 address, however it is written
+// ("::" shorthand, an IPv4 tail, leading zeros left out)
+function ipv6Groups(address) {
+  let text = address.toLowerCase();
+  const tail = text.match(/(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+  if (tail) {
+    const [a, b, c, d] = tail.slice(1).map(Number);
+    text = `${text.slice(0, tail.index)}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+  const parse = (part) => (part ? part.split(':').map(group => parseInt(group, 16)) : []);
+  const [head, rest] = text.split('::');
+  const left = parse(head);
+  const right = rest === undefined ? [] : parse(rest);
+  return [...left, ...new Array(8 - left.length - right.length).fill(0), ...right];
+}
+
+// The IPv4 address inside an IPv4-mapped (::ffff:0:0/96), IPv4-translated
+// (::ffff:0:0:0/96), IPv4-compatible (::/96), NAT64 (64:ff9b::/96) or 6to4
+// (2002::/16) IPv6 address, or null.
+// Connecting to such an address reaches the IPv4 one, so that is what counts.
+function embeddedIPv4(address) {
+  const groups = ipv6Groups(address);
+  const toIPv4 = (high, low) => [high >> 8, high & 0xff, low >> 8, low & 0xff].join('.');
+  const zeros = (from, to) => groups.slice(from, to).every(group => group === 0);
+  if (zeros(0, 5) && (groups[5] === 0xffff || groups[5] === 0)) return toIPv4(groups[6], groups[7]);
+  if (zeros(0, 4) && groups[4] === 0xffff && groups[5] === 0) return toIPv4(groups[6], groups[7]);
+  if (groups[0] === 0x64 && groups[1] === 0xff9b && zeros(2, 6)) return toIPv4(groups[6], groups[7]);
+  if (groups[0] === 0x2002) return toIPv4(groups[1], groups[2]);
+  return null;
+}
+
+// Whether an IP address is loopback, private, link-local or otherwise not on
+// the public internet. Previews must never be fetched from such addresses.
+// Anything that isn't an IP address counts as private.
+function isPrivateAddress(address) {
+  const ip = String(address).replace(/%.*$/, ''); // IPv6 zone, e.g. "fe80::1%eth0"
+  if (net.isIPv4(ip)) return PRIVATE_RANGES.check(ip, 'ipv4');
+  if (!net.isIPv6(ip)) return true;
+  const ipv4 = embeddedIPv4(ip);
+  return ipv4 ? isPrivateAddress(ipv4) : PRIVATE_RANGES.check(ip, 'ipv6');
+}
+
+// dns.lookup for outgoing preview requests that fails unless every address
+// the name resolves to is public. The connection is made to the addresses
+// checked here, so a second DNS answer (DNS rebinding) can't redirect it.
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (addresses.length === 0 || addresses.some(({ address }) => isPrivateAddress(address))) {
+      return callback(new Error(`Refusing to fetch ${hostname}`));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// Reject URLs that aren't http(s) or whose host is a non-public IP address.
+// Host names are checked as they are resolved (see publicLookup).
+function assertPublicUrl(url) {
+  const { protocol, hostname } = new URL(url);
+  if (protocol !== 'http:' && protocol !== 'https:') throw new Error(`Unsupported protocol ${protocol}`);
+  const host = hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && isPrivateAddress(host)) {
+    throw new Error(`Refusing to fetch ${hostname}`);
+  }
+}
+
+// Read at most `limit` bytes of a response
+async function readLimited(stream, limit) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+    size += chunk.length;
+    if (size >= limit) break;
+  }
+  stream.destroy();
+  return Buffer.concat(chunks).subarray(0, limit).toString('utf8');
+}
+
+// GET a URL without following redirects, connecting only to public
+// addresses. Resolves to the response once its headers have arrived.
+function get(url, signal) {
+  assertPublicUrl(url);
+  const client = new URL(url).protocol === 'https:' ? https : http;
+  return new Promise((resolve, reject) => {
+    client.get(url, {
+      lookup: publicLookup,
+      signal,
+      headers: { 'User-Agent': 'YChatBot/1.0 (link previews)', Accept: 'text/html' }
+    }, resolve).on('error', reject);
+  });
+}
+
+// Default fetcher: GET a public HTML page. Redirects are followed by hand so
+// every hop is checked. Resolves to { url, contentType, body }.
+async function fetchPage(url) {
+  const signal = AbortSignal.timeout(FETCH_TIMEOUT_MS);
+  let current = url;
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    const res = await get(current, signal);
+    const { location } = res.headers;
+    if (res.statusCode >= 300 && res.statusCode < 400 && location) {
+      res.destroy();
+      current = new URL(location, current).toString();
+      continue;
+    }
+    if (res.statusCode < 200 || res.statusCode >= 300) {
+      res.destroy();
+      throw new Error(`HTTP ${res.statusCode}`);
+    }
+    const contentType = res.headers['content-type'] || '';
+    const body = contentType.includes('text/html') ? await readLimited(res, MAX_PAGE_BYTES) : '';
+    res.destroy();
+    return { url: current, contentType, body };
+  }
+  throw new Error('Too many redirects');
+}
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+// Decode the HTML entities that commonly appear in titles and descriptions
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return point > 0 && point <= 0x10ffff ? String.fromCodePoint(point) : entity;
+    }
+    return ENTITIES[code.toLowerCase()] || entity;
+  });
+}
+
+// Plain, single-line text of at most `max` characters (tags are stripped;
+// clients render previews as text, never as HTML)
+function cleanText(text, max) {
+  const clean = decodeEntities(String(text || '').replace(/<[^>]*>/g, '')).replace(/\s+/g, ' ').trim();
+  return clean.length > max ? `${clean.slice(0, max - 1)}…` : clean;
+}
+
+// Pull a preview out of a page's <meta> tags (Open Graph, Twitter, plain
+// description) and <title>. Returns null when the page has no title.
+function parsePreview(html, url) {
+  const meta = {};
+  for (const [tag] of html.matchAll(/<meta\b(?:[^>"']|"[^"]*"|'[^']*')*>/gi)) {
+    const attrs = {};
+    for (const [, name, , dq, sq, bare] of tag.matchAll(/([\w:-]+)\s*=\s*("([^"]*)"|'([^']*)'|([^\s"'>]+))/g)) {
+      attrs[name.toLowerCase()] = dq !== undefined ? dq : sq !== undefined ? sq : bare;
+    }
+    const key = (attrs.property || attrs.name || '').toLowerCase();
+    if (key && attrs.content !== undefined && !(key in meta)) meta[key] = attrs.content;
+  }
+  const titleTag = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+  const title = cleanText(meta['og:title'] || meta['twitter:title'] || (titleTag && titleTag[1]), MAX_TITLE_LENGTH);
+  if (!title) return null;
+  return {
+    url,
+    title,
+    description: cleanText(meta['og:description'] || meta['twitter:description'] || meta.description, MAX_DESCRIPTION_LENGTH),
+    siteName: cleanText(meta['og:site_name'], MAX_TITLE_LENGTH) || new URL(url).hostname
+  };
+}
+
+// Creates the link unfurler. `fetchPage(url)` does the actual network access
+// and can be replaced (e.g. by a stub in tests, or `null` to turn previews
+// off); it must resolve to { contentType, body }.
+function createLinkPreviews({ fetchPage: fetcher = fetchPage, cacheTtlMs = CACHE_TTL_MS, cacheSize = CACHE_SIZE } = {}) {
+  // url -> { expires, preview: Promise<preview|null> }
+  const cache = new Map();
+
+  const preview = (url) => {
+    const cached = cache.get(url);
+    if (cached && cached.expires > Date.now()) return cached.preview;
+    const result = Promise.resolve()
+      .then(() => fetcher(url))
+      .then(page => (page && /text\/html/i.test(page.contentType || '') ? parsePreview(page.body || '', url) : null))
+      .catch(error => {
+        console.log(`🔹 No link preview for ${url}: ${error.message}`);
+        return null;
+      });
+    cache.delete(url);
+    cache.set(url, { expires: Date.now() + cacheTtlMs, preview: result });
+    if (cache.size > cacheSize) cache.delete(cache.keys().next().value);
+    return result;
+  };
+
+  return {
+    // Resolves to previews for the links in a message's text, in order,
+    // leaving out links whose page couldn't be fetched or had no title
+    async unfurl(text) {
+      if (!fetcher) return [];
+      const previews = await Promise.all(extractUrls(text).map(preview));
+      return previews.filter(Boolean);
+    }
+  };
+}
+
+module.exports = { createLinkPreviews, extractUrls, parsePreview, isPrivateAddress, fetchPage };
@@ -0,0 +1,117 @@
+// server/messages.js
+
+// Length of the quoted parent text stored with a reply
+const REPLY_PREVIEW_LENGTH = 140;
+
+// A reaction is a single emoji, possibly with modifiers/ZWJ sequences.
+// Keys are also used as field names in MongoDB, so nothing else is allowed.
+const EMOJI_PATTERN = /^(?=.*\p{Extended_Pictographic})(\p{Extended_Pictographic}|\p{Emoji_Component}|\u200d|\ufe0f)+$/u;
+const MAX_EMOJI_LENGTH = 16;
+// Most users a single message can mention
+const MAX_MENTIONS = 20;
+// Limits for search queries
+const MAX_SEARCH_TERMS = 10;
+const MAX_SEARCH_TERM_LENGTH = 50;
+// Words are indexed for search by their prefixes up to this length
+const SEARCH_PREFIX_LENGTH = 20;
+// A word, as far as search indexing is concerned
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+// Snapshot of a parent message stored with replies, so the quote can be shown
+// even when the parent isn't loaded on the client. Encrypted text can't be
+// shortened, so it is kept whole (clients shorten it once decrypted). It is
+// taken again whenever the parent is edited or deleted, and a deleted
+// parent's text is never kept.
+function replyPreview(parent) {
+  if (parent.deleted) return { user: parent.user, text: '', deleted: true };
+  if (parent.encrypted) return { user: parent.user, text: parent.text, encrypted: true };
+  return { user: parent.user, text: parent.text.slice(0, REPLY_PREVIEW_LENGTH) };
+}
+
+// Message text without fenced or inline code, for finding links and mentions
+// that are meant as such
+function stripCode(text) {
+  return String(text || '').replace(/```[\s\S]*?(```|$)/g, ' ').replace(/`[^`\n]*`/g, ' ');
+}
+
+// Users mentioned as "@name" in a message's text, out of `usernames` (case
+// doesn't matter). Names may contain spaces, so the longest matching name
+// wins, and a mention can't run into a following letter or digit.
+function parseMentions(text, usernames) {
+  const names = [...new Set(usernames)].sort((a, b) => b.length - a.length);
+  const prose = stripCode(text);
+  const lower = prose.toLowerCase();
+  const mentioned = new Set();
+  for (let i = lower.indexOf('@'); i !== -1 && mentioned.size < MAX_MENTIONS; i = lower.indexOf('@', i + 1)) {
+    if (i > 0 && /\w/.test(prose[i - 1])) continue; // e.g. an email address
+    const name = names.find(n => (
+      lower.startsWith(n.toLowerCase(), i + 1) && !/\w/.test(prose[i + 1 + n.length] || '')
+    ));
+    if (name) mentioned.add(name);
+  }
+  return [...mentioned];
+}
+
+// Split a search query into lowercase terms. A message matches when every
+// term starts a word in its text (so "deploy" finds "deployment"). Terms
+// without a letter or digit (like "-") can't be looked up in an index, so
+// they are left out.
+function parseSearchQuery(query) {
+  if (typeof query !== 'string') return [];
+  const terms = query.toLowerCase().split(/\s+/)
+    .filter(t => t && t.length <= MAX_SEARCH_TERM_LENGTH && /[\p{L}\p{N}]/u.test(t));
+  return [...new Set(terms)].slice(0, MAX_SEARCH_TERMS);
+}
+
+// The prefixes of every word of a message's text, space-separated, for a
+// text index to find messages by the start of their words (text indexes
+// only match whole words). Encrypted and deleted messages have none.
+function searchPrefixes(message) {
+  if (message.encrypted || message.deleted || !message.text) return '';
+  const prefixes = new Set();
+  for (const [word] of message.text.toLowerCase().matchAll(WORD_PATTERN)) {
+    for (let length = 1; length <= Math.min(word.length, SEARCH_PREFIX_LENGTH); length++) {
+      prefixes.add(word.slice(0, length));
+    }
+  }
+  return [...prefixes].join(' ');
+}
+
+// The prefix a search term is looked up by in searchPrefixes(): its first
+// word, shortened to the longest indexed prefix. Every message the term
+// matches has it, so it narrows down the candidates the term's pattern
+// (searchTermPattern) then decides on.
+function searchToken(term) {
+  const [word] = term.toLowerCase().match(new RegExp(WORD_PATTERN.source, 'u')) || [];
+  return word ? word.slice(0, SEARCH_PREFIX_LENGTH) : null;
+}
+
+// Regular expression source matching a search term at the start of a word
+// (used with the case-insensitive flag by both message stores)
+function searchTermPattern(term) {
+  return `(^|[^\\p{L}\\p{N}_])${term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`;
+}
+
+function isValidEmoji(emoji) {
+  return typeof emoji === 'string' && emoji.length <= MAX_EMOJI_LENGTH && EMOJI_PATTERN.test(emoji);
+}
+
+// Turn stored reactions ({ emoji: [usernames] }) into what clients display:
+// [{ emoji, count, users }], skipping emojis nobody uses anymore
+function aggregateReactions(reactions = {}) {
+  return Object.entries(reactions)
+    .filter(([, users]) => users.length > 0)
+    .map(([emoji, users]) => ({ emoji, count: users.length, users }));
+}
+
+module.exports = {
+  replyPreview,
+  stripCode,
+  parseMentions,
+  parseSearchQuery,
+  searchPrefixes,
+  searchToken,
+  searchTermPattern,
+  isValidEmoji,
+  aggregateReactions
+};
@@ -0,0 +1,16 @@
+// server/presence/index.js
+const createMemoryPresence = require('./memoryPresence');
+const createPubSubPresence = require('./pubsubPresence');
+
+// Pick where presence (who is in which room, who is typing) is kept: in
+// process memory when this is the only server instance, or shared with the
+// other instances through `pubsub` (see ../pubsub) when there is one.
+// `onRoomChange` and `onTypingChange` report changes made by other instances.
+function createPresence({ pubsub, instanceId, onRoomChange, onTypingChange } = {}) {
+  if (pubsub) {
+    return createPubSubPresence({ pubsub, instanceId, onRoomChange, onTypingChange });
+  }
+  return createMemoryPresence();
+}
+
+module.exports = { createPresence };
@@ -0,0 +1,47 @@
+// server/presence/memoryPresence.js
+const { createPresenceTable } = require('./table');
+
+// Presence for a single server instance, kept in process memory. Also the
+// local half of the pub/sub presence, which shares its table.
+function createMemoryPresence({ table = createPresenceTable(), instanceId = 'local' } = {}) {
+  return {
+    name: 'memory',
+
+    async connect() {},
+    async close() {},
+
+    // Record that a socket joined a room as { username, avatar, sessionId, status }
+    join(roomName, socketId, user) {
+      table.set(instanceId, { roomName, socketId, ...user });
+    },
+
+    // Forget a socket's presence in a room; returns the removed entry or null
+    leave(roomName, socketId) {
+      return table.remove(instanceId, roomName, socketId);
+    },
+
+    // Set whether a socket's user is typing in a room. Returns true when
+    // that changes whether the user shows as typing there (they may be
+    // typing on another connection too).
+    setTyping(roomName, socketId, typing) {
+      const entry = table.get(instanceId, roomName, socketId);
+      if (!entry || entry.typing === typing) return false;
+      const before = table.isTyping(roomName, entry.username);
+      entry.typing = typing;
+      return table.isTyping(roomName, entry.username) !== before;
+    },
+
+    // Set a socket's status ("online" or "away") in all its rooms; returns the
+    // rooms where that changed how its user shows up
+    setStatus(socketId, status) {
+      return table.setStatus(instanceId, socketId, status);
+    },
+
+    users: (roomName) => table.users(roomName),
+    connections: (roomName, username, exceptSocketId) => table.connections(roomName, username, exceptSocketId),
+    isTyping: (roomName, username) => table.isTyping(roomName, username),
+    typingUsers: (roomName) => table.typingUsers(roomName)
+  };
+}
+
+module.exports = createMemoryPresence;
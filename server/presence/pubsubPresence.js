@@ -0,0 +1,152 @@
+// server/presence/pubsubPresence.js
+const { createPresenceTable } = require('./table');
+const createMemoryPresence = require('./memoryPresence');
+
+const CHANNEL = 'ychat:presence';
+// Every instance says it's alive this often...
+const HEARTBEAT_INTERVAL_MS = 5000;
+// ...and its users are dropped when it hasn't been heard from for this long
+const INSTANCE_TIMEOUT_MS = 15000;
+
+// Presence shared by several server instances through a pub/sub. Each
+// instance publishes changes to its own sockets' presence and keeps a copy
+// of everyone else's. Instances that stop sending heartbeats (crashed, or cut
+// off) are dropped after a timeout, so their users don't linger in rooms.
+// Changes made by other instances are reported through onRoomChange(roomName)
+// (the room's user list or someone's status changed) and onTypingChange(roomName, username, typing).
+function createPubSubPresence({
+  pubsub, instanceId, onRoomChange = () => {}, onTypingChange = () => {},
+  heartbeatIntervalMs = HEARTBEAT_INTERVAL_MS, instanceTimeoutMs = INSTANCE_TIMEOUT_MS
+}) {
+  const table = createPresenceTable();
+  const local = createMemoryPresence({ table, instanceId });
+  // instanceId -> time we last heard from it
+  const lastSeen = new Map();
+  let timer = null;
+
+  const publish = (type, fields = {}) => pubsub.publish(CHANNEL, { type, instance: instanceId, ...fields });
+  const announce = () => {
+    publish('hello');
+    publish('snapshot', { entries: table.entries(instanceId) });
+  };
+
+  // Apply a change to another instance's entries and report what it changed
+  // in the given rooms
+  const applyRemote = (rooms, change, { members = true } = {}) => {
+    const typingBefore = new Map([...rooms].map(room => [room, table.typingUsers(room)]));
+    change();
+    for (const room of rooms) {
+      const before = typingBefore.get(room);
+      const after = table.typingUsers(room);
+      before.filter(u => !after.includes(u)).forEach(u => onTypingChange(room, u, false));
+      after.filter(u => !before.includes(u)).forEach(u => onTypingChange(room, u, true));
+      if (members) onRoomChange(room);
+    }
+  };
+
+  const dropInstance = (id) => {
+    lastSeen.delete(id);
+    const rooms = new Set(table.entries(id).map(e => e.roomName));
+    applyRemote(rooms, () => table.replace(id, null));
+  };
+
+  const handleMessage = (msg) => {
+    const { type, instance } = msg;
+    if (!instance || instance === instanceId) return;
+    const known = lastSeen.has(instance);
+    lastSeen.set(instance, Date.now());
+    switch (type) {
+      case 'hello':
+        // A new (or reconnected) instance wants everyone's state
+        publish('snapshot', { entries: table.entries(instanceId) });
+        break;
+      case 'resync':
+        if (msg.target === instanceId) publish('snapshot', { entries: table.entries(instanceId) });
+        break;
+      case 'snapshot': {
+        const rooms = new Set([...table.entries(instance), ...msg.entries].map(e => e.roomName));
+        applyRemote(rooms, () => table.replace(instance, msg.entries));
+        break;
+      }
+      case 'join':
+        applyRemote([msg.entry.roomName], () => table.set(instance, msg.entry));
+        break;
+      case 'leave':
+        applyRemote([msg.roomName], () => table.remove(instance, msg.roomName, msg.socketId));
+        break;
+      case 'status':
+        table.setStatus(instance, msg.socketId, msg.status).forEach(onRoomChange);
+        break;
+      case 'typing':
+        applyRemote([msg.roomName], () => table.update(instance, msg.roomName, msg.socketId, { typing: msg.typing }), { members: false });
+        break;
+      case 'bye':
+        dropInstance(instance);
+        return;
+      default:
+        break;
+    }
+    // We missed this instance's earlier messages (e.g. it was dropped after
+    // a network hiccup): ask it for its full state
+    if (!known && type !== 'hello' && type !== 'snapshot') {
+      publish('resync', { target: instance });
+    }
+  };
+
+  const tick = () => {
+    publish('heartbeat');
+    const now = Date.now();
+    for (const [id, seen] of lastSeen) {
+      if (now - seen > instanceTimeoutMs) {
+        console.log(`🔸 Server instance ${id} stopped responding; dropping its users`);
+        dropInstance(id);
+      }
+    }
+  };
+
+  return {
+    ...local,
+    name: 'pubsub',
+
+    async connect() {
+      pubsub.subscribe(CHANNEL, handleMessage);
+      // After the pub/sub connection drops, others may have given up on us
+      pubsub.onReconnect(announce);
+      announce();
+      timer = setInterval(tick, heartbeatIntervalMs);
+      timer.unref();
+    },
+
+    async close() {
+      clearInterval(timer);
+      publish('bye');
+    },
+
+    join(roomName, socketId, user) {
+      local.join(roomName, socketId, user);
+      publish('join', { entry: table.get(instanceId, roomName, socketId) });
+    },
+
+    leave(roomName, socketId) {
+      const entry = local.leave(roomName, socketId);
+      if (entry) publish('leave', { roomName, socketId });
+      return entry;
+    },
+
+    setTyping(roomName, socketId, typing) {
+      const entry = table.get(instanceId, roomName, socketId);
+      if (!entry || entry.typing === typing) return false;
+      const changed = local.setTyping(roomName, socketId, typing);
+      publish('typing', { roomName, socketId, typing });
+      return changed;
+    },
+
+    setStatus(socketId, status) {
+      const rooms = local.setStatus(socketId, status);
+      publish('status', { socketId, status });
+      return rooms;
+    }
+  };
+}
+
+module.exports = createPubSubPresence;
@@ -0,0 +1,192 @@
+// server/presence/table.js
+
+// How many users who left a room are still listed as offline ("last seen")...
+const MAX_DEPARTED_PER_ROOM = 20;
+// ...and for how long
+const DEPARTED_TTL_MS = 24 * 60 * 60 * 1000;
+// How users show up, best first: a user with several connections (tabs)
+// shows the best status among them
+const STATUS_RANKS = { online: 2, away: 1, offline: 0 };
+
+// Who is in which room, through which connection, on which server instance.
+// Each instance owns the entries of its own sockets; the table holds every
+// instance's entries so room-wide questions ("who is here?") can be answered
+// without asking anyone. A user is in a room as long as any of their
+// connections is; when the last one leaves they are remembered for a while
+// as offline, with the time they were last seen.
+function createPresenceTable() {
+  // instanceId -> Map(`${roomName}\n${socketId}` ->
+  //   { roomName, socketId, username, avatar, sessionId, typing, status, activeAt })
+  const instances = new Map();
+  // roomName -> Map(username -> { username, avatar, lastSeen })
+  const departed = new Map();
+  const key = (roomName, socketId) => `${roomName}\n${socketId}`;
+  const entriesOf = (instanceId) => {
+    if (!instances.has(instanceId)) instances.set(instanceId, new Map());
+    return instances.get(instanceId);
+  };
+  const allEntries = function* () {
+    for (const entries of instances.values()) yield* entries.values();
+  };
+  const withDefaults = (entry) => ({ typing: false, status: 'online', activeAt: Date.now(), ...entry });
+  const isPresent = (roomName, username) => {
+    for (const entry of allEntries()) {
+      if (entry.roomName === roomName && entry.username === username) return true;
+    }
+    return false;
+  };
+  const pruneDeparted = (roomName) => {
+    const users = departed.get(roomName);
+    if (!users) return;
+    const cutoff = Date.now() - DEPARTED_TTL_MS;
+    // Oldest first, as they were inserted
+    for (const [name, user] of users) {
+      if (user.lastSeen < cutoff || users.size > MAX_DEPARTED_PER_ROOM) users.delete(name);
+    }
+    if (users.size === 0) departed.delete(roomName);
+  };
+  // Remember users whose last connection to a room is among `entries`
+  const recordDepartures = (entries) => {
+    const now = Date.now();
+    for (const { roomName, username, avatar } of entries) {
+      if (isPresent(roomName, username)) continue;
+      if (!departed.has(roomName)) departed.set(roomName, new Map());
+      const users = departed.get(roomName);
+      users.delete(username);
+      users.set(username, { username, avatar, lastSeen: now });
+      pruneDeparted(roomName);
+    }
+  };
+  const forgetDeparture = (roomName, username) => {
+    const users = departed.get(roomName);
+    if (users) users.delete(username);
+  };
+  // A user's best status in a room among their connections
+  const userStatus = (roomName, username) => {
+    let best = 'offline';
+    for (const entry of allEntries()) {
+      if (entry.roomName === roomName && entry.username === username && STATUS_RANKS[entry.status] > STATUS_RANKS[best]) {
+        best = entry.status;
+      }
+    }
+    return best;
+  };
+
+  return {
+    set(instanceId, entry) {
+      entriesOf(instanceId).set(key(entry.roomName, entry.socketId), withDefaults(entry));
+      forgetDeparture(entry.roomName, entry.username);
+    },
+
+    get(instanceId, roomName, socketId) {
+      return entriesOf(instanceId).get(key(roomName, socketId)) || null;
+    },
+
+    // Remove one entry; returns it, or null if it wasn't there
+    remove(instanceId, roomName, socketId) {
+      const entries = entriesOf(instanceId);
+      const entry = entries.get(key(roomName, socketId)) || null;
+      entries.delete(key(roomName, socketId));
+      if (entry) recordDepartures([entry]);
+      return entry;
+    },
+
+    // Merge changes into one entry; returns the updated entry or null
+    update(instanceId, roomName, socketId, changes) {
+      const entry = entriesOf(instanceId).get(key(roomName, socketId));
+      if (!entry) return null;
+      Object.assign(entry, changes);
+      return entry;
+    },
+
+    // Set the status ("online" or "away") of every entry of one connection;
+    // returns the rooms where that changed how its user shows up
+    setStatus(instanceId, socketId, status) {
+      const rooms = [];
+      for (const entry of entriesOf(instanceId).values()) {
+        if (entry.socketId !== socketId || entry.status === status) continue;
+        const before = userStatus(entry.roomName, entry.username);
+        // For an away connection, activeAt is when it went away
+        entry.status = status;
+        entry.activeAt = Date.now();
+        if (userStatus(entry.roomName, entry.username) !== before) rooms.push(entry.roomName);
+      }
+      return rooms;
+    },
+
+    // All entries owned by an instance
+    entries(instanceId) {
+      return [...entriesOf(instanceId).values()];
+    },
+
+    // Replace (or, without `entries`, drop) all of an instance's entries;
+    // returns the entries it had before
+    replace(instanceId, entries) {
+      const previous = this.entries(instanceId);
+      if (entries) {
+        instances.set(instanceId, new Map(entries.map(e => [key(e.roomName, e.socketId), withDefaults(e)])));
+        entries.forEach(e => forgetDeparture(e.roomName, e.username));
+      } else {
+        instances.delete(instanceId);
+      }
+      recordDepartures(previous);
+      return previous;
+    },
+
+    // Users in a room, once each however many connections they have:
+    // { username, avatar, status, connections, lastSeen }. Users who are
+    // online show no lastSeen; away users were last active at lastSeen, and
+    // recently departed users are listed as offline.
+    users(roomName) {
+      const users = new Map();
+      for (const entry of allEntries()) {
+        if (entry.roomName !== roomName) continue;
+        const user = users.get(entry.username) ||
+          { username: entry.username, avatar: entry.avatar, status: 'offline', connections: 0, lastSeen: 0 };
+        user.connections += 1;
+        if (STATUS_RANKS[entry.status] > STATUS_RANKS[user.status]) user.status = entry.status;
+        user.lastSeen = Math.max(user.lastSeen, entry.activeAt);
+        users.set(entry.username, user);
+      }
+      for (const user of users.values()) {
+        if (user.status === 'online') delete user.lastSeen;
+      }
+      pruneDeparted(roomName);
+      for (const user of (departed.get(roomName) || new Map()).values()) {
+        if (!users.has(user.username)) users.set(user.username, { ...user, status: 'offline', connections: 0 });
+      }
+      return [...users.values()];
+    },
+
+    // The connections through which username is in the room (other than
+    // exceptSocketId): [{ socketId, sessionId }]
+    connections(roomName, username, exceptSocketId) {
+      const connections = [];
+      for (const entry of allEntries()) {
+        if (entry.roomName === roomName && entry.username === username && entry.socketId !== exceptSocketId) {
+          connections.push({ socketId: entry.socketId, sessionId: entry.sessionId });
+        }
+      }
+      return connections;
+    },
+
+    // Whether username is typing in the room on any of their connections
+    isTyping(roomName, username) {
+      for (const entry of allEntries()) {
+        if (entry.roomName === roomName && entry.username === username && entry.typing) return true;
+      }
+      return false;
+    },
+
+    // Usernames typing in a room
+    typingUsers(roomName) {
+      const typing = new Set();
+      for (const entry of allEntries()) {
+        if (entry.roomName === roomName && entry.typing) typing.add(entry.username);
+      }
+      return [...typing];
+    }
+  };
+}
+
+module.exports = { createPresenceTable };
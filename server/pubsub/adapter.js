@@ -0,0 +1,62 @@
+// server/pubsub/adapter.js
+const { Adapter } = require('socket.io-adapter');
+
+// Socket.IO adapter that fans broadcasts out to every server instance through
+// the pub/sub, so `io.to(room).emit(...)` reaches sockets connected to other
+// instances too. Making sockets join or leave rooms and disconnecting them
+// (`io.in(socketId).socketsLeave(room)`, `.disconnectSockets()`) works across
+// instances the same way. Operations flagged `local` stay on this instance.
+// Socket.IO instantiates adapters itself, hence the class.
+function createPubSubAdapter(pubsub, { instanceId }) {
+  // Sets (rooms, except) don't survive JSON
+  const toWire = (opts) => ({
+    rooms: [...(opts.rooms || [])],
+    except: [...(opts.except || [])],
+    flags: opts.flags || {}
+  });
+  const fromWire = (opts) => ({ rooms: new Set(opts.rooms), except: new Set(opts.except), flags: opts.flags });
+
+  return class PubSubAdapter extends Adapter {
+    constructor(nsp) {
+      super(nsp);
+      this.channel = `ychat:socket.io:${nsp.name}`;
+      pubsub.subscribe(this.channel, (msg) => this.onPublished(msg));
+    }
+
+    publish(type, opts, fields = {}) {
+      if (opts.flags && opts.flags.local) return;
+      pubsub.publish(this.channel, { type, instance: instanceId, opts: toWire(opts), ...fields });
+    }
+
+    onPublished({ type, instance, opts, packet, rooms, close }) {
+      if (instance === instanceId) return;
+      const local = fromWire(opts);
+      if (type === 'broadcast') super.broadcast(packet, local);
+      else if (type === 'addSockets') super.addSockets(local, rooms);
+      else if (type === 'delSockets') super.delSockets(local, rooms);
+      else if (type === 'disconnectSockets') super.disconnectSockets(local, close);
+    }
+
+    broadcast(packet, opts) {
+      super.broadcast(packet, opts);
+      this.publish('broadcast', opts, { packet });
+    }
+
+    addSockets(opts, rooms) {
+      super.addSockets(opts, rooms);
+      this.publish('addSockets', opts, { rooms });
+    }
+
+    delSockets(opts, rooms) {
+      super.delSockets(opts, rooms);
+      this.publish('delSockets', opts, { rooms });
+    }
+
+    disconnectSockets(opts, close) {
+      super.disconnectSockets(opts, close);
+      this.publish('disconnectSockets', opts, { close });
+    }
+  };
+}
+
+module.exports = { createPubSubAdapter };
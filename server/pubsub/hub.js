@@ -0,0 +1,62 @@
+// server/pubsub/hub.js
+const net = require('net');
+
+const DEFAULT_PORT = 6390;
+// Connections sending longer lines than this are dropped
+const MAX_FRAME_BYTES = 1024 * 1024;
+
+// A minimal pub/sub broker, so several YChat instances can run together
+// locally (and in tests) without installing a real one. Start it with
+// `npm run pubsub-hub` (PUBSUB_PORT sets the port) and start each instance
+// with PUBSUB_URL=tcp://localhost:6390. Nothing is stored: subscribers only
+// get messages published while they are connected.
+function createHub() {
+  // channel -> connections subscribed to it
+  const subscribers = new Map();
+
+  const handleFrame = (conn, frame) => {
+    if (frame.op === 'sub' && typeof frame.channel === 'string') {
+      if (!subscribers.has(frame.channel)) subscribers.set(frame.channel, new Set());
+      subscribers.get(frame.channel).add(conn);
+    } else if (frame.op === 'pub' && typeof frame.channel === 'string') {
+      const line = `${JSON.stringify({ channel: frame.channel, message: frame.message })}\n`;
+      (subscribers.get(frame.channel) || []).forEach(sub => sub.write(line));
+    }
+  };
+
+  return net.createServer((conn) => {
+    let buffered = '';
+    conn.setEncoding('utf8');
+    conn.on('data', (chunk) => {
+      buffered += chunk;
+      const lines = buffered.split('\n');
+      buffered = lines.pop();
+      if (buffered.length > MAX_FRAME_BYTES) {
+        conn.destroy();
+        return;
+      }
+      for (const line of lines) {
+        try {
+          handleFrame(conn, JSON.parse(line));
+        } catch (err) {
+          // ignore malformed frames
+        }
+      }
+    });
+    conn.on('error', () => {});
+    conn.on('close', () => {
+      subscribers.forEach(subs => subs.delete(conn));
+    });
+  });
+}
+
+if (require.main === module) {
+  // The hub has no authentication, so it only listens locally unless told otherwise
+  const port = Number(process.env.PUBSUB_PORT) || DEFAULT_PORT;
+  const host = process.env.PUBSUB_HOST || '127.0.0.1';
+  createHub().listen(port, host, () => {
+    console.log(`🚀 Pub/sub hub listening on ${host}:${port}`);
+  });
+}
+
+module.exports = { createHub };
@@ -0,0 +1,25 @@
+// server/pubsub/index.js
+const createTcpPubSub = require('./tcpPubSub');
+
+// Pub/sub connecting several server instances, picked by URL:
+//   tcp://host:port   the hub in hub.js (a small stand-in for a real broker)
+//   (none)            this instance runs on its own; nothing is shared
+//
+// Any other broker can be plugged in by providing the same interface:
+//   connect()                    resolves once connected
+//   publish(channel, message)    fire-and-forget; message is JSON-serializable
+//   subscribe(channel, handler)  handler(message) for every message published
+//                                on the channel, by any instance (this one too)
+//   onReconnect(handler)         called after a lost connection is restored
+//                                (messages published meanwhile are lost)
+//   close()
+function createPubSub({ url } = {}) {
+  if (!url) return null;
+  const { protocol } = new URL(url);
+  if (protocol === 'tcp:') {
+    return createTcpPubSub({ url });
+  }
+  throw new Error(`Unsupported pub/sub URL "${url}"`);
+}
+
+module.exports = { createPubSub };
@@ -0,0 +1,113 @@
+// server/pubsub/tcpPubSub.js
+const net = require('net');
+
+// Wait this long before reconnecting to the hub
+const RECONNECT_DELAY_MS = 1000;
+
+// Client for the hub in hub.js. Frames are JSON objects, one per line:
+// { op: 'sub', channel } and { op: 'pub', channel, message } from clients,
+// { channel, message } from the hub.
+function createTcpPubSub({ url }) {
+  const { hostname, port } = new URL(url);
+  // channel -> handlers
+  const handlers = new Map();
+  const reconnectHandlers = [];
+  let socket = null;
+  let connected = false;
+  let closed = false;
+
+  const send = (frame) => {
+    // Like other pub/subs, messages published while disconnected are dropped
+    if (connected) socket.write(`${JSON.stringify(frame)}\n`);
+  };
+
+  const receive = (line) => {
+    let frame;
+    try {
+      frame = JSON.parse(line);
+    } catch (err) {
+      return;
+    }
+    (handlers.get(frame.channel) || []).forEach(handler => {
+      try {
+        handler(frame.message);
+      } catch (error) {
+        console.error(`❌ Error handling pub/sub message on "${frame.channel}":`, error);
+      }
+    });
+  };
+
+  // Connect (again); resolves once connected, rejects if the attempt fails
+  const open = () => new Promise((resolve, reject) => {
+    const conn = net.connect(Number(port), hostname);
+    let buffered = '';
+    conn.setEncoding('utf8');
+    conn.on('connect', () => {
+      socket = conn;
+      connected = true;
+      for (const channel of handlers.keys()) send({ op: 'sub', channel });
+      resolve();
+    });
+    conn.on('data', (chunk) => {
+      buffered += chunk;
+      const lines = buffered.split('\n');
+      buffered = lines.pop();
+      lines.forEach(receive);
+    });
+    conn.on('error', (error) => {
+      if (!connected) reject(error);
+    });
+    conn.on('close', () => {
+      const wasConnected = connected && socket === conn;
+      if (socket === conn) connected = false;
+      if (wasConnected && !closed) {
+        console.error("❌ Lost the pub/sub connection; reconnecting...");
+        reconnect();
+      }
+    });
+  });
+
+  const reconnect = () => {
+    setTimeout(() => {
+      if (closed) return;
+      open()
+        .then(() => {
+          console.log("✅ Reconnected to the pub/sub hub");
+          reconnectHandlers.forEach(handler => handler());
+        })
+        .catch(reconnect);
+    }, RECONNECT_DELAY_MS).unref();
+  };
+
+  return {
+    name: 'tcp',
+
+    async connect() {
+      await open();
+      console.log(`✅ Connected to the pub/sub hub at ${hostname}:${port}`);
+    },
+
+    publish(channel, message) {
+      send({ op: 'pub', channel, message });
+    },
+
+    subscribe(channel, handler) {
+      if (!handlers.has(channel)) {
+        handlers.set(channel, []);
+        send({ op: 'sub', channel });
+      }
+      handlers.get(channel).push(handler);
+    },
+
+    onReconnect(handler) {
+      reconnectHandlers.push(handler);
+    },
+
+    async close() {
+      closed = true;
+      if (socket) await new Promise(resolve => socket.end(resolve));
+    }
+  };
+}
+
+module.exports = createTcpPubSub;
@@ -0,0 +1,143 @@
+// server/rateLimits.js
+
+// Token buckets for inbound socket events. Every event belongs to a class
+// with its own bucket: `capacity` events may be sent in a burst, after which
+// `perSecond` tokens flow back. Each socket has its own buckets, and all
+// sockets from one IP address share a larger set (`ipMultiplier` times the
+// capacity and rate), so opening more connections doesn't buy more sends.
+// HTTP requests have no connection, so they only use the per-IP buckets.
+const DEFAULT_LIMITS = {
+  message: { capacity: 10, perSecond: 1 }, // chatMessage, editMessage, directMessage
+  join: { capacity: 10, perSecond: 0.2 }, // joinRoom
+  search: { capacity: 5, perSecond: 0.5 }, // searchMessages
+  typing: { capacity: 20, perSecond: 2 }, // typing, stopTyping
+  upload: { capacity: 2, perSecond: 0.1 }, // POST /attachments and /avatars (per IP only)
+  default: { capacity: 30, perSecond: 5 } // everything else
+};
+const EVENT_CLASSES = {
+  chatMessage: 'message',
+  editMessage: 'message',
+  directMessage: 'message',
+  joinRoom: 'join',
+  searchMessages: 'search',
+  typing: 'typing',
+  stopTyping: 'typing'
+};
+const DEFAULT_IP_MULTIPLIER = 5;
+// Full per-IP buckets are forgotten after this long without use
+const IP_BUCKET_SWEEP_MS = 5 * 60 * 1000;
+
+function eventClass(event) {
+  return EVENT_CLASSES[event] || 'default';
+}
+
+// A bucket that starts full
+function createBucket({ capacity, perSecond }) {
+  let tokens = capacity;
+  let updatedAt = Date.now();
+  const refill = () => {
+    const now = Date.now();
+    tokens = Math.min(capacity, tokens + ((now - updatedAt) / 1000) * perSecond);
+    updatedAt = now;
+  };
+  return {
+    // 0 when a token is available, or the milliseconds until one is
+    wait() {
+      refill();
+      return tokens >= 1 ? 0 : Math.ceil(((1 - tokens) / perSecond) * 1000);
+    },
+    // Take a token; resolves to 0 on success, or the milliseconds until one is available
+    take() {
+      const wait = this.wait();
+      if (wait === 0) tokens -= 1;
+      return wait;
+    },
+    isFull() {
+      refill();
+      return tokens >= capacity;
+    }
+  };
+}
+
+// Parse RATE_LIMITS (JSON like {"message": {"capacity": 5, "perSecond": 0.5}})
+// over the defaults. Throws for malformed settings.
+function parseLimits(json) {
+  const limits = { ...DEFAULT_LIMITS };
+  if (!json) return limits;
+  const overrides = JSON.parse(json);
+  for (const [name, limit] of Object.entries(overrides)) {
+    if (!limits[name] || !(limit.capacity >= 1) || !(limit.perSecond > 0)) {
+      throw new Error(`Invalid rate limit for "${name}" in RATE_LIMITS`);
+    }
+    limits[name] = { capacity: limit.capacity, perSecond: limit.perSecond };
+  }
+  return limits;
+}
+
+// The address a request came from, which rate limits are keyed by. Behind
+// `trustedProxies` reverse proxies (like Render's) every request comes from
+// the last proxy, and each proxy appends the address it was reached from to
+// X-Forwarded-For. Only those entries can be trusted: anything further left
+// was written by the client. So the client address is the entry that many
+// hops from the right (counting the connection's own address as the last).
+function clientAddress(headers, remoteAddress, trustedProxies = 0) {
+  if (!trustedProxies) return remoteAddress;
+  const forwarded = String(headers['x-forwarded-for'] || '').split(',').map(a => a.trim()).filter(Boolean);
+  const hops = [...forwarded, remoteAddress];
+  return hops[Math.max(0, hops.length - 1 - trustedProxies)];
+}
+
+// Creates the limiter shared by all connections
+function createRateLimits({ limits = DEFAULT_LIMITS, ipMultiplier = DEFAULT_IP_MULTIPLIER } = {}) {
+  // "class:ip" -> bucket
+  const ipBuckets = new Map();
+  const ipBucket = (name, address) => {
+    const key = `${name}:${address}`;
+    if (!ipBuckets.has(key)) {
+      ipBuckets.set(key, createBucket({
+        capacity: limits[name].capacity * ipMultiplier,
+        perSecond: limits[name].perSecond * ipMultiplier
+      }));
+    }
+    return ipBuckets.get(key);
+  };
+
+  const sweepTimer = setInterval(() => {
+    for (const [key, bucket] of ipBuckets) {
+      if (bucket.isFull()) ipBuckets.delete(key);
+    }
+  }, IP_BUCKET_SWEEP_MS);
+  sweepTimer.unref();
+
+  return {
+    // Limiter for one connection from `address`. `check(event)` resolves to
+    // 0 when the event may go through, or the milliseconds to wait.
+    forConnection(address) {
+      const socketBuckets = new Map();
+      return {
+        check(event) {
+          const name = eventClass(event);
+          if (!socketBuckets.has(name)) socketBuckets.set(name, createBucket(limits[name]));
+          // A token is only taken when both buckets have one, so an event
+          // turned away by one bucket doesn't cost a token from the other
+          const buckets = [socketBuckets.get(name), ipBucket(name, address)];
+          const wait = Math.max(...buckets.map(bucket => bucket.wait()));
+          if (wait === 0) buckets.forEach(bucket => bucket.take());
+          return wait;
+        }
+      };
+    },
+
+    // Limit a request of class `name` (e.g. "upload") from `address`;
+    // 0 when it may go through, or the milliseconds to wait
+    checkAddress(name, address) {
+      return ipBucket(name, address).take();
+    },
+
+    stop() {
+      clearInterval(sweepTimer);
+    }
+  };
+}
+
+module.exports = { createRateLimits, parseLimits, clientAddress, DEFAULT_LIMITS };
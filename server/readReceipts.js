@@ -0,0 +1,156 @@
+// server/readReceipts.js
+
+// How often buffered read receipts are written to the message store
+const FLUSH_INTERVAL_MS = 2000;
+// Maximum number of messages whose room and readers are kept in memory
+const CACHE_SIZE = 10000;
+// Most messages one "read up to here" mark can mark as read
+const MAX_MARKED_PER_EVENT = 200;
+// Pub/sub channel keeping the caches of several server instances in step
+const CHANNEL = 'ychat:readReceipts';
+
+// Buffers read receipts in memory and writes them to the store in batches,
+// so a busy room doesn't turn every "messageRead" into a database write.
+// A small cache of recently seen messages is used to check which room a
+// message belongs to and to know its full readBy list without a lookup.
+// With a `pubsub`, new messages and new readers are shared with the other
+// server instances, so their caches know about messages that were never
+// stored (ephemeral rooms) and about receipts that haven't been flushed yet.
+// Only the instance that recorded a receipt writes it to the store.
+function createReadReceipts({ store, pubsub, instanceId, flushIntervalMs = FLUSH_INTERVAL_MS, cacheSize = CACHE_SIZE }) {
+  // messageId -> { roomName, createdAt, readBy: Set<username> }
+  const cache = new Map();
+  // messageId -> Set<username> not yet written to the store
+  let pending = new Map();
+  let flushTimer = null;
+
+  // Remember a message (refreshing its position in the cache)
+  const remember = (message) => {
+    const id = message._id;
+    const entry = cache.get(id) ||
+      { roomName: message.roomName, createdAt: new Date(message.createdAt), readBy: new Set() };
+    (message.readBy || []).forEach(u => entry.readBy.add(u));
+    cache.delete(id);
+    cache.set(id, entry);
+    if (cache.size > cacheSize) {
+      cache.delete(cache.keys().next().value);
+    }
+    return entry;
+  };
+
+  const lookup = async (messageId) => {
+    if (cache.has(messageId)) return cache.get(messageId);
+    const message = await store.getMessage(messageId);
+    if (!message) return null;
+    const entry = remember(message);
+    (pending.get(messageId) || []).forEach(u => entry.readBy.add(u));
+    return entry;
+  };
+
+  // Add a reader to a cached message and queue the receipt for the next flush
+  const addReader = (messageId, entry, username) => {
+    if (entry.readBy.has(username)) return;
+    entry.readBy.add(username);
+    if (!pending.has(messageId)) pending.set(messageId, new Set());
+    pending.get(messageId).add(username);
+    if (pubsub) pubsub.publish(CHANNEL, { type: 'read', instance: instanceId, messageId, username });
+  };
+
+  if (pubsub) {
+    pubsub.subscribe(CHANNEL, (msg) => {
+      if (msg.instance === instanceId) return;
+      if (msg.type === 'remember') {
+        remember(msg.message);
+      } else if (msg.type === 'read' && cache.has(msg.messageId)) {
+        // Messages we don't have cached are loaded from the store when needed
+        cache.get(msg.messageId).readBy.add(msg.username);
+      }
+    });
+  }
+
+  const flush = async () => {
+    if (pending.size === 0) return;
+    const batch = pending;
+    pending = new Map();
+    const receipts = [...batch].map(([messageId, usernames]) => ({ messageId, usernames: [...usernames] }));
+    try {
+      await store.addReadReceipts(receipts);
+    } catch (error) {
+      console.error("❌ Error saving read receipts:", error);
+      // Put the batch back so it is retried on the next flush
+      for (const [messageId, usernames] of batch) {
+        const set = pending.get(messageId) || new Set();
+        usernames.forEach(u => set.add(u));
+        pending.set(messageId, set);
+      }
+    }
+  };
+
+  return {
+    // Remember a new message (and tell the other instances about it)
+    remember(message) {
+      remember(message);
+      if (pubsub) {
+        const { _id, roomName, createdAt, readBy } = message;
+        pubsub.publish(CHANNEL, { type: 'remember', instance: instanceId, message: { _id, roomName, createdAt, readBy } });
+      }
+    },
+
+    flush,
+
+    start() {
+      flushTimer = setInterval(flush, flushIntervalMs);
+      flushTimer.unref();
+    },
+
+    async stop() {
+      clearInterval(flushTimer);
+      await flush();
+    },
+
+    // Record that username read messageId. Resolves to the message's full
+    // readBy list, or null when the message doesn't exist in roomName.
+    async markRead(messageId, roomName, username) {
+      const entry = await lookup(messageId);
+      if (!entry || entry.roomName !== roomName) return null;
+      addReader(messageId, entry, username);
+      return [...entry.readBy];
+    },
+
+    // Record that username read every message in roomName up to and including
+    // upTo (a "high-water mark"). Resolves to [{ messageId, readBy }] for the
+    // messages that weren't read yet, or null when upTo isn't in roomName.
+    async markReadUpTo(roomName, upTo, username) {
+      const mark = await lookup(upTo);
+      if (!mark || mark.roomName !== roomName) return null;
+      // Stored messages come from the store; messages that were never stored
+      // (ephemeral rooms) are only known to the cache
+      const unread = new Map();
+      const stored = await store.getUnreadMessages(roomName, upTo, username, { limit: MAX_MARKED_PER_EVENT });
+      (stored || []).forEach(message => unread.set(message._id, remember(message)));
+      for (const [id, entry] of cache) {
+        if (unread.size >= MAX_MARKED_PER_EVENT) break;
+        if (entry.roomName === roomName && entry.createdAt <= mark.createdAt && !entry.readBy.has(username)) {
+          unread.set(id, entry);
+        }
+      }
+      const receipts = [];
+      for (const [messageId, entry] of unread) {
+        if (entry.readBy.has(username)) continue;
+        addReader(messageId, entry, username);
+        receipts.push({ messageId, readBy: [...entry.readBy] });
+      }
+      return receipts;
+    },
+
+    // Merge receipts that haven't been flushed yet into messages loaded from the store
+    mergeInto(messages) {
+      return messages.map(m => {
+        const entry = remember(m);
+        return { ...m, readBy: [...entry.readBy] };
+      });
+    }
+  };
+}
+
+module.exports = { createReadReceipts };
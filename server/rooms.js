@@ -0,0 +1,290 @@
+// server/rooms.js
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Message retention policies a room can be created with.
+// ttlMs is how long messages are kept (null = forever); "ephemeral" rooms
+// relay messages live but never write them to the store.
+const RETENTION_POLICIES = {
+  '24h': { ttlMs: 24 * HOUR_MS, persist: true },
+  '7d': { ttlMs: 7 * 24 * HOUR_MS, persist: true },
+  forever: { ttlMs: null, persist: true },
+  ephemeral: { ttlMs: null, persist: false }
+};
+const DEFAULT_RETENTION = '24h';
+
+// Who may join a room: anyone, people who know its password, or people with
+// an invite link. Invite links also work for password-protected rooms.
+// Rooms created before access control existed have no setting and are open.
+const ACCESS_MODES = ['open', 'password', 'invite'];
+const MIN_PASSWORD_LENGTH = 4;
+const MAX_PASSWORD_LENGTH = 200;
+
+// Moderation actions and who may take them. Moderators act on members; the
+// owner (the user who created the room) also on moderators, and is the only
+// one who can appoint or remove moderators. Roles are held by a username
+// together with the session it had when the role was given (ownerSession,
+// and moderatorSessions next to the public list of moderators).
+const MODERATION_ACTIONS = ['kick', 'mute', 'unmute', 'ban', 'unban', 'addModerator', 'removeModerator'];
+const OWNER_ONLY_ACTIONS = ['addModerator', 'removeModerator'];
+const ROLE_RANKS = { member: 0, moderator: 1, owner: 2 };
+// How members of an end-to-end encrypted room get its key: derived from a
+// shared passphrase, or carried in the invite link's fragment
+const ENCRYPTION_MODES = ['passphrase', 'link'];
+
+// Fall back to the default policy for missing or unknown values
+function normalizeRetention(retention) {
+  return Object.prototype.hasOwnProperty.call(RETENTION_POLICIES, retention) ? retention : DEFAULT_RETENTION;
+}
+
+function retentionPolicy(room) {
+  return RETENTION_POLICIES[normalizeRetention(room && room.retention)];
+}
+
+// When a message created at `createdAt` in this room expires (null = never)
+function messageExpiry(room, createdAt = new Date()) {
+  const { ttlMs } = retentionPolicy(room);
+  return ttlMs === null ? null : new Date(createdAt.getTime() + ttlMs);
+}
+
+// Key under which the direct messages between two users of a room are
+// stored, in place of a room name. It doesn't depend on who sends, and can't
+// be joined as a room: room names can't contain newlines.
+function conversationKey(roomName, userA, userB) {
+  return ['dm', roomName, ...[userA, userB].sort()].join('\n');
+}
+
+// Room settings that are safe to send to clients (never the password hash,
+// invite token or anyone's session)
+function publicRoom(room) {
+  return {
+    name: room.name,
+    retention: normalizeRetention(room.retention),
+    access: room.access || 'open',
+    owner: room.owner || null,
+    moderators: room.moderators || [],
+    muted: room.muted || [],
+    banned: (room.bans || []).map(ban => ban.username),
+    encryption: room.encryption || null
+  };
+}
+
+// A user's role in a room: "owner", "moderator" or "member". The role only
+// counts for the session it was given to, so whoever joins later under the
+// same name (say, once the owner has left) is just a member. Rooms created
+// before moderation existed have no owner, so nobody can moderate them.
+function roomRole(room, { username, session }) {
+  if (!session) return 'member';
+  if (room.owner && room.owner === username && room.ownerSession === session) return 'owner';
+  return (room.moderatorSessions || []).some(m => m.username === username && m.session === session)
+    ? 'moderator'
+    : 'member';
+}
+
+// The role of a user as a moderation target and in the user list: the best
+// role among the sessions they are connected with, so someone using an
+// owner's or moderator's name in another session is just a member. Users who
+// aren't connected (no `sessions`) are ranked by the name the roles were given
+// to, so nobody gets to act against an absent owner or moderator.
+function userRole(room, username, sessions = []) {
+  if (sessions.length === 0) {
+    if (room.owner && room.owner === username) return 'owner';
+    return (room.moderators || []).includes(username) ? 'moderator' : 'member';
+  }
+  return sessions
+    .map(session => roomRole(room, { username, session }))
+    .reduce((best, role) => (ROLE_RANKS[role] > ROLE_RANKS[best] ? role : best), 'member');
+}
+
+function canModerate(room, user) {
+  return roomRole(room, user) !== 'member';
+}
+
+// Whether `actor` ({ username, session }) may take `action` against the user
+// named `target`, connected with `targetSessions` (see userRole). Resolves to
+// null when allowed, or to an error message.
+function checkModeration(room, actor, action, target, targetSessions = []) {
+  if (!MODERATION_ACTIONS.includes(action)) return "Unknown moderation action.";
+  if (!canModerate(room, actor)) return "Only moderators can do that.";
+  const role = roomRole(room, actor);
+  if (OWNER_ONLY_ACTIONS.includes(action) && role !== 'owner') {
+    return "Only the room owner can appoint moderators.";
+  }
+  if (typeof target !== 'string' || !target || target === actor.username) return "Pick another user.";
+  if (ROLE_RANKS[userRole(room, target, targetSessions)] >= ROLE_RANKS[role]) {
+    return "You can't moderate a user with the same or a higher role.";
+  }
+  return null;
+}
+
+// Mutes and bans go by name, but never catch the owner in their own session:
+// nobody outranks the owner, so a mute or ban of their name was meant for
+// someone else using it
+function isOwnerSession(room, { username, session }) {
+  return roomRole(room, { username, session }) === 'owner';
+}
+
+function isMuted(room, user) {
+  return (room.muted || []).includes(user.username) && !isOwnerSession(room, user);
+}
+
+// Whether a user is banned from the room, by name or by the session of the
+// connection that was banned (so picking a new name doesn't get them back in)
+function isBanned(room, { username, session }) {
+  return (room.bans || []).some(ban => (
+    (ban.username === username && !isOwnerSession(room, { username, session })) ||
+    Boolean(session && ban.session === session)
+  ));
+}
+
+// Salted scrypt hash of a room password, stored as "scrypt:<salt>:<hash>"
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, 32);
+  return `scrypt:${salt.toString('hex')}:${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split(':');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'hex');
+  const actual = await scrypt(password, Buffer.from(salt, 'hex'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// Compare secrets in constant time, whatever their lengths
+function safeEqual(a, b) {
+  const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+  return crypto.timingSafeEqual(digest(a), digest(b));
+}
+
+// Settings for a room created through the "create room" flow. Every such
+// room gets an invite token (only used when the room isn't open). With
+// `encryption` ({ mode, salt, check }, made by the creator's client) the room
+// is end-to-end encrypted. Throws an Error with a user-facing message for
+// invalid choices.
+async function newRoomSettings({ retention, access, password, encryption }) {
+  const mode = ACCESS_MODES.includes(access) ? access : 'open';
+  const settings = {
+    retention: normalizeRetention(retention),
+    access: mode,
+    inviteToken: crypto.randomBytes(16).toString('hex')
+  };
+  if (mode === 'password') {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH || password.length > MAX_PASSWORD_LENGTH) {
+      throw new Error(`Room passwords must be ${MIN_PASSWORD_LENGTH} to ${MAX_PASSWORD_LENGTH} characters long.`);
+    }
+    settings.passwordHash = await hashPassword(password);
+  }
+  if (encryption) {
+    if (!ENCRYPTION_MODES.includes(encryption.mode) || !encryption.salt || !encryption.check) {
+      throw new Error("Invalid encryption settings.");
+    }
+    settings.encryption = { mode: encryption.mode, salt: encryption.salt, check: encryption.check };
+  }
+  return settings;
+}
+
+// Check the credentials sent with joinRoom. Resolves to null when the user
+// may join, or to { reason, message } to send back as a joinError.
+async function checkRoomAccess(room, { password, invite }) {
+  const access = room.access || 'open';
+  if (access === 'open') return null;
+  if (typeof invite === 'string' && invite && room.inviteToken && safeEqual(invite, room.inviteToken)) {
+    return null;
+  }
+  if (access === 'password' && typeof password === 'string' && password) {
+    return await verifyPassword(password, room.passwordHash)
+      ? null
+      : { reason: 'wrongPassword', message: "Wrong password for this room." };
+  }
+  if (invite) {
+    return { reason: 'invalidInvite', message: "This invite link is invalid." };
+  }
+  return access === 'password'
+    ? { reason: 'passwordRequired', message: "This room is protected by a password." }
+    : { reason: 'inviteRequired', message: "This room is invite-only. Ask a member for an invite link." };
+}
+
+// Room settings changed by a moderation action against `target`, or null when
+// the action changes nothing (e.g. muting someone who is already muted, or a
+// kick, which only affects the connection). `session` is the target's
+// current session, recorded with bans and with new moderators (who must
+// have one). Banning someone connected takes the moderator role from their
+// session only, not from a moderator whose name they are using.
+function applyModeration(room, action, target, { by, session } = {}) {
+  const moderators = room.moderators || [];
+  const moderatorSessions = room.moderatorSessions || [];
+  const muted = room.muted || [];
+  const bans = room.bans || [];
+  const without = (list) => list.filter(name => name !== target);
+  const withoutSessions = (only) => moderatorSessions.filter(m => m.username !== target || (only && m.session !== only));
+  switch (action) {
+    case 'mute':
+      return muted.includes(target) ? null : { muted: [...muted, target] };
+    case 'unmute':
+      return muted.includes(target) ? { muted: without(muted) } : null;
+    case 'ban': {
+      if (bans.some(ban => ban.username === target)) return null;
+      const remaining = withoutSessions(session);
+      return {
+        bans: [...bans, { username: target, session: session || undefined, by, bannedAt: new Date() }],
+        moderators: remaining.some(m => m.username === target) ? moderators : without(moderators),
+        moderatorSessions: remaining
+      };
+    }
+    case 'unban':
+      return bans.some(ban => ban.username === target)
+        ? { bans: bans.filter(ban => ban.username !== target) }
+        : null;
+    case 'addModerator':
+      if (!session || moderatorSessions.some(m => m.username === target && m.session === session)) return null;
+      return {
+        moderators: moderators.includes(target) ? moderators : [...moderators, target],
+        moderatorSessions: [...withoutSessions(), { username: target, session }],
+        muted: without(muted)
+      };
+    case 'removeModerator':
+      return moderators.includes(target) ? { moderators: without(moderators), moderatorSessions: withoutSessions() } : null;
+    default:
+      return null;
+  }
+}
+
+// Text of the system message logging a moderation action
+function moderationNotice(action, actor, target) {
+  const notices = {
+    kick: `${actor} removed ${target} from the room.`,
+    mute: `${actor} muted ${target}.`,
+    unmute: `${actor} unmuted ${target}.`,
+    ban: `${actor} banned ${target} from the room.`,
+    unban: `${actor} lifted the ban on ${target}.`,
+    addModerator: `${actor} made ${target} a moderator.`,
+    removeModerator: `${actor} removed ${target} as a moderator.`
+  };
+  return notices[action];
+}
+
+module.exports = {
+  RETENTION_POLICIES,
+  DEFAULT_RETENTION,
+  normalizeRetention,
+  retentionPolicy,
+  messageExpiry,
+  conversationKey,
+  publicRoom,
+  newRoomSettings,
+  checkRoomAccess,
+  roomRole,
+  userRole,
+  canModerate,
+  checkModeration,
+  isMuted,
+  isBanned,
+  applyModeration,
+  moderationNotice
+};
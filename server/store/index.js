@@ -0,0 +1,24 @@
+// server/store/index.js
+const createMongoStore = require('./mongoStore');
+const createMemoryStore = require('./memoryStore');
+
+// Pick a message store based on config:
+//   backend: "mongo" | "memory" (defaults to "mongo" when a Mongo URI is set)
+//   mongoUri: MongoDB connection string (required for the mongo backend)
+//   file: optional JSON file the memory backend persists to between restarts
+function createStore(config = {}) {
+  const backend = config.backend || (config.mongoUri ? 'mongo' : 'memory');
+
+  if (backend === 'mongo') {
+    if (!config.mongoUri) {
+      throw new Error('MONGO_URI must be set to use the mongo message store');
+    }
+    return createMongoStore(config);
+  }
+  if (backend === 'memory') {
+    return createMemoryStore(config);
+  }
+  throw new Error(`Unknown message store backend: "${backend}"`);
+}
+
+module.exports = { createStore };
@@ -0,0 +1,283 @@
+// server/store/memoryStore.js
+const fs = require('fs');
+const crypto = require('crypto');
+const { searchTermPattern } = require('../messages');
+
+// How often expired messages are swept out of memory
+const SWEEP_INTERVAL_MS = 60 * 1000;
+// Delay used to coalesce several changes into a single file write
+const SAVE_DELAY_MS = 500;
+
+// Generate a 24-character hex id, the same shape as a MongoDB ObjectId
+function newId() {
+  return crypto.randomBytes(12).toString('hex');
+}
+
+// Copy a stored message so callers can't mutate the store by accident
+function toMessage(m) {
+  const reactions = {};
+  Object.entries(m.reactions || {}).forEach(([emoji, users]) => { reactions[emoji] = [...users]; });
+  return { ...m, readBy: [...m.readBy], reactions };
+}
+
+// Revive dates of a message read back from the JSON file
+function fromJSON(m) {
+  return {
+    ...m,
+    createdAt: new Date(m.createdAt),
+    expiresAt: m.expiresAt ? new Date(m.expiresAt) : null,
+    editedAt: m.editedAt ? new Date(m.editedAt) : null,
+    deletedAt: m.deletedAt ? new Date(m.deletedAt) : null,
+    readBy: m.readBy || []
+  };
+}
+
+// Message store kept in process memory, optionally persisted to a JSON file.
+// Meant for local development, CI and tests where no MongoDB is available.
+function createMemoryStore({ file }) {
+  // roomName -> messages in insertion (= creation) order
+  const roomMessages = new Map();
+  // messageId -> message, for lookups and updates by id
+  const byId = new Map();
+  // roomName -> room settings
+  const rooms = new Map();
+  let sweepTimer = null;
+  let saveTimer = null;
+
+  const isExpired = (m, now = Date.now()) => Boolean(m.expiresAt) && m.expiresAt.getTime() <= now;
+
+  const sweep = () => {
+    const now = Date.now();
+    for (const [roomName, list] of roomMessages) {
+      const kept = list.filter(m => !isExpired(m, now));
+      list.filter(m => isExpired(m, now)).forEach(m => byId.delete(m._id));
+      if (kept.length === 0) roomMessages.delete(roomName);
+      else if (kept.length !== list.length) roomMessages.set(roomName, kept);
+    }
+  };
+
+  const insert = (message) => {
+    if (!roomMessages.has(message.roomName)) roomMessages.set(message.roomName, []);
+    roomMessages.get(message.roomName).push(message);
+    byId.set(message._id, message);
+  };
+
+  const writeFile = () => {
+    saveTimer = null;
+    const data = { rooms: [...rooms.values()], messages: [].concat(...roomMessages.values()) };
+    const tmp = `${file}.tmp`;
+    return fs.promises.writeFile(tmp, JSON.stringify(data))
+      .then(() => fs.promises.rename(tmp, file))
+      .catch(err => console.error("❌ Error writing message store file:", err));
+  };
+
+  const scheduleSave = () => {
+    if (!file || saveTimer) return;
+    saveTimer = setTimeout(writeFile, SAVE_DELAY_MS);
+  };
+
+  const loadFile = async () => {
+    let raw;
+    try {
+      raw = await fs.promises.readFile(file, 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') return;
+      throw err;
+    }
+    const data = JSON.parse(raw);
+    // Files written before room settings existed hold a bare message array
+    const messages = Array.isArray(data) ? data : data.messages;
+    for (const room of (Array.isArray(data) ? [] : data.rooms)) {
+      rooms.set(room.name, { ...room, createdAt: new Date(room.createdAt) });
+    }
+    for (const m of messages) {
+      const message = fromJSON(m);
+      if (!isExpired(message)) insert(message);
+    }
+  };
+
+  return {
+    name: 'memory',
+
+    async connect() {
+      if (file) await loadFile();
+      sweepTimer = setInterval(sweep, SWEEP_INTERVAL_MS);
+      sweepTimer.unref();
+      console.log(`✅ Using in-memory message store${file ? ` (persisted to ${file})` : ''}`);
+    },
+
+    async close() {
+      clearInterval(sweepTimer);
+      if (saveTimer) {
+        clearTimeout(saveTimer);
+        await writeFile();
+      }
+    },
+
+    async getRoom(roomName) {
+      const room = rooms.get(roomName);
+      return room ? { ...room } : null;
+    },
+
+    // Return the room's settings, creating the room with `settings` if it doesn't exist yet
+    async ensureRoom(roomName, settings = {}) {
+      if (!rooms.has(roomName)) {
+        rooms.set(roomName, { ...settings, name: roomName, createdAt: new Date() });
+        scheduleSave();
+      }
+      return { ...rooms.get(roomName) };
+    },
+
+    // Set fields on a room's settings; resolves to the updated room or null
+    async updateRoom(roomName, changes) {
+      const room = rooms.get(roomName);
+      if (!room) return null;
+      Object.assign(room, changes);
+      scheduleSave();
+      return { ...room };
+    },
+
+    async saveMessage({ readBy = [], ...fields }) {
+      const message = {
+        _id: newId(),
+        createdAt: new Date(),
+        expiresAt: null,
+        editedAt: null,
+        deleted: false,
+        deletedAt: null,
+        deletedBy: null,
+        replyTo: null,
+        reactions: {},
+        attachments: [],
+        mentions: [],
+        linkPreviews: [],
+        system: false,
+        encrypted: false,
+        ...fields,
+        readBy: [...readBy]
+      };
+      insert(message);
+      scheduleSave();
+      return toMessage(message);
+    },
+
+    async getMessage(messageId) {
+      const message = byId.get(messageId);
+      return message && !isExpired(message) ? toMessage(message) : null;
+    },
+
+    // Set fields on an unexpired message; resolves to the updated message or null
+    async updateMessage(messageId, changes) {
+      const message = byId.get(messageId);
+      if (!message || isExpired(message)) return null;
+      Object.assign(message, changes);
+      scheduleSave();
+      return toMessage(message);
+    },
+
+    // Add username to the users who reacted with emoji; resolves to the updated message or null
+    async addReaction(messageId, emoji, username) {
+      const message = byId.get(messageId);
+      if (!message || isExpired(message)) return null;
+      if (!message.reactions) message.reactions = {};
+      const users = message.reactions[emoji] || [];
+      if (!users.includes(username)) message.reactions[emoji] = [...users, username];
+      scheduleSave();
+      return toMessage(message);
+    },
+
+    // Remove username's reaction with emoji; resolves to the updated message or null
+    async removeReaction(messageId, emoji, username) {
+      const message = byId.get(messageId);
+      if (!message || isExpired(message)) return null;
+      const users = (message.reactions || {})[emoji] || [];
+      if (users.includes(username)) {
+        const remaining = users.filter(u => u !== username);
+        if (remaining.length > 0) message.reactions[emoji] = remaining;
+        else delete message.reactions[emoji];
+        scheduleSave();
+      }
+      return toMessage(message);
+    },
+
+    // Apply a batch of read receipts: [{ messageId, usernames }]
+    async addReadReceipts(receipts) {
+      for (const { messageId, usernames } of receipts) {
+        const message = byId.get(messageId);
+        if (!message) continue;
+        usernames.forEach(u => {
+          if (!message.readBy.includes(u)) message.readBy.push(u);
+        });
+      }
+      scheduleSave();
+    },
+
+    // One page of a room's unexpired messages, oldest first: the newest
+    // `limit` messages, or the `limit` messages just before the `before` id.
+    // With `session`, only messages stored with it among their `sessions`
+    // (direct messages) count.
+    async getRoomMessages(roomName, { limit, before, session } = {}) {
+      const now = Date.now();
+      let list = (roomMessages.get(roomName) || []).filter(m => (
+        !isExpired(m, now) && (!session || (m.sessions || []).includes(session))
+      ));
+      if (before) {
+        const index = list.findIndex(m => m._id === before);
+        list = index === -1 ? [] : list.slice(0, index);
+      }
+      const start = limit ? Math.max(0, list.length - limit) : 0;
+      return { messages: list.slice(start).map(toMessage), hasMore: start > 0 };
+    },
+
+    // Up to `limit` unexpired messages (newest first) up to and including the
+    // `upTo` id that username hasn't read. Resolves to null when that message
+    // no longer exists in the room.
+    async getUnreadMessages(roomName, upTo, username, { limit } = {}) {
+      const now = Date.now();
+      const list = (roomMessages.get(roomName) || []).filter(m => !isExpired(m, now));
+      const index = list.findIndex(m => m._id === upTo);
+      if (index === -1) return null;
+      const unread = list.slice(0, index + 1).filter(m => !m.readBy.includes(username)).reverse();
+      return unread.slice(0, limit || unread.length).map(toMessage);
+    },
+
+    // Up to `limit` of a room's unexpired, undeleted messages matching a
+    // search, newest first: every term must start a word of the text (in any
+    // case; short and common words count like any other), and `from`, `after`
+    // and `before` restrict the sender and creation time
+    async searchMessages(roomName, { terms = [], from, after, before, limit }) {
+      const now = Date.now();
+      const patterns = terms.map(t => new RegExp(searchTermPattern(t), 'iu'));
+      const matches = (roomMessages.get(roomName) || []).filter(m => (
+        !isExpired(m, now) && !m.deleted &&
+        (!from || m.user === from) &&
+        (!after || m.createdAt >= after) &&
+        (!before || m.createdAt <= before) &&
+        patterns.every(p => p.test(m.text))
+      )).reverse();
+      return { messages: matches.slice(0, limit).map(toMessage), hasMore: matches.length > limit };
+    },
+
+    // All unexpired replies to a message, oldest first
+    async getReplies(roomName, parentId) {
+      const now = Date.now();
+      return (roomMessages.get(roomName) || [])
+        .filter(m => m.replyTo === parentId && !isExpired(m, now))
+        .map(toMessage);
+    },
+
+    // Up to `limit` messages created after the `after` id, oldest first.
+    // Resolves to null when that message no longer exists in the room.
+    async getMessagesAfter(roomName, after, { limit } = {}) {
+      const now = Date.now();
+      const list = (roomMessages.get(roomName) || []).filter(m => !isExpired(m, now));
+      const index = list.findIndex(m => m._id === after);
+      if (index === -1) return null;
+      const newer = list.slice(index + 1);
+      const end = limit ? Math.min(limit, newer.length) : newer.length;
+      return { messages: newer.slice(0, end).map(toMessage), hasMore: end < newer.length };
+    }
+  };
+}
+
+module.exports = createMemoryStore;
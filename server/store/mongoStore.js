@@ -0,0 +1,355 @@
+// server/store/mongoStore.js
+const mongoose = require('mongoose');
+const { searchPrefixes, searchToken, searchTermPattern } = require('../messages');
+
+// Lifetime of messages saved before rooms had their own retention setting
+const LEGACY_TTL_MS = 24 * 60 * 60 * 1000;
+// Name of the text index search uses
+const SEARCH_INDEX = 'roomName_searchPrefixes_text';
+// Messages given search prefixes per write when backfilling them
+const BACKFILL_BATCH_SIZE = 500;
+
+// Define a Message schema with an expiry date, relative timestamps and read receipts
+const messageSchema = new mongoose.Schema({
+  roomName: { type: String, required: true },
+  user: { type: String, required: true },
+  avatar: { type: String }, // optionally store sender's avatar with the message
+  // Deleted messages are kept as tombstones without text; messages with
+  // attachments may have no text either
+  text: {
+    type: String,
+    default: '',
+    required: function () { return !this.deleted && !(this.attachments && this.attachments.length > 0); }
+  },
+  createdAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, default: null }, // null = kept forever
+  editedAt: { type: Date, default: null },
+  deleted: { type: Boolean, default: false },
+  deletedAt: { type: Date, default: null },
+  // Moderator who deleted someone else's message
+  deletedBy: { type: String, default: null },
+  // Id of the message this one replies to, with a snapshot of the quoted parent
+  replyTo: { type: String, default: null },
+  replyPreview: { user: String, text: String, encrypted: Boolean, deleted: Boolean },
+  // Files uploaded through POST /attachments
+  attachments: {
+    type: [{ _id: false, id: String, name: String, type: { type: String }, size: Number }],
+    default: []
+  },
+  // Usernames mentioned as "@name" in the text
+  mentions: { type: [String], default: [] },
+  // Title/description of pages linked in the text, added after the message is sent
+  linkPreviews: {
+    type: [{ _id: false, url: String, title: String, description: String, siteName: String }],
+    default: []
+  },
+  // Notices like "alice muted bob", posted by the server rather than a user
+  system: { type: Boolean, default: false },
+  // The text is ciphertext from an end-to-end encrypted room, which only its
+  // members can read
+  encrypted: { type: Boolean, default: false },
+  // Direct messages only: the sessions of the two users, the only ones that
+  // may load the message
+  sessions: { type: [String], default: undefined },
+  // emoji -> usernames who reacted with it
+  reactions: { type: Map, of: [String], default: {} },
+  readBy: { type: [String], default: [] },
+  // The prefixes of the text's words (see searchPrefixes in messages.js),
+  // only used by the search index
+  searchPrefixes: { type: String, select: false }
+});
+messageSchema.index({ roomName: 1, createdAt: -1, _id: -1 });
+messageSchema.index({ roomName: 1, replyTo: 1 });
+// Text index for searching a room's messages by the start of their words.
+// Without a language the prefixes are neither stemmed nor left out as stop
+// words.
+messageSchema.index({ roomName: 1, searchPrefixes: 'text' }, { name: SEARCH_INDEX, default_language: 'none' });
+// TTL index: MongoDB deletes each message once its own expiresAt has passed
+messageSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Room-level settings, created by the first user to join a room
+const roomSchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true },
+  retention: { type: String },
+  // "open", "password" or "invite"; missing for rooms created before access control
+  access: { type: String },
+  passwordHash: { type: String },
+  inviteToken: { type: String },
+  // End-to-end encryption, chosen by the creator: how members get the key
+  // ("passphrase" or "link"), the key derivation salt, and a known text
+  // encrypted with the key so clients can tell a wrong key from a right one.
+  // The server never sees the key.
+  encryption: { type: { _id: false, mode: String, salt: String, check: String }, default: undefined },
+  // Moderation: the creator owns the room and can appoint moderators. Roles
+  // belong to the session they were given to.
+  owner: { type: String },
+  ownerSession: { type: String },
+  moderators: { type: [String], default: [] },
+  moderatorSessions: { type: [{ _id: false, username: String, session: String }], default: [] },
+  muted: { type: [String], default: [] },
+  // Banned usernames, with the session of the connection that was banned
+  bans: {
+    type: [{ _id: false, username: String, session: String, by: String, bannedAt: Date }],
+    default: []
+  },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Matches messages that haven't expired yet. The TTL monitor only runs once
+// a minute, so expired documents are filtered out explicitly.
+const notExpired = () => ({ $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }] });
+
+// Convert a mongoose document into the plain object sent to clients
+function toMessage(doc) {
+  const m = doc.toObject({ flattenMaps: true });
+  m._id = m._id.toString();
+  if (!m.readBy) m.readBy = [];
+  if (!m.reactions) m.reactions = {};
+  delete m.searchPrefixes;
+  return m;
+}
+
+// Earlier versions expired every message 24h after createdAt through a TTL
+// index on that field. Drop it so per-room retention applies, and give the
+// messages it covered an explicit expiresAt instead.
+async function migrateLegacyTTL(Message) {
+  const indexes = await Message.collection.indexes().catch(() => []);
+  const legacy = indexes.find(i => i.key.createdAt && i.expireAfterSeconds !== undefined);
+  if (!legacy) return;
+  await Message.collection.dropIndex(legacy.name);
+  await Message.updateMany(
+    { expiresAt: { $exists: false } },
+    [{ $set: { expiresAt: { $add: ['$createdAt', LEGACY_TTL_MS] } } }]
+  );
+  console.log("🔧 Migrated messages from the fixed 24h TTL index to per-message expiry");
+}
+
+// Give messages saved before search indexed word prefixes their prefixes. A collection can only have one
+// text index, so an existing one on other fields is left alone with a warning:
+// search can't work until it is dropped.
+async function prepareSearchIndex(Message) {
+  const indexes = await Message.collection.indexes().catch(() => []);
+  const other = indexes.find(i => i.key._fts === 'text' && i.name !== SEARCH_INDEX);
+  if (other) {
+    console.warn(`⚠️ The messages collection already has the text index "${other.name}"; drop it so search can create "${SEARCH_INDEX}"`);
+  }
+  const cursor = Message.find({ searchPrefixes: { $exists: false } }, { text: 1, encrypted: 1, deleted: 1 }).lean().cursor();
+  let batch = [];
+  let count = 0;
+  const flush = async () => {
+    if (batch.length === 0) return;
+    await Message.bulkWrite(batch, { ordered: false });
+    count += batch.length;
+    batch = [];
+  };
+  for await (const doc of cursor) {
+    batch.push({ updateOne: { filter: { _id: doc._id }, update: { $set: { searchPrefixes: searchPrefixes(doc) } } } });
+    if (batch.length >= BACKFILL_BATCH_SIZE) await flush();
+  }
+  await flush();
+  if (count > 0) console.log(`🔧 Indexed ${count} existing messages for search`);
+}
+
+// Message store backed by MongoDB (Atlas in production)
+function createMongoStore({ mongoUri }) {
+  const Message = mongoose.model('Message', messageSchema);
+  const Room = mongoose.model('Room', roomSchema);
+
+  return {
+    name: 'mongo',
+
+    async connect() {
+      await mongoose.connect(mongoUri, { useNewUrlParser: true, useUnifiedTopology: true });
+      console.log("✅ Successfully connected to MongoDB Atlas!");
+      await migrateLegacyTTL(Message);
+      await prepareSearchIndex(Message);
+    },
+
+    async close() {
+      await mongoose.disconnect();
+    },
+
+    async getRoom(roomName) {
+      return Room.findOne({ name: roomName }).lean();
+    },
+
+    // Return the room's settings, creating the room with `settings` if it doesn't exist yet
+    async ensureRoom(roomName, settings = {}) {
+      return Room.findOneAndUpdate(
+        { name: roomName },
+        { $setOnInsert: { ...settings, name: roomName, createdAt: new Date() } },
+        { upsert: true, new: true }
+      ).lean();
+    },
+
+    // Set fields on a room's settings; resolves to the updated room or null
+    async updateRoom(roomName, changes) {
+      return Room.findOneAndUpdate({ name: roomName }, { $set: changes }, { new: true }).lean();
+    },
+
+    async saveMessage(fields) {
+      const saved = await new Message({ ...fields, searchPrefixes: searchPrefixes(fields) }).save();
+      return toMessage(saved);
+    },
+
+    async getMessage(messageId) {
+      if (!mongoose.isValidObjectId(messageId)) return null;
+      const doc = await Message.findOne({ _id: messageId, ...notExpired() });
+      return doc ? toMessage(doc) : null;
+    },
+
+    // Set fields on an unexpired message; resolves to the updated message or null
+    async updateMessage(messageId, changes) {
+      if (!mongoose.isValidObjectId(messageId)) return null;
+      const set = { ...changes };
+      if (changes.text !== undefined) {
+        // Re-index the words of changed text (unless it's ciphertext)
+        const current = await Message.findById(messageId, { encrypted: 1, deleted: 1 }).lean();
+        set.searchPrefixes = current ? searchPrefixes({ ...current, ...changes }) : '';
+      }
+      const doc = await Message.findOneAndUpdate(
+        { _id: messageId, ...notExpired() },
+        { $set: set },
+        { new: true }
+      );
+      return doc ? toMessage(doc) : null;
+    },
+
+    // Add username to the users who reacted with emoji; resolves to the updated message or null
+    async addReaction(messageId, emoji, username) {
+      if (!mongoose.isValidObjectId(messageId)) return null;
+      const doc = await Message.findOneAndUpdate(
+        { _id: messageId, ...notExpired() },
+        { $addToSet: { [`reactions.${emoji}`]: username } },
+        { new: true }
+      );
+      return doc ? toMessage(doc) : null;
+    },
+
+    // Remove username's reaction with emoji; resolves to the updated message or null
+    async removeReaction(messageId, emoji, username) {
+      if (!mongoose.isValidObjectId(messageId)) return null;
+      const doc = await Message.findOneAndUpdate(
+        { _id: messageId, ...notExpired() },
+        { $pull: { [`reactions.${emoji}`]: username } },
+        { new: true }
+      );
+      return doc ? toMessage(doc) : null;
+    },
+
+    // Apply a batch of read receipts: [{ messageId, usernames }]
+    async addReadReceipts(receipts) {
+      const ops = receipts
+        .filter(({ messageId }) => mongoose.isValidObjectId(messageId))
+        .map(({ messageId, usernames }) => ({
+          updateOne: {
+            filter: { _id: messageId },
+            update: { $addToSet: { readBy: { $each: usernames } } }
+          }
+        }));
+      if (ops.length > 0) await Message.bulkWrite(ops, { ordered: false });
+    },
+
+    // One page of a room's unexpired messages, oldest first: the newest
+    // `limit` messages, or the `limit` messages just before the `before` id.
+    // With `session`, only messages stored with it among their `sessions`
+    // (direct messages) count.
+    async getRoomMessages(roomName, { limit, before, session } = {}) {
+      const query = { roomName, $and: [notExpired()] };
+      if (session) query.sessions = session;
+      if (before) {
+        const cursor = mongoose.isValidObjectId(before) && await Message.findById(before, { createdAt: 1 });
+        if (!cursor) return { messages: [], hasMore: false };
+        query.$and.push({
+          $or: [
+            { createdAt: { $lt: cursor.createdAt } },
+            { createdAt: cursor.createdAt, _id: { $lt: cursor._id } }
+          ]
+        });
+      }
+      let find = Message.find(query).sort({ createdAt: -1, _id: -1 });
+      if (limit) find = find.limit(limit + 1);
+      const docs = await find;
+      const hasMore = Boolean(limit) && docs.length > limit;
+      return { messages: docs.slice(0, limit || docs.length).reverse().map(toMessage), hasMore };
+    },
+
+    // Up to `limit` unexpired messages (newest first, with only their room,
+    // creation time and readers) up to and including the `upTo` id that
+    // username hasn't read. Resolves to null when that message no longer
+    // exists in the room.
+    async getUnreadMessages(roomName, upTo, username, { limit } = {}) {
+      const cursor = mongoose.isValidObjectId(upTo) &&
+        await Message.findOne({ _id: upTo, roomName, ...notExpired() }, { createdAt: 1 });
+      if (!cursor) return null;
+      let find = Message.find({
+        roomName,
+        readBy: { $ne: username },
+        $and: [
+          notExpired(),
+          {
+            $or: [
+              { createdAt: { $lt: cursor.createdAt } },
+              { createdAt: cursor.createdAt, _id: { $lte: cursor._id } }
+            ]
+          }
+        ]
+      }, { roomName: 1, createdAt: 1, readBy: 1 }).sort({ createdAt: -1, _id: -1 });
+      if (limit) find = find.limit(limit);
+      return (await find).map(toMessage);
+    },
+
+    // Up to `limit` of a room's unexpired, undeleted messages matching a
+    // search, newest first: every term must start a word of the text (in any
+    // case; short and common words count like any other), and `from`, `after`
+    // and `before` restrict the sender and creation time. The text index
+    // finds the messages with every term's word prefix (quoted, so all of
+    // them are required), and the terms' patterns check those.
+    async searchMessages(roomName, { terms = [], from, after, before, limit }) {
+      const conditions = [
+        notExpired(),
+        ...terms.map(t => ({ text: { $regex: searchTermPattern(t), $options: 'i' } }))
+      ];
+      if (after) conditions.push({ createdAt: { $gte: after } });
+      if (before) conditions.push({ createdAt: { $lte: before } });
+      const query = { roomName, deleted: { $ne: true }, $and: conditions };
+      const tokens = [...new Set(terms.map(searchToken).filter(Boolean))];
+      if (tokens.length > 0) query.$text = { $search: tokens.map(t => `"${t}"`).join(' ') };
+      if (from) query.user = from;
+      const docs = await Message.find(query).sort({ createdAt: -1, _id: -1 }).limit(limit + 1);
+      return { messages: docs.slice(0, limit).map(toMessage), hasMore: docs.length > limit };
+    },
+
+    // All unexpired replies to a message, oldest first
+    async getReplies(roomName, parentId) {
+      const docs = await Message.find({ roomName, replyTo: parentId, ...notExpired() }).sort({ createdAt: 1, _id: 1 });
+      return docs.map(toMessage);
+    },
+
+    // Up to `limit` messages created after the `after` id, oldest first.
+    // Resolves to null when that message no longer exists in the room.
+    async getMessagesAfter(roomName, after, { limit } = {}) {
+      const cursor = mongoose.isValidObjectId(after) &&
+        await Message.findOne({ _id: after, roomName, ...notExpired() }, { createdAt: 1 });
+      if (!cursor) return null;
+      let find = Message.find({
+        roomName,
+        $and: [
+          notExpired(),
+          {
+            $or: [
+              { createdAt: { $gt: cursor.createdAt } },
+              { createdAt: cursor.createdAt, _id: { $gt: cursor._id } }
+            ]
+          }
+        ]
+      }).sort({ createdAt: 1, _id: 1 });
+      if (limit) find = find.limit(limit + 1);
+      const docs = await find;
+      const hasMore = Boolean(limit) && docs.length > limit;
+      return { messages: docs.slice(0, limit || docs.length).map(toMessage), hasMore };
+    }
+  };
+}
+
+module.exports = createMongoStore;
@@ -0,0 +1,60 @@
+// server/test/access.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, noEvent, joinRoom, sendMessage } = require('./helpers/chatServer');
+
+test.describe('joining protected rooms', () => {
+  let server;
+  let owner;
+  let created;
+  test.before(async () => {
+    server = await startServer();
+    owner = await server.connect();
+    created = await joinRoom(owner, 'vault', 'alice', { create: true, access: 'password', password: 'open sesame' });
+    await sendMessage(owner, 'vault', { text: 'top secret' });
+  });
+  test.after(() => server.stop());
+
+  test('the creator gets an invite link and the room\'s secrets stay on the server', async () => {
+    assert.match(created.inviteToken, /^[0-9a-f]{32}$/);
+    assert.equal(created.room.access, 'password');
+    assert.equal(created.room.passwordHash, undefined);
+    assert.equal(created.room.inviteToken, undefined);
+  });
+
+  test('strangers need the password or an invite, and see nothing before', async () => {
+    const stranger = await server.connect();
+    await assert.rejects(joinRoom(stranger, 'vault', 'bob'), { reason: 'passwordRequired', roomName: 'vault' });
+    await assert.rejects(joinRoom(stranger, 'vault', 'bob', { password: 'guess' }), { reason: 'wrongPassword' });
+    await assert.rejects(joinRoom(stranger, 'vault', 'bob', { invite: 'f'.repeat(32) }), { reason: 'invalidInvite' });
+    // Not in the room: nothing said there reaches them
+    const said = sendMessage(owner, 'vault', { text: 'still secret' });
+    assert.ok(await noEvent(stranger, 'chatMessage'));
+    await said;
+
+    const joined = await joinRoom(stranger, 'vault', 'bob', { password: 'open sesame' });
+    assert.ok(joined.messages.some(m => m.text === 'top secret'));
+    assert.equal(joined.inviteToken, created.inviteToken);
+
+    const invited = await server.connect();
+    await joinRoom(invited, 'vault', 'carol', { invite: created.inviteToken });
+  });
+
+  test('invite-only rooms only take the invite', async () => {
+    const creator = await server.connect();
+    const { inviteToken } = await joinRoom(creator, 'club', 'dave', { create: true, access: 'invite' });
+    const stranger = await server.connect();
+    await assert.rejects(joinRoom(stranger, 'club', 'erin'), { reason: 'inviteRequired' });
+    await assert.rejects(joinRoom(stranger, 'club', 'erin', { password: 'anything' }), { reason: 'inviteRequired' });
+    await joinRoom(stranger, 'club', 'erin', { invite: inviteToken });
+  });
+
+  test('rooms can\'t be created twice or without a good password', async () => {
+    const socket = await server.connect();
+    await assert.rejects(joinRoom(socket, 'vault', 'frank', { create: true }), { reason: 'roomExists' });
+    await assert.rejects(
+      joinRoom(socket, 'weak', 'frank', { create: true, access: 'password', password: 'x' }),
+      { reason: 'invalidSettings' }
+    );
+  });
+});
@@ -0,0 +1,120 @@
+// server/test/attachments.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const createLocalDiskBlobStore = require('../blobs/localDiskStore');
+const { claimAttachments } = require('../attachments');
+const { startServer, nextEvent, joinRoom } = require('./helpers/chatServer');
+
+test.describe('claimAttachments', () => {
+  let dir;
+  let blobs;
+  test.before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ychat-blobs-'));
+    blobs = createLocalDiskBlobStore({ dir });
+    await blobs.connect();
+  });
+  test.after(async () => {
+    await blobs.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const upload = () => blobs.put(Buffer.from('hello'), {
+    name: 'hello.txt', type: 'text/plain', expiresAt: new Date(Date.now() + 60000)
+  });
+
+  test('only one of two messages sent at once gets an upload', async () => {
+    const { id } = await upload();
+    const results = await Promise.allSettled([claimAttachments(blobs, [id]), claimAttachments(blobs, [id])]);
+    assert.deepEqual(results.map(r => r.status).sort(), ['fulfilled', 'rejected']);
+    assert.match(results.find(r => r.status === 'rejected').reason.message, /already sent/);
+  });
+
+  test('a failed claim releases the uploads it did get', async () => {
+    const { id } = await upload();
+    await assert.rejects(claimAttachments(blobs, [id, 'f'.repeat(32)]), /expired or was already sent/);
+    assert.deepEqual((await claimAttachments(blobs, [id, id])).map(m => m.id), [id]);
+  });
+
+  test('released uploads can be claimed again, attached ones can\'t', async () => {
+    const { id } = await upload();
+    await claimAttachments(blobs, [id]);
+    await blobs.release(id);
+    await claimAttachments(blobs, [id]);
+    await blobs.attach(id, null);
+    await assert.rejects(claimAttachments(blobs, [id]), /already sent/);
+  });
+
+  test('a message can only have a few attachments', async () => {
+    const ids = await Promise.all(Array.from({ length: 6 }, upload)).then(metas => metas.map(m => m.id));
+    await assert.rejects(claimAttachments(blobs, ids), /at most 5 attachments/);
+  });
+});
+
+test.describe('attachments', () => {
+  let server;
+  let alice;
+  let bob;
+  let token;
+  test.before(async () => {
+    server = await startServer();
+    alice = await server.connect();
+    bob = await server.connect();
+    await joinRoom(alice, 'files', 'alice', { create: true, retention: '7d' });
+    await joinRoom(bob, 'files', 'bob');
+    alice.emit('requestUploadToken', { kind: 'attachment' });
+    ({ token } = await nextEvent(alice, 'uploadToken'));
+  });
+  test.after(() => server.stop());
+
+  const upload = async (body, type, name) => {
+    const response = await fetch(`${server.url}/attachments`, {
+      method: 'POST',
+      headers: { 'Content-Type': type, 'X-Upload-Token': token, 'X-File-Name': encodeURIComponent(name) },
+      body
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  test('uploads are checked against their type and served as downloads', async () => {
+    assert.equal((await upload('<script>', 'text/html', 'page.html')).status, 415);
+    assert.equal((await upload('not a png', 'image/png', 'fake.png')).status, 400);
+    const { status, body } = await upload('hello', 'text/plain', 'notes/../ä.txt');
+    assert.equal(status, 201);
+    assert.deepEqual({ ...body, id: undefined }, { id: undefined, name: 'notes_.._ä.txt', type: 'text/plain', size: 5 });
+
+    const served = await fetch(`${server.url}/attachments/${body.id}`);
+    assert.equal(served.status, 200);
+    assert.equal(await served.text(), 'hello');
+    assert.equal(served.headers.get('x-content-type-options'), 'nosniff');
+    assert.match(served.headers.get('content-disposition'), /^attachment; filename\*=UTF-8''notes_.._%C3%A4.txt$/);
+    assert.equal((await fetch(`${server.url}/attachments/${'0'.repeat(32)}`)).status, 404);
+  });
+
+  test('an upload sent with two messages at once ends up on one of them', async () => {
+    const { body } = await upload('shared', 'text/plain', 'shared.txt');
+    const sent = [];
+    const onMessage = (m) => { if (m.attachments.length > 0) sent.push(m); };
+    alice.on('chatMessage', onMessage);
+    const refused = nextEvent(alice, 'error');
+    alice.emit('chatMessage', { roomName: 'files', text: 'first', attachments: [body.id] });
+    alice.emit('chatMessage', { roomName: 'files', text: 'second', attachments: [body.id] });
+    assert.match((await refused).message, /already sent/);
+    const other = nextEvent(alice, 'chatMessage', m => m.text === 'marker');
+    alice.emit('chatMessage', { roomName: 'files', text: 'marker' });
+    await other;
+    alice.off('chatMessage', onMessage);
+    assert.equal(sent.length, 1);
+    assert.deepEqual(sent[0].attachments.map(a => a.id), [body.id]);
+  });
+
+  test('files can\'t be shared in ephemeral rooms', async () => {
+    const { body } = await upload('hi', 'text/plain', 'hi.txt');
+    await joinRoom(alice, 'fleeting', 'alice', { create: true, retention: 'ephemeral' });
+    const refused = nextEvent(alice, 'error');
+    alice.emit('chatMessage', { roomName: 'fleeting', text: 'look', attachments: [body.id] });
+    assert.equal((await refused).message, "Files can't be shared in ephemeral rooms.");
+  });
+});
@@ -0,0 +1,100 @@
+// server/test/avatars.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const sharp = require('sharp');
+const { createAvatarRoutes } = require('../avatars');
+const { createAttachmentRoutes } = require('../attachments');
+const { startServer, nextEvent, joinRoom } = require('./helpers/chatServer');
+
+const picture = (background) => sharp({ create: { width: 8, height: 8, channels: 3, background } }).png().toBuffer();
+
+test.describe('avatars', () => {
+  let server;
+  let token;
+  test.before(async () => {
+    server = await startServer();
+    const socket = await server.connect();
+    socket.emit('requestUploadToken', { kind: 'avatar' });
+    ({ token } = await nextEvent(socket, 'uploadToken'));
+  });
+  test.after(() => server.stop());
+
+  const upload = async (body, type = 'image/png') => {
+    const response = await fetch(`${server.url}/avatars`, {
+      method: 'POST', headers: { 'Content-Type': type, 'X-Upload-Token': token }, body
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  test('uploads are stored once per picture and served as WebP', async () => {
+    const red = await picture('red');
+    const first = await upload(red);
+    assert.equal(first.status, 201);
+    assert.match(first.body.id, /^avatar-[0-9a-f]{64}$/);
+    assert.equal(first.body.url, `/avatars/${first.body.id}`);
+    assert.deepEqual((await upload(red)).body, first.body);
+
+    const served = await fetch(`${server.url}${first.body.url}`);
+    assert.equal(served.status, 200);
+    assert.equal(served.headers.get('content-type'), 'image/webp');
+    assert.equal((await sharp(Buffer.from(await served.arrayBuffer())).metadata()).width, 128);
+
+    assert.equal((await fetch(`${server.url}/avatars/avatar-${'0'.repeat(64)}`)).status, 404);
+    assert.equal((await fetch(`${server.url}/avatars/..%2Fsecret`)).status, 404);
+  });
+
+  test('only images are accepted', async () => {
+    assert.equal((await upload('hello', 'text/plain')).status, 415);
+    assert.equal((await upload('not really a png')).status, 415);
+  });
+
+  test('joining with an uploaded avatar shows it to the room', async () => {
+    const { body } = await upload(await picture('blue'));
+    const socket = await server.connect();
+    const listed = nextEvent(socket, 'usersList', ({ users }) => users.some(u => u.username === 'bob'));
+    await joinRoom(socket, 'pictures', 'bob', { create: true, avatar: body.id });
+    assert.equal((await listed).users.find(u => u.username === 'bob').avatar, body.url);
+
+    const other = await server.connect();
+    const unknown = nextEvent(other, 'usersList', ({ users }) => users.some(u => u.username === 'carol'));
+    await joinRoom(other, 'pictures', 'carol', { avatar: `avatar-${'1'.repeat(64)}` });
+    assert.equal((await unknown).users.find(u => u.username === 'carol').avatar, null);
+  });
+
+  test('a join whose avatar can\'t be stored fails with a joinError', async () => {
+    const { body } = await upload(await picture('green'));
+    // Make saving the avatar's metadata fail
+    const metaPath = path.join(server.uploadDir, `${body.id}.json`);
+    fs.rmSync(metaPath);
+    fs.mkdirSync(metaPath);
+    const socket = await server.connect();
+    await assert.rejects(joinRoom(socket, 'pictures', 'dave', { avatar: body.id }), { message: "Error joining room." });
+    assert.equal(socket.connected, true);
+  });
+});
+
+test('file routes answer 500 when the blob store fails', async () => {
+  const failing = { getMeta: async () => { throw new Error('store unavailable'); } };
+  const app = express().use(createAvatarRoutes(failing)).use(createAttachmentRoutes(failing));
+  const listener = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => listener.once('listening', resolve));
+  const url = `http://127.0.0.1:${listener.address().port}`;
+  const errors = [];
+  const logError = console.error;
+  console.error = (...args) => errors.push(args);
+  try {
+    const avatar = await fetch(`${url}/avatars/avatar-${'0'.repeat(64)}`);
+    assert.equal(avatar.status, 500);
+    assert.deepEqual(await avatar.json(), { error: "Failed to load the avatar." });
+    const attachment = await fetch(`${url}/attachments/${'0'.repeat(32)}`);
+    assert.equal(attachment.status, 500);
+    assert.deepEqual(await attachment.json(), { error: "Failed to load the attachment." });
+  } finally {
+    console.error = logError;
+    listener.close();
+  }
+  assert.equal(errors.length, 2);
+});
@@ -0,0 +1,64 @@
+// server/test/directMessages.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, nextEvent, noEvent, joinRoom } = require('./helpers/chatServer');
+
+test.describe('direct messages', () => {
+  let server;
+  let alice;
+  let bob;
+  let carol;
+  let bobSession;
+  test.before(async () => {
+    server = await startServer();
+    [alice, bob, carol] = await Promise.all([server.connect(), server.connect(), server.connect()]);
+    await joinRoom(alice, 'floor', 'alice', { create: true });
+    ({ session: bobSession } = await joinRoom(bob, 'floor', 'bob'));
+    await joinRoom(carol, 'floor', 'carol');
+  });
+  test.after(() => server.stop());
+
+  const loadConversation = async (socket, peer) => {
+    const loaded = nextEvent(socket, 'directMessages', d => d.peer === peer);
+    socket.emit('loadDirectMessages', { roomName: 'floor', peer });
+    return (await loaded).messages.map(m => m.text);
+  };
+
+  test('only the two users get a direct message', async () => {
+    const toBob = nextEvent(bob, 'directMessage');
+    const backToAlice = nextEvent(alice, 'directMessage');
+    alice.emit('directMessage', { roomName: 'floor', peer: 'bob', text: 'psst, bob' });
+    const received = await toBob;
+    assert.deepEqual(received.participants, ['alice', 'bob']);
+    assert.equal(received.roomName, 'floor');
+    assert.equal(received.message.roomName, 'floor');
+    assert.equal(received.message.user, 'alice');
+    assert.equal(received.message.sessions, undefined);
+    assert.equal((await backToAlice).message._id, received.message._id);
+    assert.ok(await noEvent(carol, 'directMessage'));
+    assert.ok(await noEvent(carol, 'chatMessage'));
+
+    assert.deepEqual(await loadConversation(bob, 'alice'), ['psst, bob']);
+    assert.deepEqual(await loadConversation(alice, 'bob'), ['psst, bob']);
+    assert.deepEqual(await loadConversation(carol, 'alice'), []);
+    const reader = await server.connect();
+    const { messages } = await joinRoom(reader, 'floor', 'dave');
+    assert.ok(!messages.some(m => m.text === 'psst, bob'));
+  });
+
+  test('direct messages need the peer in the room', async () => {
+    const refused = nextEvent(alice, 'error');
+    alice.emit('directMessage', { roomName: 'floor', peer: 'nobody', text: 'hello?' });
+    assert.equal((await refused).message, "nobody isn't in this room.");
+  });
+
+  test('someone later using the same name can\'t read the conversation', async () => {
+    const left = nextEvent(alice, 'usersList', ({ users }) => !users.some(u => u.username === 'bob' && u.connections > 0));
+    bob.close();
+    await left;
+    const impostor = await server.connect();
+    const { session } = await joinRoom(impostor, 'floor', 'bob');
+    assert.notEqual(session, bobSession);
+    assert.deepEqual(await loadConversation(impostor, 'alice'), []);
+  });
+});
@@ -0,0 +1,77 @@
+// server/test/editing.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, nextEvent, joinRoom, sendMessage } = require('./helpers/chatServer');
+
+test.describe('editing and deleting messages', () => {
+  let server;
+  let alice;
+  let bob;
+  test.before(async () => {
+    server = await startServer();
+    alice = await server.connect();
+    bob = await server.connect();
+    await joinRoom(alice, 'edits', 'alice', { create: true });
+    await joinRoom(bob, 'edits', 'bob');
+  });
+  test.after(() => server.stop());
+
+  const updateOf = (socket, messageId) => nextEvent(socket, 'messageUpdated', ({ message }) => message._id === messageId);
+
+  test('edits are broadcast and marked as edited', async () => {
+    const message = await sendMessage(bob, 'edits', { text: 'teh typo' });
+    const seen = updateOf(alice, message._id);
+    bob.emit('editMessage', { roomName: 'edits', messageId: message._id, text: 'the typo' });
+    const { roomName, message: edited } = await seen;
+    assert.equal(roomName, 'edits');
+    assert.equal(edited.text, 'the typo');
+    assert.ok(edited.editedAt);
+    assert.equal(edited.createdAt, message.createdAt);
+  });
+
+  test('only the sender can edit, and moderators can also delete', async () => {
+    const message = await sendMessage(bob, 'edits', { text: 'mine' });
+    const refused = nextEvent(alice, 'error');
+    alice.emit('editMessage', { roomName: 'edits', messageId: message._id, text: 'yours now' });
+    assert.equal((await refused).message, "You can only change your own messages.");
+
+    const carol = await server.connect();
+    await joinRoom(carol, 'edits', 'carol');
+    const notHers = nextEvent(carol, 'error');
+    carol.emit('deleteMessage', { roomName: 'edits', messageId: message._id });
+    assert.equal((await notHers).message, "You can only change your own messages.");
+
+    // alice owns the room
+    const deleted = updateOf(bob, message._id);
+    alice.emit('deleteMessage', { roomName: 'edits', messageId: message._id });
+    assert.equal((await deleted).message.deletedBy, 'alice');
+  });
+
+  test('deleted messages leave a tombstone without their text', async () => {
+    const message = await sendMessage(bob, 'edits', { text: 'oops, wrong room' });
+    const deleted = updateOf(alice, message._id);
+    bob.emit('deleteMessage', { roomName: 'edits', messageId: message._id });
+    const tombstone = (await deleted).message;
+    assert.equal(tombstone.deleted, true);
+    assert.equal(tombstone.text, '');
+    assert.equal(tombstone.deletedBy, null);
+
+    const reader = await server.connect();
+    const { messages } = await joinRoom(reader, 'edits', 'dave');
+    const stored = messages.find(m => m._id === message._id);
+    assert.equal(stored.deleted, true);
+    assert.equal(stored.text, '');
+
+    const gone = nextEvent(bob, 'error');
+    bob.emit('editMessage', { roomName: 'edits', messageId: message._id, text: 'back again' });
+    assert.equal((await gone).message, "Message not found.");
+  });
+
+  test('messages can only be changed in the room they were sent to', async () => {
+    const message = await sendMessage(bob, 'edits', { text: 'here' });
+    await joinRoom(bob, 'other', 'bob', { create: true });
+    const missing = nextEvent(bob, 'error');
+    bob.emit('deleteMessage', { roomName: 'other', messageId: message._id });
+    assert.equal((await missing).message, "Message not found.");
+  });
+});
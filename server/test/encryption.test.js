@@ -0,0 +1,61 @@
+// server/test/encryption.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, nextEvent, joinRoom } = require('./helpers/chatServer');
+
+// Stand-ins for what clients encrypt; the server only checks the format
+const ENCRYPTION = { mode: 'passphrase', salt: 'c2FsdHNhbHRzYWx0', check: 'e2e1:aXZpdml2aXZpdg==:Y2hlY2s=' };
+const CIPHERTEXT = 'e2e1:aXZpdml2aXZpdg==:c2VjcmV0IG1lc3NhZ2U=';
+
+test.describe('end-to-end encrypted rooms', () => {
+  let server;
+  let alice;
+  let bob;
+  test.before(async () => {
+    server = await startServer();
+    alice = await server.connect();
+    bob = await server.connect();
+    await joinRoom(alice, 'secret', 'alice', { create: true, encryption: ENCRYPTION });
+    await joinRoom(bob, 'secret', 'bob');
+  });
+  test.after(() => server.stop());
+
+  test('members get what they need to derive and check the key', async () => {
+    const reader = await server.connect();
+    const { room } = await joinRoom(reader, 'secret', 'carol');
+    assert.deepEqual(room.encryption, ENCRYPTION);
+  });
+
+  test('messages are relayed and stored as ciphertext, with the mentions the sender lists', async () => {
+    const received = nextEvent(bob, 'chatMessage', m => m.text === CIPHERTEXT);
+    alice.emit('chatMessage', { roomName: 'secret', ciphertext: CIPHERTEXT, mentions: ['bob', 'nobody'] });
+    const message = await received;
+    assert.equal(message.encrypted, true);
+    assert.deepEqual(message.mentions, ['bob']);
+
+    const reader = await server.connect();
+    const { messages } = await joinRoom(reader, 'secret', 'dave');
+    assert.equal(messages.find(m => m._id === message._id).text, CIPHERTEXT);
+  });
+
+  test('plaintext, files and text search are refused', async () => {
+    let refused = nextEvent(alice, 'error');
+    alice.emit('chatMessage', { roomName: 'secret', text: 'in the clear' });
+    assert.equal((await refused).message, "Messages in this room must be end-to-end encrypted.");
+
+    refused = nextEvent(alice, 'error');
+    alice.emit('chatMessage', { roomName: 'secret', ciphertext: CIPHERTEXT, attachments: ['a'.repeat(32)] });
+    assert.equal((await refused).message, "Files can't be shared in encrypted rooms.");
+
+    refused = nextEvent(alice, 'error');
+    alice.emit('searchMessages', { roomName: 'secret', query: 'secret' });
+    assert.equal((await refused).message, "Encrypted rooms can only be searched by sender and date.");
+  });
+
+  test('ordinary rooms don\'t take ciphertext', async () => {
+    await joinRoom(alice, 'plain', 'alice', { create: true });
+    const refused = nextEvent(alice, 'error');
+    alice.emit('chatMessage', { roomName: 'plain', ciphertext: CIPHERTEXT });
+    assert.equal((await refused).message, "This room isn't end-to-end encrypted.");
+  });
+});
@@ -0,0 +1,157 @@
+// server/test/helpers/chatServer.js
+//
+// Runs the chat server (index.js) in a child process for tests of the socket
+// handlers and HTTP routes: on a free port, with the in-memory message store,
+// a temporary upload directory and no link previews.
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { io } = require('socket.io-client');
+
+const SERVER_SCRIPT = path.join(__dirname, '..', '..', 'index.js');
+const START_TIMEOUT_MS = 10000;
+const EVENT_TIMEOUT_MS = 3000;
+// Generous limits, so tests only hit the ones they set themselves
+const TEST_RATE_LIMITS = JSON.stringify({
+  message: { capacity: 1000, perSecond: 100 },
+  join: { capacity: 1000, perSecond: 100 },
+  search: { capacity: 1000, perSecond: 100 },
+  upload: { capacity: 1000, perSecond: 100 }
+});
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer().listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+    probe.on('error', reject);
+  });
+}
+
+// Start a server; `env` is added to (or overrides) its environment.
+// Resolves to { url, connect, stop }.
+async function startServer(env = {}) {
+  const port = await freePort();
+  const uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ychat-test-'));
+  const child = spawn(process.execPath, [SERVER_SCRIPT], {
+    env: {
+      ...process.env,
+      PORT: String(port),
+      STORE_BACKEND: 'memory',
+      MONGO_URI: '',
+      UPLOAD_DIR: uploadDir,
+      LINK_PREVIEWS: 'off',
+      RATE_LIMITS: TEST_RATE_LIMITS,
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  let output = '';
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Server didn't start:\n${output}`)), START_TIMEOUT_MS);
+    const onData = (chunk) => {
+      output += chunk;
+      if (output.includes('Server is running')) {
+        clearTimeout(timer);
+        resolve();
+      }
+    };
+    child.stdout.on('data', onData);
+    child.stderr.on('data', onData);
+    child.once('exit', (code) => {
+      clearTimeout(timer);
+      reject(new Error(`Server exited (${code}):\n${output}`));
+    });
+  });
+
+  const url = `http://127.0.0.1:${port}`;
+  const sockets = [];
+  return {
+    url,
+    port,
+    uploadDir,
+    // Everything the server has logged so far
+    output: () => output,
+
+    // A connected client socket (options go to socket.io-client)
+    async connect(options = {}) {
+      const socket = io(url, { transports: ['websocket'], forceNew: true, reconnection: false, ...options });
+      sockets.push(socket);
+      await nextEvent(socket, 'connect');
+      return socket;
+    },
+
+    async stop() {
+      sockets.forEach(socket => socket.close());
+      if (child.exitCode === null) {
+        const exited = new Promise(resolve => child.once('exit', resolve));
+        child.kill('SIGTERM');
+        const timer = setTimeout(() => child.kill('SIGKILL'), 3000);
+        await exited;
+        clearTimeout(timer);
+      }
+      fs.rmSync(uploadDir, { recursive: true, force: true });
+    }
+  };
+}
+
+// The next `event` on a socket (for which `filter` holds, if given)
+function nextEvent(socket, event, filter = () => true, timeoutMs = EVENT_TIMEOUT_MS) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      socket.off(event, onEvent);
+      reject(new Error(`No "${event}" within ${timeoutMs} ms`));
+    }, timeoutMs);
+    const onEvent = (data) => {
+      if (!filter(data)) return;
+      clearTimeout(timer);
+      socket.off(event, onEvent);
+      resolve(data);
+    };
+    socket.on(event, onEvent);
+  });
+}
+
+// Resolves to true when no `event` (matching `filter`) arrives for a while
+function noEvent(socket, event, filter = () => true, waitMs = 300) {
+  return nextEvent(socket, event, filter, waitMs).then(() => false, () => true);
+}
+
+// Join (or create) a room; resolves to the joinedRoom payload, or rejects
+// with the joinError (or error) the server answers with
+function joinRoom(socket, roomName, username, options = {}) {
+  return new Promise((resolve, reject) => {
+    const finish = (error, joined) => {
+      clearTimeout(timer);
+      socket.off('joinedRoom', onJoined);
+      socket.off('joinError', onError);
+      socket.off('error', onError);
+      if (error) reject(error);
+      else resolve(joined);
+    };
+    const onJoined = (data) => {
+      if (data.roomName === roomName) finish(null, data);
+    };
+    const onError = (error) => finish(Object.assign(new Error(error.message), error));
+    const timer = setTimeout(() => finish(new Error(`No "joinedRoom" for "${roomName}"`)), EVENT_TIMEOUT_MS);
+    socket.on('joinedRoom', onJoined);
+    socket.on('joinError', onError);
+    socket.on('error', onError);
+    socket.emit('joinRoom', { roomName, username, ...options });
+  });
+}
+
+// Send a chat message and resolve to it as broadcast back to the sender (the
+// first one in the room with the same text, so others' messages are skipped)
+function sendMessage(socket, roomName, fields) {
+  const received = nextEvent(socket, 'chatMessage', m => (
+    m.roomName === roomName && (fields.text === undefined || m.text === fields.text)
+  ));
+  socket.emit('chatMessage', { roomName, ...fields });
+  return received;
+}
+
+module.exports = { startServer, nextEvent, noEvent, joinRoom, sendMessage };
@@ -0,0 +1,79 @@
+// server/test/history.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, nextEvent, joinRoom, sendMessage } = require('./helpers/chatServer');
+
+// Messages a room's history is sent in pages of (HISTORY_PAGE_SIZE in index.js)
+const PAGE_SIZE = 50;
+
+test.describe('history', () => {
+  let server;
+  let alice;
+  const sent = [];
+  test.before(async () => {
+    server = await startServer();
+    alice = await server.connect();
+    await joinRoom(alice, 'busy', 'alice', { create: true });
+    for (let i = 0; i < PAGE_SIZE + 5; i++) {
+      sent.push(await sendMessage(alice, 'busy', { text: `message ${i}` }));
+    }
+  });
+  test.after(() => server.stop());
+
+  test('joining sends the newest page, and older pages load on request', async () => {
+    const reader = await server.connect();
+    const joined = await joinRoom(reader, 'busy', 'bob');
+    assert.equal(joined.hasMore, true);
+    assert.deepEqual(joined.messages.map(m => m._id), sent.slice(5).map(m => m._id));
+
+    reader.emit('loadOlderMessages', { roomName: 'busy', before: joined.messages[0]._id });
+    const older = await nextEvent(reader, 'olderMessages');
+    assert.equal(older.roomName, 'busy');
+    assert.equal(older.hasMore, false);
+    assert.deepEqual(older.messages.map(m => m.text), ['message 0', 'message 1', 'message 2', 'message 3', 'message 4']);
+  });
+
+  test('only members of a room can load its history', async () => {
+    const outsider = await server.connect();
+    outsider.emit('loadOlderMessages', { roomName: 'busy', before: sent[10]._id });
+    await assert.rejects(nextEvent(outsider, 'olderMessages', undefined, 300));
+  });
+
+  test('a client rejoining after a dropped connection gets just what it missed', async () => {
+    const bob = await server.connect();
+    const first = await joinRoom(bob, 'resync', 'bob', { create: true });
+    await joinRoom(alice, 'resync', 'alice');
+    const last = await sendMessage(bob, 'resync', { text: 'before the drop' });
+    bob.close();
+    await sendMessage(alice, 'resync', { text: 'while away 1' });
+    await sendMessage(alice, 'resync', { text: 'while away 2' });
+
+    const back = await server.connect();
+    const rejoined = await joinRoom(back, 'resync', 'bob', { session: first.session, since: last._id });
+    assert.equal(rejoined.resumed, true);
+    assert.equal(rejoined.session, first.session);
+    assert.deepEqual(rejoined.messages.map(m => m.text), ['while away 1', 'while away 2']);
+  });
+
+  test('a client that missed too much (or an unknown message) gets the newest page', async () => {
+    const reader = await server.connect();
+    const tooMuch = await joinRoom(reader, 'busy', 'carol', { since: sent[0]._id });
+    assert.equal(tooMuch.resumed, false);
+    assert.deepEqual(tooMuch.messages.map(m => m._id), sent.slice(5).map(m => m._id));
+
+    const other = await server.connect();
+    const unknown = await joinRoom(other, 'busy', 'dave', { since: 'f'.repeat(24) });
+    assert.equal(unknown.resumed, false);
+    assert.equal(unknown.messages.length, PAGE_SIZE);
+  });
+
+  test('ephemeral rooms have nothing to resume', async () => {
+    const bob = await server.connect();
+    await joinRoom(bob, 'fleeting', 'bob', { create: true, retention: 'ephemeral' });
+    const relayed = await sendMessage(bob, 'fleeting', { text: 'gone soon' });
+    const back = await server.connect();
+    const rejoined = await joinRoom(back, 'fleeting', 'erin', { since: relayed._id });
+    assert.equal(rejoined.resumed, true);
+    assert.deepEqual(rejoined.messages, []);
+  });
+});
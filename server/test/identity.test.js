@@ -0,0 +1,44 @@
+// server/test/identity.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, nextEvent, joinRoom, sendMessage } = require('./helpers/chatServer');
+
+test.describe('identity', () => {
+  let server;
+  test.before(async () => { server = await startServer(); });
+  test.after(() => server.stop());
+
+  test('messages are sent as the name the socket joined with', async () => {
+    const alice = await server.connect();
+    await joinRoom(alice, 'lobby', 'alice', { create: true });
+    const message = await sendMessage(alice, 'lobby', { text: 'hi', user: 'bob' });
+    assert.equal(message.user, 'alice');
+    assert.deepEqual(message.readBy, ['alice']);
+  });
+
+  test('later joins keep the first name', async () => {
+    const alice = await server.connect();
+    await joinRoom(alice, 'first', 'alice2', { create: true });
+    const listed = nextEvent(alice, 'usersList', ({ roomName }) => roomName === 'second');
+    await joinRoom(alice, 'second', 'mallory', { create: true });
+    assert.deepEqual((await listed).users.map(u => u.username), ['alice2']);
+    assert.equal((await sendMessage(alice, 'second', { text: 'still me' })).user, 'alice2');
+  });
+
+  test('a name in use in a room is only shared with the same session', async () => {
+    const first = await server.connect();
+    const { session } = await joinRoom(first, 'taken', 'carol', { create: true });
+    const impostor = await server.connect();
+    await assert.rejects(joinRoom(impostor, 'taken', 'carol'), { reason: 'usernameTaken' });
+    await assert.rejects(joinRoom(impostor, 'taken', 'carol', { session: 'f'.repeat(32) }), { reason: 'usernameTaken' });
+    const secondTab = await server.connect();
+    const joined = await joinRoom(secondTab, 'taken', 'carol', { session });
+    assert.equal(joined.session, session);
+  });
+
+  test('joining takes a name', async () => {
+    const socket = await server.connect();
+    await assert.rejects(joinRoom(socket, 'nameless', '  ', { create: true }), { code: 'invalidPayload' });
+    await assert.rejects(joinRoom(socket, 'nameless', undefined, { create: true }), { reason: 'invalidUsername' });
+  });
+});
@@ -0,0 +1,100 @@
+// server/test/inboundEvents.test.js
+//
+// Rate limits and payload checks as the socket handlers and upload routes
+// apply them (see rateLimits.test.js and validation.test.js for the details)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, nextEvent, noEvent, joinRoom } = require('./helpers/chatServer');
+
+test.describe('inbound events', () => {
+  let server;
+  test.before(async () => {
+    server = await startServer({
+      TRUST_PROXY: '1',
+      RATE_LIMIT_IP_MULTIPLIER: '1',
+      RATE_LIMITS: JSON.stringify({
+        join: { capacity: 1000, perSecond: 100 },
+        search: { capacity: 2, perSecond: 0.001 },
+        upload: { capacity: 1, perSecond: 0.001 }
+      })
+    });
+  });
+  test.after(() => server.stop());
+
+  test('invalid payloads are answered with an error and never reach the handlers', async () => {
+    const socket = await server.connect();
+    const error = nextEvent(socket, 'error');
+    socket.emit('joinRoom', { roomName: 'lobby', username: 'x'.repeat(100) });
+    assert.deepEqual(await error, {
+      code: 'invalidPayload',
+      event: 'joinRoom',
+      message: 'Invalid request: Username can be at most 32 characters long.'
+    });
+    const unknown = nextEvent(socket, 'error');
+    socket.emit('dropDatabase', {});
+    assert.equal((await unknown).code, 'invalidPayload');
+  });
+
+  test('events over the limit are turned away with the time to wait', async () => {
+    const socket = await server.connect({ extraHeaders: { 'X-Forwarded-For': '203.0.113.1' } });
+    await joinRoom(socket, 'limits', 'alice');
+    let answered = 0;
+    const twoAnswered = new Promise(resolve => socket.on('searchResults', () => {
+      answered += 1;
+      if (answered === 2) resolve();
+    }));
+    const limited = nextEvent(socket, 'error', e => e.code === 'rateLimited');
+    for (let i = 0; i < 3; i++) socket.emit('searchMessages', { roomName: 'limits', query: 'hello' });
+    const error = await limited;
+    assert.equal(error.event, 'searchMessages');
+    assert.ok(error.retryAfterMs > 0);
+    await twoAnswered;
+    assert.ok(await noEvent(socket, 'searchResults'));
+    assert.equal(answered, 2);
+  });
+
+  test('a client can\'t get a fresh budget by adding addresses to X-Forwarded-For', async () => {
+    const first = await server.connect({ extraHeaders: { 'X-Forwarded-For': '1.1.1.1, 203.0.113.2' } });
+    await joinRoom(first, 'spoof', 'bob');
+    for (let i = 0; i < 2; i++) first.emit('searchMessages', { roomName: 'spoof', query: 'hello' });
+    await nextEvent(first, 'searchResults');
+    // Same proxy-added address, different client-written one
+    const second = await server.connect({ extraHeaders: { 'X-Forwarded-For': '9.9.9.9, 203.0.113.2' } });
+    await joinRoom(second, 'spoof', 'carol');
+    const limited = nextEvent(second, 'error', e => e.code === 'rateLimited');
+    second.emit('searchMessages', { roomName: 'spoof', query: 'hello' });
+    await limited;
+  });
+
+  test('uploads are limited per address, whatever the client forwards', async () => {
+    const socket = await server.connect();
+    socket.emit('requestUploadToken', { kind: 'avatar' });
+    const { token } = await nextEvent(socket, 'uploadToken');
+    const upload = (forwardedFor) => fetch(`${server.url}/avatars`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'text/plain', 'X-Upload-Token': token, 'X-Forwarded-For': forwardedFor },
+      body: 'not an image'
+    });
+    // Rejected as not an image, but counted
+    assert.equal((await upload('203.0.113.3')).status, 415);
+    const limited = await upload('5.5.5.5, 203.0.113.3');
+    assert.equal(limited.status, 429);
+    assert.ok(Number(limited.headers.get('retry-after')) > 0);
+    assert.equal((await upload('203.0.113.4')).status, 415);
+  });
+
+  test('uploads need a token of the right kind', async () => {
+    const post = (path, token) => fetch(`${server.url}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'text/plain', ...(token ? { 'X-Upload-Token': token } : {}) },
+      body: 'hello'
+    });
+    assert.equal((await post('/attachments')).status, 401);
+    const socket = await server.connect();
+    socket.emit('requestUploadToken', { kind: 'attachment' });
+    assert.equal((await nextEvent(socket, 'error')).message, "Join a room to share files.");
+    socket.emit('requestUploadToken', { kind: 'avatar' });
+    const { token } = await nextEvent(socket, 'uploadToken');
+    assert.equal((await post('/attachments', token)).status, 401);
+  });
+});
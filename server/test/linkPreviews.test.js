@@ -0,0 +1,88 @@
+// server/test/linkPreviews.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { createLinkPreviews, extractUrls, parsePreview, isPrivateAddress, fetchPage } = require('../linkPreviews');
+
+test('loopback, private and link-local addresses are private', () => {
+  for (const address of [
+    '0.0.0.0', '127.0.0.1', '127.255.0.1', '10.1.2.3', '172.16.0.1', '172.31.255.255', '192.168.1.1',
+    '169.254.169.254', '100.64.0.1', '224.0.0.1', '255.255.255.255',
+    '::', '::1', 'fc00::1', 'fd12:3456::1', 'fe80::1', '::ffff:127.0.0.1', '::ffff:10.0.0.1'
+  ]) {
+    assert.ok(isPrivateAddress(address), address);
+  }
+});
+
+test('IPv4 addresses inside IPv6 ones count as what they are, however they are written', () => {
+  for (const address of [
+    '::ffff:7f00:1', '::FFFF:7F00:0001', '0:0:0:0:0:ffff:127.0.0.1', '::ffff:0:7f00:1', '::7f00:1', '::127.0.0.1',
+    '64:ff9b::7f00:1', '64:ff9b::10.0.0.1', '2002:7f00:1::1', '2002:a9fe:a9fe::'
+  ]) {
+    assert.ok(isPrivateAddress(address), address);
+  }
+  for (const address of ['::ffff:808:808', '64:ff9b::8.8.8.8', '2002:808:808::1']) {
+    assert.ok(!isPrivateAddress(address), address);
+  }
+});
+
+test('other special IPv6 ranges and non-addresses are private', () => {
+  for (const address of [
+    '0:0:0:0:0:0:0:1', 'fe80::1%eth0', 'fec0::1', 'ff02::1', '2001:db8::1', '2001::1', '100::1', 'localhost', ''
+  ]) {
+    assert.ok(isPrivateAddress(address), address);
+  }
+});
+
+test('public addresses are not private', () => {
+  for (const address of ['8.8.8.8', '172.32.0.1', '100.128.0.1', '2606:4700:4700::1111', '::ffff:8.8.8.8']) {
+    assert.ok(!isPrivateAddress(address), address);
+  }
+});
+
+test('links are found outside code, without trailing punctuation', () => {
+  const text = 'See https://example.com/a, and (https://example.org/b). `https://example.net/code`';
+  assert.deepEqual(extractUrls(text), ['https://example.com/a', 'https://example.org/b']);
+});
+
+test('previews come from Open Graph tags, then the title', () => {
+  const html = `<html><head><title>Plain &amp; simple</title>
+    <meta property="og:description" content="A &quot;test&quot; page"></head></html>`;
+  assert.deepEqual(parsePreview(html, 'https://example.com/page'), {
+    url: 'https://example.com/page',
+    title: 'Plain & simple',
+    description: 'A "test" page',
+    siteName: 'example.com'
+  });
+  assert.equal(parsePreview('<p>No title here</p>', 'https://example.com/'), null);
+});
+
+test('unfurling uses the given fetcher and skips pages without previews', async () => {
+  const pages = {
+    'https://example.com/a': { contentType: 'text/html', body: '<title>Page A</title>' },
+    'https://example.com/b': { contentType: 'application/pdf', body: '' }
+  };
+  const { unfurl } = createLinkPreviews({ fetchPage: async (url) => pages[url] });
+  const previews = await unfurl('https://example.com/a https://example.com/b https://example.com/missing');
+  assert.deepEqual(previews.map(p => p.title), ['Page A']);
+});
+
+test('the default fetcher never reaches local servers', async (t) => {
+  const server = http.createServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/html' });
+    res.end('<title>internal secret</title>');
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  const { port } = server.address();
+  for (const url of [
+    `http://127.0.0.1:${port}/`,
+    `http://[::ffff:127.0.0.1]:${port}/`,
+    `http://[::ffff:7f00:1]:${port}/`,
+    // Names are checked as they resolve, on the connection itself
+    `http://localhost:${port}/`,
+    `ftp://127.0.0.1:${port}/`
+  ]) {
+    await assert.rejects(fetchPage(url), /Refusing to fetch|Unsupported protocol/, url);
+  }
+});
@@ -0,0 +1,37 @@
+// server/test/mentions.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, nextEvent, joinRoom, sendMessage } = require('./helpers/chatServer');
+
+test.describe('mentions', () => {
+  let server;
+  let alice;
+  let bob;
+  test.before(async () => {
+    server = await startServer();
+    alice = await server.connect();
+    bob = await server.connect();
+    await joinRoom(alice, 'team', 'alice', { create: true });
+    await joinRoom(bob, 'team', 'bob');
+  });
+  test.after(() => server.stop());
+
+  test('messages list the users of the room they mention', async () => {
+    const received = nextEvent(bob, 'chatMessage', m => m.text.startsWith('@Bob'));
+    await sendMessage(alice, 'team', { text: '@Bob can you review? cc @nobody', mentions: ['alice'] });
+    assert.deepEqual((await received).mentions, ['bob']);
+  });
+
+  test('edits keep mentions of users who left since', async () => {
+    const carol = await server.connect();
+    await joinRoom(carol, 'team', 'carol');
+    const message = await sendMessage(alice, 'team', { text: 'thanks @carol' });
+    assert.deepEqual(message.mentions, ['carol']);
+    const left = nextEvent(alice, 'usersList', ({ users }) => !users.some(u => u.username === 'carol' && u.connections > 0));
+    carol.close();
+    await left;
+    const edited = nextEvent(alice, 'messageUpdated', ({ message: m }) => m._id === message._id);
+    alice.emit('editMessage', { roomName: 'team', messageId: message._id, text: 'thanks a lot @carol and @bob' });
+    assert.deepEqual((await edited).message.mentions, ['carol', 'bob']);
+  });
+});
@@ -0,0 +1,134 @@
+// server/test/messageStore.test.js
+//
+// Contract tests for the message stores: every backend must pass the same
+// tests. They always run against the memory store; set TEST_MONGO_URI to a
+// throwaway database to run them against MongoDB too.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { createStore } = require('../store');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function storeContract(backend, config) {
+  test.describe(`${backend} message store`, { skip: backend === 'mongo' && !config.mongoUri }, () => {
+    let store;
+    // Rooms are unique per run, so a shared database needs no cleanup
+    const room = (name) => `${name}-${crypto.randomBytes(4).toString('hex')}`;
+    const save = (roomName, text, extra = {}) => store.saveMessage({
+      roomName, user: 'alice', text, readBy: ['alice'], createdAt: new Date(), expiresAt: null, ...extra
+    });
+
+    test.before(async () => {
+      store = createStore({ backend, ...config });
+      await store.connect();
+    });
+    test.after(() => store.close());
+
+    test('rooms are created once, with the first settings', async () => {
+      const name = room('settings');
+      assert.equal(await store.getRoom(name), null);
+      const created = await store.ensureRoom(name, { retention: '7d', owner: 'alice' });
+      assert.equal(created.retention, '7d');
+      const again = await store.ensureRoom(name, { retention: 'forever', owner: 'bob' });
+      assert.equal(again.owner, 'alice');
+      const updated = await store.updateRoom(name, { muted: ['bob'] });
+      assert.deepEqual(updated.muted, ['bob']);
+      assert.equal(await store.updateRoom(room('missing'), { muted: [] }), null);
+    });
+
+    test('history is paged newest first, each page oldest first', async () => {
+      const name = room('history');
+      const saved = [];
+      for (let i = 0; i < 5; i++) saved.push(await save(name, `message ${i}`, { createdAt: new Date(Date.now() + i) }));
+      const newest = await store.getRoomMessages(name, { limit: 2 });
+      assert.deepEqual(newest.messages.map(m => m.text), ['message 3', 'message 4']);
+      assert.equal(newest.hasMore, true);
+      const older = await store.getRoomMessages(name, { limit: 2, before: newest.messages[0]._id });
+      assert.deepEqual(older.messages.map(m => m.text), ['message 1', 'message 2']);
+      const after = await store.getMessagesAfter(name, saved[2]._id, { limit: 10 });
+      assert.deepEqual(after.messages.map(m => m.text), ['message 3', 'message 4']);
+      assert.equal(after.hasMore, false);
+      assert.equal(await store.getMessagesAfter(room('elsewhere'), saved[2]._id, { limit: 10 }), null);
+    });
+
+    test('history can be limited to the messages of one session', async () => {
+      const name = room('direct');
+      await save(name, 'to the first bob', { sessions: ['alice-session', 'bob-session'] });
+      await save(name, 'to the second bob', { sessions: ['alice-session', 'other-session'], createdAt: new Date(Date.now() + 1) });
+      const texts = async (session) => (await store.getRoomMessages(name, { limit: 10, session })).messages.map(m => m.text);
+      assert.deepEqual(await texts('bob-session'), ['to the first bob']);
+      assert.deepEqual(await texts('other-session'), ['to the second bob']);
+      assert.deepEqual(await texts('alice-session'), ['to the first bob', 'to the second bob']);
+      assert.deepEqual(await texts('stranger-session'), []);
+    });
+
+    test('expired messages are gone', async () => {
+      const name = room('expiry');
+      const expired = await save(name, 'old news', { expiresAt: new Date(Date.now() - HOUR_MS) });
+      await save(name, 'still here', { expiresAt: new Date(Date.now() + HOUR_MS) });
+      assert.deepEqual((await store.getRoomMessages(name, { limit: 10 })).messages.map(m => m.text), ['still here']);
+      assert.equal(await store.getMessage(expired._id), null);
+      assert.equal(await store.updateMessage(expired._id, { text: 'revived' }), null);
+    });
+
+    test('reactions and read receipts are kept per user', async () => {
+      const name = room('reactions');
+      const message = await save(name, 'react to me');
+      await store.addReaction(message._id, '👍', 'bob');
+      await store.addReaction(message._id, '👍', 'bob');
+      const reacted = await store.addReaction(message._id, '👍', 'carol');
+      assert.deepEqual(reacted.reactions['👍'], ['bob', 'carol']);
+      const removed = await store.removeReaction(message._id, '👍', 'bob');
+      assert.deepEqual(removed.reactions['👍'], ['carol']);
+      await store.addReadReceipts([{ messageId: message._id, usernames: ['bob', 'carol'] }]);
+      assert.deepEqual((await store.getMessage(message._id)).readBy, ['alice', 'bob', 'carol']);
+      const unread = await store.getUnreadMessages(name, message._id, 'dave', { limit: 10 });
+      assert.deepEqual(unread.map(m => m._id), [message._id]);
+      assert.deepEqual(await store.getUnreadMessages(name, message._id, 'bob', { limit: 10 }), []);
+    });
+
+    test('replies are listed under their parent', async () => {
+      const name = room('threads');
+      const parent = await save(name, 'parent');
+      await save(name, 'first reply', { replyTo: parent._id, createdAt: new Date(Date.now() + 1) });
+      await save(name, 'second reply', { replyTo: parent._id, createdAt: new Date(Date.now() + 2) });
+      await save(name, 'unrelated', { createdAt: new Date(Date.now() + 3) });
+      assert.deepEqual((await store.getReplies(name, parent._id)).map(m => m.text), ['first reply', 'second reply']);
+    });
+
+    test('search terms match the start of words, whatever they are', async () => {
+      const name = room('search');
+      await save(name, 'The deployment is done', { createdAt: new Date(Date.now() + 1) });
+      await save(name, 'Redeploy later', { user: 'bob', createdAt: new Date(Date.now() + 2) });
+      await save(name, 'deleted deployment', { deleted: true, createdAt: new Date(Date.now() + 3) });
+      const search = async (terms, options = {}) => (
+        (await store.searchMessages(name, { terms, limit: 10, ...options })).messages.map(m => m.text)
+      );
+      assert.deepEqual(await search(['deploy']), ['The deployment is done']);
+      assert.deepEqual(await search(['depl']), ['The deployment is done']);
+      assert.deepEqual(await search(['the']), ['The deployment is done']);
+      assert.deepEqual(await search(['deploy', 'done']), ['The deployment is done']);
+      assert.deepEqual(await search(['ploy']), []);
+      assert.deepEqual(await search([], { from: 'bob' }), ['Redeploy later']);
+      assert.deepEqual(await search(['redeploy'], { after: new Date(Date.now() + HOUR_MS) }), []);
+    });
+
+    test('search finds edited text and long words', async () => {
+      const name = room('search-edit');
+      const long = 'Supercalifragilisticexpialidocious';
+      const saved = await save(name, 'First draft');
+      await store.updateMessage(saved._id, { text: `Final ${long} version` });
+      const search = async (terms) => (
+        (await store.searchMessages(name, { terms, limit: 10 })).messages.map(m => m._id)
+      );
+      assert.deepEqual(await search(['draft']), []);
+      assert.deepEqual(await search(['final', 'version']), [saved._id]);
+      assert.deepEqual(await search([long.toLowerCase()]), [saved._id]);
+      assert.deepEqual(await search([`${long.toLowerCase()}x`]), []);
+    });
+  });
+}
+
+storeContract('memory', {});
+storeContract('mongo', { mongoUri: process.env.TEST_MONGO_URI });
@@ -0,0 +1,57 @@
+// server/test/messages.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  replyPreview, parseMentions, parseSearchQuery, searchPrefixes, searchToken, searchTermPattern
+} = require('../messages');
+
+test('reply previews quote the start of the parent, and nothing of a deleted one', () => {
+  assert.deepEqual(replyPreview({ user: 'alice', text: 'x'.repeat(200) }), { user: 'alice', text: 'x'.repeat(140) });
+  assert.deepEqual(replyPreview({ user: 'alice', text: 'e2e1:abc:def', encrypted: true }), {
+    user: 'alice', text: 'e2e1:abc:def', encrypted: true
+  });
+  assert.deepEqual(replyPreview({ user: 'alice', text: '', deleted: true }), { user: 'alice', text: '', deleted: true });
+});
+
+test('mentions name users of the room, longest name first', () => {
+  const users = ['ann', 'Ann Lee', 'bob', 'carol'];
+  assert.deepEqual(parseMentions('@ann lee and @BOB, see @carol!', users), ['Ann Lee', 'bob', 'carol']);
+  assert.deepEqual(parseMentions('@ann: hi @ann', users), ['ann']);
+  assert.deepEqual(parseMentions('@bobby and @dave', users), []);
+  assert.deepEqual(parseMentions('mail bob@bob.com', users), []);
+  assert.deepEqual(parseMentions('`@ann` and\n```\n@bob\n```', users), []);
+  const crowd = Array.from({ length: 30 }, (_, i) => `u${i}`);
+  assert.equal(parseMentions(crowd.map(u => `@${u}`).join(' '), crowd).length, 20);
+});
+
+test('search queries are split into distinct lowercase terms with a letter or digit', () => {
+  assert.deepEqual(parseSearchQuery('  Deploy  the deploy - ## c++ '), ['deploy', 'the', 'c++']);
+  assert.deepEqual(parseSearchQuery(`short ${'x'.repeat(51)}`), ['short']);
+  assert.equal(parseSearchQuery(Array.from({ length: 20 }, (_, i) => `t${i}`).join(' ')).length, 10);
+  assert.deepEqual(parseSearchQuery({ $ne: '' }), []);
+});
+
+test('search terms match the start of words only', () => {
+  const matches = (term, text) => new RegExp(searchTermPattern(term), 'iu').test(text);
+  assert.ok(matches('depl', 'The Deployment'));
+  assert.ok(matches('c++', 'we use c++ here'));
+  assert.ok(!matches('ploy', 'deployment'));
+  assert.ok(!matches('a.c', 'abc'));
+});
+
+test('search prefixes cover every word start a term can match', () => {
+  assert.equal(searchPrefixes({ text: 'Go, go!' }), 'g go');
+  assert.equal(searchPrefixes({ text: 'secret', encrypted: true }), '');
+  assert.equal(searchPrefixes({ text: '', deleted: true }), '');
+  const long = 'supercalifragilisticexpialidocious';
+  assert.equal(searchPrefixes({ text: long }).split(' ').pop(), long.slice(0, 20));
+
+  const text = 'Release v2.1 of foo_bar: #deploy-now, Über straße (c++)';
+  const prefixes = new Set(searchPrefixes({ text }).split(' '));
+  const terms = ['release', 'v2.1', 'foo_b', '#deploy', 'deploy-n', 'now', 'über', 'stra', '(c++', long];
+  terms.filter(t => new RegExp(searchTermPattern(t), 'iu').test(text)).forEach(term => {
+    assert.ok(prefixes.has(searchToken(term)), `"${term}" is looked up by an indexed prefix`);
+  });
+  assert.equal(searchToken(long), long.slice(0, 20));
+  assert.equal(searchToken('#Deploy'), 'deploy');
+});
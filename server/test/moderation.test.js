@@ -0,0 +1,102 @@
+// server/test/moderation.test.js
+//
+// Moderation as the socket handlers apply it (see rooms.test.js for the rules)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, nextEvent, noEvent, joinRoom, sendMessage } = require('./helpers/chatServer');
+
+// The role the user list gives `username`
+const roleIn = (list, username) => list.users.find(u => u.username === username).role;
+const usersList = (socket, check) => nextEvent(socket, 'usersList', list => check(list));
+
+test.describe('moderation', () => {
+  let server;
+  test.before(async () => { server = await startServer(); });
+  test.after(() => server.stop());
+
+  test('users are listed with the role of their session', async () => {
+    const owner = await server.connect();
+    const { session } = await joinRoom(owner, 'roles', 'alice', { create: true });
+    const member = await server.connect();
+    const listed = usersList(owner, list => list.users.length === 2);
+    await joinRoom(member, 'roles', 'bob');
+    const list = await listed;
+    assert.equal(roleIn(list, 'alice'), 'owner');
+    assert.equal(roleIn(list, 'bob'), 'member');
+    assert.ok(!JSON.stringify(list).includes(session));
+
+    const appointed = usersList(owner, l => roleIn(l, 'bob') === 'moderator');
+    const notice = nextEvent(owner, 'chatMessage', m => m.system);
+    owner.emit('moderate', { roomName: 'roles', action: 'addModerator', username: 'bob' });
+    await appointed;
+    assert.equal((await notice).text, 'alice made bob a moderator.');
+  });
+
+  test('someone using the absent owner\'s name is a member, and can be removed', async () => {
+    const owner = await server.connect();
+    const { session } = await joinRoom(owner, 'impostors', 'alice', { create: true });
+    const moderator = await server.connect();
+    await joinRoom(moderator, 'impostors', 'mod');
+    owner.emit('moderate', { roomName: 'impostors', action: 'addModerator', username: 'mod' });
+    await usersList(moderator, l => roleIn(l, 'mod') === 'moderator');
+    owner.close();
+    await usersList(moderator, l => l.users.find(u => u.username === 'alice').status === 'offline');
+
+    // The owner is protected while away...
+    const refused = nextEvent(moderator, 'error');
+    moderator.emit('moderate', { roomName: 'impostors', action: 'mute', username: 'alice' });
+    assert.equal((await refused).message, "You can't moderate a user with the same or a higher role.");
+
+    // ...but someone else joining under their name is not
+    const impostor = await server.connect();
+    const listed = usersList(moderator, l => l.users.find(u => u.username === 'alice').status === 'online');
+    await joinRoom(impostor, 'impostors', 'alice');
+    assert.equal(roleIn(await listed, 'alice'), 'member');
+    const banned = nextEvent(impostor, 'removedFromRoom');
+    moderator.emit('moderate', { roomName: 'impostors', action: 'ban', username: 'alice' });
+    assert.equal((await banned).action, 'ban');
+
+    // The real owner still gets in, and keeps the room
+    const back = await server.connect();
+    const ownerListed = usersList(back, l => roleIn(l, 'alice') === 'owner');
+    const rejoined = await joinRoom(back, 'impostors', 'alice', { session });
+    assert.deepEqual(rejoined.room.banned, ['alice']);
+    await ownerListed;
+    const again = await server.connect();
+    await assert.rejects(joinRoom(again, 'impostors', 'alice'), /banned/);
+  });
+
+  test('members can\'t moderate', async () => {
+    const owner = await server.connect();
+    await joinRoom(owner, 'members', 'alice', { create: true });
+    const member = await server.connect();
+    await joinRoom(member, 'members', 'bob');
+    const refused = nextEvent(member, 'error');
+    member.emit('moderate', { roomName: 'members', action: 'kick', username: 'alice' });
+    assert.equal((await refused).message, "Only moderators can do that.");
+  });
+
+  test('muted users can\'t send, edit or react', async () => {
+    const owner = await server.connect();
+    await joinRoom(owner, 'mutes', 'alice', { create: true });
+    const member = await server.connect();
+    await joinRoom(member, 'mutes', 'bob');
+    const message = await sendMessage(member, 'mutes', { text: 'before the mute' });
+    const muted = nextEvent(member, 'roomUpdated', ({ room }) => room.muted.includes('bob'));
+    owner.emit('moderate', { roomName: 'mutes', action: 'mute', username: 'bob' });
+    await muted;
+
+    const attempts = [
+      ['chatMessage', { roomName: 'mutes', text: 'after the mute' }],
+      ['editMessage', { roomName: 'mutes', messageId: message._id, text: 'edited' }],
+      ['addReaction', { roomName: 'mutes', messageId: message._id, emoji: '👍' }]
+    ];
+    for (const [event, payload] of attempts) {
+      const refused = nextEvent(member, 'error');
+      member.emit(event, payload);
+      assert.equal((await refused).message, "You have been muted in this room.", event);
+    }
+    assert.ok(await noEvent(owner, 'messageUpdated'));
+    assert.ok(await noEvent(owner, 'reactionsUpdated'));
+  });
+});
@@ -0,0 +1,54 @@
+// server/test/multipleRooms.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, nextEvent, noEvent, joinRoom, sendMessage } = require('./helpers/chatServer');
+
+test.describe('several rooms per connection', () => {
+  let server;
+  let alice;
+  let bob;
+  test.before(async () => {
+    server = await startServer();
+    alice = await server.connect();
+    bob = await server.connect();
+    await joinRoom(alice, 'red', 'alice', { create: true });
+    await joinRoom(alice, 'blue', 'alice', { create: true });
+    await joinRoom(bob, 'red', 'bob');
+    await joinRoom(bob, 'blue', 'bob');
+  });
+  test.after(() => server.stop());
+
+  test('messages carry their room and only reach its members', async () => {
+    const carol = await server.connect();
+    await joinRoom(carol, 'blue', 'carol');
+    const inRed = nextEvent(bob, 'chatMessage', m => m.text === 'red alert');
+    await sendMessage(alice, 'red', { text: 'red alert' });
+    assert.equal((await inRed).roomName, 'red');
+    assert.ok(await noEvent(carol, 'chatMessage', m => m.text === 'red alert'));
+  });
+
+  test('events for rooms the socket isn\'t in are ignored', async () => {
+    const carol = await server.connect();
+    await joinRoom(carol, 'green', 'carol', { create: true });
+    carol.emit('chatMessage', { roomName: 'red', text: 'sneaking in' });
+    assert.ok(await noEvent(bob, 'chatMessage', m => m.text === 'sneaking in'));
+  });
+
+  test('leaving one room keeps the others', async () => {
+    const dave = await server.connect();
+    await joinRoom(dave, 'red', 'dave');
+    await joinRoom(dave, 'blue', 'dave');
+    const redList = nextEvent(alice, 'usersList', ({ roomName, users }) => (
+      roomName === 'red' && !users.some(u => u.username === 'dave' && u.connections > 0)
+    ));
+    dave.emit('leaveRoom', { roomName: 'red' });
+    await redList;
+    const received = [];
+    dave.on('chatMessage', m => received.push(m.text));
+    const stillBlue = nextEvent(dave, 'chatMessage', m => m.text === 'blue still');
+    await sendMessage(alice, 'red', { text: 'after leaving' });
+    await sendMessage(alice, 'blue', { text: 'blue still' });
+    await stillBlue;
+    assert.deepEqual(received, ['blue still']);
+  });
+});
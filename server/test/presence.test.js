@@ -0,0 +1,61 @@
+// server/test/presence.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, nextEvent, noEvent, joinRoom } = require('./helpers/chatServer');
+
+test.describe('presence', () => {
+  let server;
+  let watcher;
+  test.before(async () => {
+    server = await startServer();
+    watcher = await server.connect();
+    await joinRoom(watcher, 'office', 'watcher', { create: true });
+  });
+  test.after(() => server.stop());
+
+  // The next user list in which `username` is as `expected` describes
+  const listedAs = (username, expected) => nextEvent(watcher, 'usersList', ({ users }) => {
+    const user = users.find(u => u.username === username);
+    return Boolean(user) && Object.entries(expected).every(([key, value]) => user[key] === value);
+  });
+
+  test('tabs of one user count as one user until the last one closes', async () => {
+    const firstTab = await server.connect();
+    let listed = listedAs('alice', { connections: 1, status: 'online' });
+    const { session } = await joinRoom(firstTab, 'office', 'alice');
+    await listed;
+
+    const secondTab = await server.connect();
+    listed = listedAs('alice', { connections: 2, status: 'online' });
+    await joinRoom(secondTab, 'office', 'alice', { session });
+    assert.equal((await listed).users.filter(u => u.username === 'alice').length, 1);
+
+    listed = listedAs('alice', { connections: 1, status: 'online' });
+    firstTab.close();
+    await listed;
+
+    listed = listedAs('alice', { connections: 0, status: 'offline' });
+    secondTab.close();
+    const offline = (await listed).users.find(u => u.username === 'alice');
+    assert.ok(offline.lastSeen <= Date.now());
+  });
+
+  test('a user is away only when all their tabs are', async () => {
+    const firstTab = await server.connect();
+    const { session } = await joinRoom(firstTab, 'office', 'bob');
+    const secondTab = await server.connect();
+    let listed = listedAs('bob', { connections: 2 });
+    await joinRoom(secondTab, 'office', 'bob', { session });
+    await listed;
+
+    const shownAway = ({ users }) => users.some(u => u.username === 'bob' && u.status === 'away');
+    firstTab.emit('setStatus', { status: 'away' });
+    assert.ok(await noEvent(watcher, 'usersList', shownAway));
+    listed = listedAs('bob', { status: 'away' });
+    secondTab.emit('setStatus', { status: 'away' });
+    await listed;
+    listed = listedAs('bob', { status: 'online' });
+    firstTab.emit('setStatus', { status: 'online' });
+    await listed;
+  });
+});
@@ -0,0 +1,67 @@
+// server/test/presenceTable.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createPresenceTable } = require('../presence/table');
+
+const join = (table, instanceId, roomName, socketId, username, extra = {}) => {
+  table.set(instanceId, { roomName, socketId, username, avatar: null, sessionId: `session-${username}`, ...extra });
+};
+
+test('users are listed once however many connections they have', () => {
+  const table = createPresenceTable();
+  join(table, 'a', 'lobby', 's1', 'alice');
+  join(table, 'b', 'lobby', 's2', 'alice');
+  join(table, 'a', 'lobby', 's3', 'bob');
+  join(table, 'a', 'other', 's4', 'carol');
+  const users = table.users('lobby');
+  assert.deepEqual(users.map(u => [u.username, u.connections, u.status]), [['alice', 2, 'online'], ['bob', 1, 'online']]);
+  assert.deepEqual(table.connections('lobby', 'alice', 's1'), [{ socketId: 's2', sessionId: 'session-alice' }]);
+});
+
+test('a user shows the best status among their connections', () => {
+  const table = createPresenceTable();
+  join(table, 'a', 'lobby', 's1', 'alice');
+  join(table, 'a', 'lobby', 's2', 'alice');
+  assert.deepEqual(table.setStatus('a', 's1', 'away'), []);
+  assert.equal(table.users('lobby')[0].status, 'online');
+  assert.deepEqual(table.setStatus('a', 's2', 'away'), ['lobby']);
+  const [alice] = table.users('lobby');
+  assert.equal(alice.status, 'away');
+  assert.ok(alice.lastSeen > 0);
+});
+
+test('users who leave are listed as offline until they come back', () => {
+  const table = createPresenceTable();
+  join(table, 'a', 'lobby', 's1', 'alice');
+  join(table, 'a', 'lobby', 's2', 'alice');
+  table.remove('a', 'lobby', 's1');
+  assert.equal(table.users('lobby')[0].status, 'online');
+  table.remove('a', 'lobby', 's2');
+  const [alice] = table.users('lobby');
+  assert.equal(alice.status, 'offline');
+  assert.equal(alice.connections, 0);
+  assert.ok(alice.lastSeen > 0);
+  assert.deepEqual(table.connections('lobby', 'alice'), []);
+  join(table, 'a', 'lobby', 's3', 'alice');
+  assert.deepEqual(table.users('lobby').map(u => u.status), ['online']);
+});
+
+test('an instance that goes away takes its users with it', () => {
+  const table = createPresenceTable();
+  join(table, 'a', 'lobby', 's1', 'alice');
+  join(table, 'b', 'lobby', 's2', 'bob');
+  table.replace('b');
+  assert.deepEqual(table.users('lobby').map(u => `${u.username}:${u.status}`), ['alice:online', 'bob:offline']);
+});
+
+test('typing is tracked per connection', () => {
+  const table = createPresenceTable();
+  join(table, 'a', 'lobby', 's1', 'alice');
+  join(table, 'a', 'lobby', 's2', 'alice');
+  table.update('a', 'lobby', 's1', { typing: true });
+  assert.ok(table.isTyping('lobby', 'alice'));
+  assert.deepEqual(table.typingUsers('lobby'), ['alice']);
+  table.remove('a', 'lobby', 's1');
+  assert.ok(!table.isTyping('lobby', 'alice'));
+  assert.deepEqual(table.typingUsers('lobby'), []);
+});
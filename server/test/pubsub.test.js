@@ -0,0 +1,65 @@
+// server/test/pubsub.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createHub } = require('../pubsub/hub');
+const { startServer, nextEvent, joinRoom, sendMessage } = require('./helpers/chatServer');
+
+// Two server instances sharing the local pub/sub hub
+test.describe('several instances', () => {
+  let hub;
+  let first;
+  let second;
+  test.before(async () => {
+    hub = createHub();
+    await new Promise(resolve => hub.listen(0, '127.0.0.1', resolve));
+    const env = { PUBSUB_URL: `tcp://127.0.0.1:${hub.address().port}`, UPLOAD_TOKEN_SECRET: 'shared-test-secret' };
+    first = await startServer(env);
+    second = await startServer(env);
+  });
+  test.after(async () => {
+    await Promise.all([first.stop(), second.stop()]);
+    hub.close();
+  });
+
+  const listed = (socket, roomName, usernames) => nextEvent(socket, 'usersList', ({ roomName: room, users }) => (
+    room === roomName &&
+    users.filter(u => u.connections > 0).map(u => u.username).sort().join() === [...usernames].sort().join()
+  ));
+
+  test('room broadcasts and user lists reach sockets on every instance', async () => {
+    const alice = await first.connect();
+    const bob = await second.connect();
+    await joinRoom(alice, 'shared', 'alice', { create: true });
+    const bothListed = listed(alice, 'shared', ['alice', 'bob']);
+    await joinRoom(bob, 'shared', 'bob');
+    await bothListed;
+
+    const relayed = nextEvent(bob, 'chatMessage', m => m.text === 'hello from the first instance');
+    await sendMessage(alice, 'shared', { text: 'hello from the first instance' });
+    assert.equal((await relayed).user, 'alice');
+
+    const typing = nextEvent(alice, 'userTyping', ({ username }) => username === 'bob');
+    bob.emit('typing', { roomName: 'shared' });
+    await typing;
+
+    const aliceAlone = listed(alice, 'shared', ['alice']);
+    bob.close();
+    await aliceAlone;
+  });
+
+  test('upload tokens issued by one instance work on the others', async () => {
+    const socket = await first.connect();
+    socket.emit('requestUploadToken', { kind: 'avatar' });
+    const { token } = await nextEvent(socket, 'uploadToken');
+    const response = await fetch(`${second.url}/avatars`, {
+      method: 'POST', headers: { 'Content-Type': 'text/plain', 'X-Upload-Token': token }, body: 'not an image'
+    });
+    assert.equal(response.status, 415);
+  });
+
+  test('nobody can join the private room of a socket on another instance', async () => {
+    const target = await second.connect();
+    const intruder = await first.connect();
+    await assert.rejects(joinRoom(intruder, target.id, 'mallory'), { code: 'invalidPayload' });
+  });
+});
@@ -0,0 +1,66 @@
+// server/test/pubsubPresence.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const createPubSubPresence = require('../presence/pubsubPresence');
+
+// In-process stand-in for a pub/sub: every subscriber gets every message
+function createLocalPubSub() {
+  const handlers = new Map();
+  return {
+    async connect() {},
+    publish(channel, message) {
+      (handlers.get(channel) || []).forEach(handler => handler(JSON.parse(JSON.stringify(message))));
+    },
+    subscribe(channel, handler) {
+      handlers.set(channel, [...(handlers.get(channel) || []), handler]);
+    },
+    onReconnect() {},
+    async close() {}
+  };
+}
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+// Users connected to a room (those who left show as offline for a while)
+const present = (presence, roomName) => (
+  presence.users(roomName).filter(u => u.connections > 0).map(u => u.username).sort()
+);
+
+test('instances share presence and drop the users of one that goes quiet', async () => {
+  const pubsub = createLocalPubSub();
+  const changes = [];
+  const first = createPubSubPresence({
+    pubsub, instanceId: 'first', onRoomChange: room => changes.push(room), heartbeatIntervalMs: 20, instanceTimeoutMs: 100
+  });
+  // The second instance never sends heartbeats, as if it had crashed after joining
+  const second = createPubSubPresence({ pubsub, instanceId: 'second', heartbeatIntervalMs: 60 * 60 * 1000 });
+  await first.connect();
+  await second.connect();
+  first.join('lobby', 'socket-a', { username: 'alice', sessionId: 's1', status: 'online' });
+  second.join('lobby', 'socket-b', { username: 'bob', sessionId: 's2', status: 'online' });
+  assert.deepEqual(present(first, 'lobby'), ['alice', 'bob']);
+  assert.deepEqual(present(second, 'lobby'), ['alice', 'bob']);
+  assert.equal(second.setTyping('lobby', 'socket-b', true), true);
+  assert.deepEqual(first.typingUsers('lobby'), ['bob']);
+
+  changes.length = 0;
+  await wait(250);
+  assert.deepEqual(present(first, 'lobby'), ['alice']);
+  assert.deepEqual(first.typingUsers('lobby'), []);
+  assert.ok(changes.includes('lobby'));
+  await first.close();
+  await second.close();
+});
+
+test('an instance shutting down takes its users along right away', async () => {
+  const pubsub = createLocalPubSub();
+  const first = createPubSubPresence({ pubsub, instanceId: 'first' });
+  const second = createPubSubPresence({ pubsub, instanceId: 'second' });
+  await first.connect();
+  second.join('lobby', 'socket-b', { username: 'bob', sessionId: 's2', status: 'online' });
+  // Joined before the first instance listened: it asks for the whole state
+  await second.connect();
+  assert.deepEqual(present(first, 'lobby'), ['bob']);
+  await second.close();
+  assert.deepEqual(present(first, 'lobby'), []);
+  await first.close();
+});
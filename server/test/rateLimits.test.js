@@ -0,0 +1,76 @@
+// server/test/rateLimits.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRateLimits, parseLimits, clientAddress, DEFAULT_LIMITS } = require('../rateLimits');
+
+const limits = { ...DEFAULT_LIMITS, message: { capacity: 2, perSecond: 0.001 } };
+
+test('each connection gets its own burst', (t) => {
+  const rateLimits = createRateLimits({ limits, ipMultiplier: 10 });
+  t.after(() => rateLimits.stop());
+  const one = rateLimits.forConnection('10.0.0.1');
+  const two = rateLimits.forConnection('10.0.0.1');
+  assert.equal(one.check('chatMessage'), 0);
+  assert.equal(one.check('editMessage'), 0);
+  assert.ok(one.check('directMessage') > 0);
+  // Other classes and other connections are unaffected
+  assert.equal(one.check('typing'), 0);
+  assert.equal(two.check('chatMessage'), 0);
+});
+
+test('connections from one address share a larger budget', (t) => {
+  const rateLimits = createRateLimits({ limits, ipMultiplier: 2 });
+  t.after(() => rateLimits.stop());
+  const connections = [1, 2, 3].map(() => rateLimits.forConnection('10.0.0.2'));
+  assert.equal(connections[0].check('chatMessage'), 0);
+  assert.equal(connections[0].check('chatMessage'), 0);
+  assert.equal(connections[1].check('chatMessage'), 0);
+  assert.equal(connections[1].check('chatMessage'), 0);
+  assert.ok(connections[2].check('chatMessage') > 0);
+  assert.equal(rateLimits.forConnection('10.0.0.3').check('chatMessage'), 0);
+});
+
+test('an event turned away by the address budget costs the connection nothing', (t) => {
+  t.mock.timers.enable({ apis: ['Date', 'setInterval'] });
+  const rateLimits = createRateLimits({ limits: { ...DEFAULT_LIMITS, message: { capacity: 2, perSecond: 1 } }, ipMultiplier: 2 });
+  t.after(() => rateLimits.stop());
+  const [busy, busier, quiet] = [1, 2, 3].map(() => rateLimits.forConnection('10.0.0.4'));
+  for (const connection of [busy, busy, busier, busier]) assert.equal(connection.check('chatMessage'), 0);
+  // The address is out of tokens, so the quiet connection is turned away...
+  for (let i = 0; i < 5; i++) assert.ok(quiet.check('chatMessage') > 0);
+  // ...but still has its whole burst once the address has tokens again
+  t.mock.timers.tick(1000);
+  assert.equal(quiet.check('chatMessage'), 0);
+  assert.equal(quiet.check('chatMessage'), 0);
+});
+
+test('uploads are limited per address', (t) => {
+  const rateLimits = createRateLimits({ limits: { ...DEFAULT_LIMITS, upload: { capacity: 1, perSecond: 0.001 } }, ipMultiplier: 2 });
+  t.after(() => rateLimits.stop());
+  assert.equal(rateLimits.checkAddress('upload', '10.0.0.5'), 0);
+  assert.equal(rateLimits.checkAddress('upload', '10.0.0.5'), 0);
+  assert.ok(rateLimits.checkAddress('upload', '10.0.0.5') > 0);
+  assert.equal(rateLimits.checkAddress('upload', '10.0.0.6'), 0);
+});
+
+test('behind trusted proxies, the client address is the one they forwarded', () => {
+  const headers = { 'x-forwarded-for': '203.0.113.7' };
+  assert.equal(clientAddress(headers, '10.0.0.1', 0), '10.0.0.1');
+  assert.equal(clientAddress(headers, '10.0.0.1', 1), '203.0.113.7');
+  assert.equal(clientAddress({ 'x-forwarded-for': '203.0.113.7, 10.0.0.2' }, '10.0.0.1', 2), '203.0.113.7');
+  // Without a forwarded address there is only the connection's own
+  assert.equal(clientAddress({}, '10.0.0.1', 1), '10.0.0.1');
+});
+
+test('addresses a client puts in X-Forwarded-For itself don\'t change its rate limit key', () => {
+  const proxied = (spoofed) => clientAddress({ 'x-forwarded-for': `${spoofed}, 203.0.113.7` }, '10.0.0.1', 1);
+  assert.equal(proxied('1.1.1.1'), '203.0.113.7');
+  assert.equal(proxied('2.2.2.2, 3.3.3.3'), '203.0.113.7');
+});
+
+test('RATE_LIMITS overrides the defaults and rejects nonsense', () => {
+  assert.deepEqual(parseLimits('{"message": {"capacity": 5, "perSecond": 0.5}}').message, { capacity: 5, perSecond: 0.5 });
+  assert.deepEqual(parseLimits(undefined), DEFAULT_LIMITS);
+  assert.throws(() => parseLimits('{"message": {"capacity": 0, "perSecond": 1}}'), /Invalid rate limit for "message"/);
+  assert.throws(() => parseLimits('{"shouting": {"capacity": 1, "perSecond": 1}}'), /Invalid rate limit/);
+});
@@ -0,0 +1,72 @@
+// server/test/reactions.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, nextEvent, noEvent, joinRoom, sendMessage } = require('./helpers/chatServer');
+const { isValidEmoji, aggregateReactions } = require('../messages');
+
+test('reactions are single emojis, counted per emoji', () => {
+  assert.ok(isValidEmoji('👍'));
+  assert.ok(isValidEmoji('👍🏽'));
+  assert.ok(isValidEmoji('👩‍💻'));
+  assert.ok(!isValidEmoji('a'));
+  assert.ok(!isValidEmoji('👍 '));
+  assert.ok(!isValidEmoji('$set'));
+  assert.deepEqual(aggregateReactions({ '👍': ['alice', 'bob'], '🎉': [] }), [
+    { emoji: '👍', count: 2, users: ['alice', 'bob'] }
+  ]);
+});
+
+test.describe('reacting to messages', () => {
+  let server;
+  let alice;
+  let bob;
+  test.before(async () => {
+    server = await startServer();
+    alice = await server.connect();
+    bob = await server.connect();
+    await joinRoom(alice, 'fun', 'alice', { create: true });
+    await joinRoom(bob, 'fun', 'bob');
+  });
+  test.after(() => server.stop());
+
+  const reactionsOf = (socket, messageId) => nextEvent(socket, 'reactionsUpdated', r => r.messageId === messageId);
+
+  test('reactions are added once per user, removed, and broadcast', async () => {
+    const message = await sendMessage(alice, 'fun', { text: 'ship it' });
+    let update = reactionsOf(alice, message._id);
+    bob.emit('addReaction', { roomName: 'fun', messageId: message._id, emoji: '🚀' });
+    assert.deepEqual((await update).reactions, [{ emoji: '🚀', count: 1, users: ['bob'] }]);
+
+    update = reactionsOf(alice, message._id);
+    bob.emit('addReaction', { roomName: 'fun', messageId: message._id, emoji: '🚀' });
+    assert.deepEqual((await update).reactions, [{ emoji: '🚀', count: 1, users: ['bob'] }]);
+
+    update = reactionsOf(alice, message._id);
+    alice.emit('addReaction', { roomName: 'fun', messageId: message._id, emoji: '🚀' });
+    assert.deepEqual((await update).reactions, [{ emoji: '🚀', count: 2, users: ['bob', 'alice'] }]);
+
+    update = reactionsOf(alice, message._id);
+    bob.emit('removeReaction', { roomName: 'fun', messageId: message._id, emoji: '🚀' });
+    assert.deepEqual((await update).reactions, [{ emoji: '🚀', count: 1, users: ['alice'] }]);
+
+    const reader = await server.connect();
+    const { messages } = await joinRoom(reader, 'fun', 'carol');
+    assert.deepEqual(messages.find(m => m._id === message._id).reactions, [{ emoji: '🚀', count: 1, users: ['alice'] }]);
+  });
+
+  test('anything but an emoji is ignored', async () => {
+    const message = await sendMessage(alice, 'fun', { text: 'no injection' });
+    bob.emit('addReaction', { roomName: 'fun', messageId: message._id, emoji: 'readBy' });
+    assert.ok(await noEvent(alice, 'reactionsUpdated', r => r.messageId === message._id));
+  });
+
+  test('deleted messages can\'t be reacted to', async () => {
+    const message = await sendMessage(alice, 'fun', { text: 'short-lived' });
+    const deleted = nextEvent(bob, 'messageUpdated', ({ message: m }) => m._id === message._id);
+    alice.emit('deleteMessage', { roomName: 'fun', messageId: message._id });
+    await deleted;
+    const refused = nextEvent(bob, 'error');
+    bob.emit('addReaction', { roomName: 'fun', messageId: message._id, emoji: '😢' });
+    assert.equal((await refused).message, "Message not found.");
+  });
+});
@@ -0,0 +1,57 @@
+// server/test/readEvents.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, nextEvent, noEvent, joinRoom, sendMessage } = require('./helpers/chatServer');
+
+test.describe('marking messages as read', () => {
+  let server;
+  let alice;
+  let bob;
+  test.before(async () => {
+    server = await startServer();
+    alice = await server.connect();
+    bob = await server.connect();
+    await joinRoom(alice, 'seen', 'alice', { create: true });
+    await joinRoom(bob, 'seen', 'bob');
+  });
+  test.after(() => server.stop());
+
+  test('reading up to a message marks everything before it in one broadcast', async () => {
+    const sent = [];
+    for (const text of ['one', 'two', 'three']) sent.push(await sendMessage(alice, 'seen', { text }));
+    const receipts = nextEvent(alice, 'readReceipts');
+    bob.emit('messagesRead', { roomName: 'seen', upTo: sent[1]._id });
+    const { roomName, receipts: marked } = await receipts;
+    assert.equal(roomName, 'seen');
+    assert.deepEqual(marked.map(r => r.messageId).sort(), [sent[0]._id, sent[1]._id].sort());
+    marked.forEach(r => assert.deepEqual(r.readBy, ['alice', 'bob']));
+
+    // Nothing new to mark
+    bob.emit('messagesRead', { roomName: 'seen', upTo: sent[1]._id });
+    assert.ok(await noEvent(alice, 'readReceipts'));
+
+    const single = nextEvent(alice, 'readReceipt');
+    bob.emit('messageRead', { roomName: 'seen', messageId: sent[2]._id });
+    assert.deepEqual(await single, { roomName: 'seen', messageId: sent[2]._id, readBy: ['alice', 'bob'] });
+  });
+
+  test('receipts are sent with history before they are written', async () => {
+    const message = await sendMessage(alice, 'seen', { text: 'fresh' });
+    const receipt = nextEvent(alice, 'readReceipt');
+    bob.emit('messageRead', { roomName: 'seen', messageId: message._id });
+    await receipt;
+    const reader = await server.connect();
+    const { messages } = await joinRoom(reader, 'seen', 'carol');
+    assert.deepEqual(messages.find(m => m._id === message._id).readBy, ['alice', 'bob']);
+  });
+
+  test('messages of other rooms can\'t be marked', async () => {
+    const message = await sendMessage(alice, 'seen', { text: 'private' });
+    const carol = await server.connect();
+    await joinRoom(carol, 'elsewhere', 'carol', { create: true });
+    carol.emit('messageRead', { roomName: 'elsewhere', messageId: message._id });
+    carol.emit('messagesRead', { roomName: 'elsewhere', upTo: message._id });
+    assert.ok(await noEvent(carol, 'readReceipt'));
+    assert.ok(await noEvent(alice, 'readReceipts'));
+  });
+});
@@ -0,0 +1,84 @@
+// server/test/readReceipts.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createStore } = require('../store');
+const { createReadReceipts } = require('../readReceipts');
+
+test.describe('read receipts', () => {
+  let store;
+  let receipts;
+  const save = (roomName, text, createdAt) => store.saveMessage({
+    roomName, user: 'alice', text, readBy: ['alice'], createdAt, expiresAt: null
+  });
+  test.beforeEach(async () => {
+    store = createStore({ backend: 'memory' });
+    await store.connect();
+    // Flushed by hand
+    receipts = createReadReceipts({ store, flushIntervalMs: 60 * 60 * 1000 });
+  });
+
+  test('receipts are buffered and written to the store in one batch', async () => {
+    const message = await save('lobby', 'hello', new Date());
+    const calls = [];
+    const addReadReceipts = store.addReadReceipts;
+    store.addReadReceipts = (batch) => {
+      calls.push(batch);
+      return addReadReceipts(batch);
+    };
+    assert.deepEqual(await receipts.markRead(message._id, 'lobby', 'bob'), ['alice', 'bob']);
+    assert.deepEqual(await receipts.markRead(message._id, 'lobby', 'carol'), ['alice', 'bob', 'carol']);
+    assert.deepEqual((await store.getMessage(message._id)).readBy, ['alice']);
+    // Not flushed yet, but merged into what clients are sent
+    assert.deepEqual(receipts.mergeInto([await store.getMessage(message._id)])[0].readBy, ['alice', 'bob', 'carol']);
+
+    await receipts.flush();
+    assert.deepEqual(calls, [[{ messageId: message._id, usernames: ['bob', 'carol'] }]]);
+    assert.deepEqual((await store.getMessage(message._id)).readBy, ['alice', 'bob', 'carol']);
+    await receipts.flush();
+    assert.equal(calls.length, 1);
+  });
+
+  test('messages of other rooms (or none) can\'t be marked', async () => {
+    const message = await save('lobby', 'hello', new Date());
+    assert.equal(await receipts.markRead(message._id, 'elsewhere', 'bob'), null);
+    assert.equal(await receipts.markRead('0'.repeat(24), 'lobby', 'bob'), null);
+    assert.equal(await receipts.markReadUpTo('elsewhere', message._id, 'bob'), null);
+  });
+
+  test('a high-water mark reads everything up to it', async () => {
+    const now = Date.now();
+    const first = await save('lobby', 'one', new Date(now));
+    const second = await save('lobby', 'two', new Date(now + 1));
+    const third = await save('lobby', 'three', new Date(now + 2));
+    await receipts.markRead(first._id, 'lobby', 'bob');
+    const marked = await receipts.markReadUpTo('lobby', second._id, 'bob');
+    assert.deepEqual(marked, [{ messageId: second._id, readBy: ['alice', 'bob'] }]);
+    assert.deepEqual(await receipts.markReadUpTo('lobby', second._id, 'bob'), []);
+    assert.deepEqual(await receipts.markRead(third._id, 'lobby', 'bob'), ['alice', 'bob']);
+  });
+
+  test('messages that were never stored are known from the cache', async () => {
+    const relayed = { _id: 'e'.repeat(24), roomName: 'fleeting', createdAt: new Date(), readBy: ['alice'] };
+    receipts.remember(relayed);
+    assert.deepEqual(await receipts.markReadUpTo('fleeting', relayed._id, 'bob'), [
+      { messageId: relayed._id, readBy: ['alice', 'bob'] }
+    ]);
+  });
+
+  test('failed writes are retried on the next flush', async () => {
+    const message = await save('lobby', 'hello', new Date());
+    const addReadReceipts = store.addReadReceipts;
+    store.addReadReceipts = async () => { throw new Error('store unavailable'); };
+    await receipts.markRead(message._id, 'lobby', 'bob');
+    const logError = console.error;
+    console.error = () => {};
+    try {
+      await receipts.flush();
+    } finally {
+      console.error = logError;
+    }
+    store.addReadReceipts = addReadReceipts;
+    await receipts.flush();
+    assert.deepEqual((await store.getMessage(message._id)).readBy, ['alice', 'bob']);
+  });
+});
@@ -0,0 +1,68 @@
+// server/test/replies.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, nextEvent, joinRoom, sendMessage } = require('./helpers/chatServer');
+
+test.describe('replies', () => {
+  let server;
+  let alice;
+  let bob;
+  test.before(async () => {
+    server = await startServer();
+    alice = await server.connect();
+    bob = await server.connect();
+    await joinRoom(alice, 'threads', 'alice', { create: true });
+    await joinRoom(bob, 'threads', 'bob');
+  });
+  test.after(() => server.stop());
+
+  const replyUpdate = (socket, replyId) => nextEvent(socket, 'messageUpdated', ({ message }) => message._id === replyId);
+  // The reply as it is loaded with the room's history
+  const reloaded = async (replyId) => {
+    const socket = await server.connect();
+    const { messages } = await joinRoom(socket, 'threads', `reader-${replyId.slice(-6)}`);
+    socket.close();
+    return messages.find(m => m._id === replyId);
+  };
+
+  test('replies quote their parent and are listed in its thread', async () => {
+    const parent = await sendMessage(alice, 'threads', { text: 'Which release?' });
+    const reply = await sendMessage(bob, 'threads', { text: 'The next one', replyTo: parent._id });
+    assert.equal(reply.replyTo, parent._id);
+    assert.deepEqual(reply.replyPreview, { user: 'alice', text: 'Which release?' });
+    alice.emit('getThread', { roomName: 'threads', messageId: parent._id });
+    const thread = await nextEvent(alice, 'thread');
+    assert.equal(thread.parent._id, parent._id);
+    assert.deepEqual(thread.replies.map(r => r.text), ['The next one']);
+  });
+
+  test('replies can\'t point to another room', async () => {
+    const elsewhere = await server.connect();
+    await joinRoom(elsewhere, 'other', 'carol', { create: true });
+    const parent = await sendMessage(elsewhere, 'other', { text: 'Somewhere else' });
+    const refused = nextEvent(bob, 'error');
+    bob.emit('chatMessage', { roomName: 'threads', text: 'Hi', replyTo: parent._id });
+    assert.equal((await refused).message, "You can only reply to messages in the same room.");
+  });
+
+  test('editing the parent updates the quote in its replies', async () => {
+    const parent = await sendMessage(alice, 'threads', { text: 'Meeting at 3' });
+    const reply = await sendMessage(bob, 'threads', { text: 'OK', replyTo: parent._id });
+    const updated = replyUpdate(bob, reply._id);
+    alice.emit('editMessage', { roomName: 'threads', messageId: parent._id, text: 'Meeting at 4' });
+    assert.deepEqual((await updated).message.replyPreview, { user: 'alice', text: 'Meeting at 4' });
+    assert.deepEqual((await reloaded(reply._id)).replyPreview, { user: 'alice', text: 'Meeting at 4' });
+  });
+
+  test('deleting the parent removes its text from its replies', async () => {
+    const parent = await sendMessage(alice, 'threads', { text: 'my password is hunter2' });
+    const reply = await sendMessage(bob, 'threads', { text: 'You should delete that', replyTo: parent._id });
+    const updated = replyUpdate(bob, reply._id);
+    alice.emit('deleteMessage', { roomName: 'threads', messageId: parent._id });
+    const expected = { user: 'alice', text: '', deleted: true };
+    assert.deepEqual((await updated).message.replyPreview, expected);
+    const stored = await reloaded(reply._id);
+    assert.deepEqual(stored.replyPreview, expected);
+    assert.ok(!JSON.stringify(stored).includes('hunter2'));
+  });
+});
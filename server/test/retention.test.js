@@ -0,0 +1,45 @@
+// server/test/retention.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, joinRoom, sendMessage } = require('./helpers/chatServer');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+test.describe('retention', () => {
+  let server;
+  let socket;
+  test.before(async () => {
+    server = await startServer();
+    socket = await server.connect();
+  });
+  test.after(() => server.stop());
+
+  // How long a message sent to a new room with `retention` is kept, in ms
+  const lifetime = async (roomName, retention) => {
+    const { room } = await joinRoom(socket, roomName, 'alice', { create: true, retention });
+    const message = await sendMessage(socket, roomName, { text: 'kept for a while' });
+    return { room, ttl: message.expiresAt && new Date(message.expiresAt) - new Date(message.createdAt) };
+  };
+
+  test('messages expire as the room was set up', async () => {
+    assert.equal((await lifetime('daily', '24h')).ttl, 24 * HOUR_MS);
+    assert.equal((await lifetime('weekly', '7d')).ttl, 7 * 24 * HOUR_MS);
+    assert.equal((await lifetime('archive', 'forever')).ttl, null);
+    const fallback = await lifetime('unknown', 'a fortnight');
+    assert.equal(fallback.room.retention, '24h');
+    assert.equal(fallback.ttl, 24 * HOUR_MS);
+  });
+
+  test('ephemeral rooms relay messages without keeping them', async () => {
+    await lifetime('live', 'ephemeral');
+    const reader = await server.connect();
+    const joined = await joinRoom(reader, 'live', 'bob');
+    assert.equal(joined.room.retention, 'ephemeral');
+    assert.deepEqual(joined.messages, []);
+  });
+
+  test('joining an existing room keeps its retention', async () => {
+    const reader = await server.connect();
+    assert.equal((await joinRoom(reader, 'weekly', 'carol', { retention: 'ephemeral' })).room.retention, '7d');
+  });
+});
@@ -0,0 +1,158 @@
+// server/test/rooms.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  newRoomSettings, checkRoomAccess, roomRole, userRole, checkModeration, applyModeration, publicRoom, isMuted, isBanned,
+  messageExpiry
+} = require('../rooms');
+
+test('open rooms need no credentials', async () => {
+  const room = { name: 'lobby', ...(await newRoomSettings({ access: 'open' })) };
+  assert.equal(await checkRoomAccess(room, {}), null);
+});
+
+test('password rooms take the password or an invite', async () => {
+  const room = { name: 'sec', ...(await newRoomSettings({ access: 'password', password: 'hunter22' })) };
+  assert.equal((await checkRoomAccess(room, {})).reason, 'passwordRequired');
+  assert.equal((await checkRoomAccess(room, { password: 'wrong' })).reason, 'wrongPassword');
+  assert.equal(await checkRoomAccess(room, { password: 'hunter22' }), null);
+  assert.equal(await checkRoomAccess(room, { invite: room.inviteToken }), null);
+  assert.equal((await checkRoomAccess(room, { invite: 'f'.repeat(32) })).reason, 'invalidInvite');
+});
+
+test('invite-only rooms take only their invite token', async () => {
+  const room = { name: 'inv', ...(await newRoomSettings({ access: 'invite' })) };
+  assert.equal((await checkRoomAccess(room, {})).reason, 'inviteRequired');
+  assert.equal((await checkRoomAccess(room, { password: 'anything' })).reason, 'inviteRequired');
+  assert.equal(await checkRoomAccess(room, { invite: room.inviteToken }), null);
+});
+
+test('rooms created before access control are open', async () => {
+  assert.equal(await checkRoomAccess({ name: 'old' }, {}), null);
+});
+
+test('invalid room settings are refused with a message', async () => {
+  await assert.rejects(newRoomSettings({ access: 'password', password: 'abc' }), /4 to 200 characters/);
+  await assert.rejects(newRoomSettings({ encryption: { mode: 'rot13', salt: 'x', check: 'y' } }), /Invalid encryption/);
+  assert.equal((await newRoomSettings({ retention: 'nonsense' })).retention, '24h');
+});
+
+test('public room settings leave out secrets', async () => {
+  const room = {
+    name: 'sec', owner: 'alice', ownerSession: 'b'.repeat(32),
+    moderators: ['mod'], moderatorSessions: [{ username: 'mod', session: 'c'.repeat(32) }],
+    ...(await newRoomSettings({ access: 'password', password: 'hunter22' })),
+    bans: [{ username: 'mallory', session: 'a'.repeat(32), by: 'alice', bannedAt: new Date() }]
+  };
+  const shown = publicRoom(room);
+  assert.deepEqual(shown.banned, ['mallory']);
+  assert.ok(!JSON.stringify(shown).includes(room.inviteToken));
+  assert.ok(!JSON.stringify(shown).includes(room.passwordHash));
+  for (const session of ['a', 'b', 'c'].map(c => c.repeat(32))) {
+    assert.ok(!JSON.stringify(shown).includes(session));
+  }
+});
+
+// Roles go to a name together with the session it had when it got them
+const moderatedRoom = () => ({
+  owner: 'alice',
+  ownerSession: 'alice-session',
+  moderators: ['mod', 'mod2'],
+  moderatorSessions: [{ username: 'mod', session: 'mod-session' }, { username: 'mod2', session: 'mod2-session' }]
+});
+const alice = { username: 'alice', session: 'alice-session' };
+const mod = { username: 'mod', session: 'mod-session' };
+
+test('only moderators moderate, and only the owner appoints them', () => {
+  const room = moderatedRoom();
+  assert.equal(checkModeration(room, { username: 'bob', session: 'bob-session' }, 'kick', 'carol'), "Only moderators can do that.");
+  assert.equal(checkModeration(room, mod, 'kick', 'carol'), null);
+  assert.equal(checkModeration(room, mod, 'addModerator', 'carol'), "Only the room owner can appoint moderators.");
+  assert.equal(checkModeration(room, alice, 'addModerator', 'carol'), null);
+  assert.equal(checkModeration(room, alice, 'explode', 'carol'), "Unknown moderation action.");
+});
+
+test('someone using a moderator\'s or the owner\'s name in another session has no role', () => {
+  const room = moderatedRoom();
+  assert.equal(roomRole(room, alice), 'owner');
+  assert.equal(roomRole(room, { username: 'alice', session: 'impostor-session' }), 'member');
+  assert.equal(roomRole(room, { username: 'alice' }), 'member');
+  assert.equal(roomRole(room, { username: 'mod', session: 'alice-session' }), 'member');
+  assert.equal(checkModeration(room, { username: 'alice', session: 'impostor-session' }, 'ban', 'bob'), "Only moderators can do that.");
+});
+
+test('targets are ranked by the sessions they are connected with', () => {
+  const room = moderatedRoom();
+  // Someone using the owner's or a moderator's name can be moderated...
+  assert.equal(userRole(room, 'alice', ['impostor-session']), 'member');
+  assert.equal(checkModeration(room, mod, 'ban', 'alice', ['impostor-session']), null);
+  assert.equal(checkModeration(room, mod, 'mute', 'mod2', ['impostor-session']), null);
+  // ...but the real ones can't, whether they are connected or not
+  assert.equal(userRole(room, 'alice', ['alice-session']), 'owner');
+  assert.equal(checkModeration(room, mod, 'ban', 'alice', ['alice-session']), "You can't moderate a user with the same or a higher role.");
+  assert.equal(userRole(room, 'mod2', []), 'moderator');
+  assert.equal(checkModeration(room, mod, 'kick', 'mod2'), "You can't moderate a user with the same or a higher role.");
+});
+
+test('a mute or ban of the owner\'s name doesn\'t catch the owner', () => {
+  const room = { ...moderatedRoom(), muted: ['alice'], bans: [{ username: 'alice', session: 'impostor-session' }] };
+  assert.ok(isMuted(room, { username: 'alice', session: 'impostor-session' }));
+  assert.ok(isBanned(room, { username: 'alice', session: 'impostor-session' }));
+  assert.ok(isBanned(room, { username: 'alice', session: 'other-session' }));
+  assert.ok(!isMuted(room, alice));
+  assert.ok(!isBanned(room, alice));
+});
+
+test('banning someone using a moderator\'s name leaves the moderator their role', () => {
+  const room = moderatedRoom();
+  const ban = applyModeration(room, 'ban', 'mod2', { by: 'alice', session: 'impostor-session' });
+  assert.deepEqual(ban.moderators, ['mod', 'mod2']);
+  assert.equal(roomRole({ ...room, ...ban }, { username: 'mod2', session: 'mod2-session' }), 'moderator');
+  // Banned while away, the name loses its role altogether
+  const offline = applyModeration(room, 'ban', 'mod2', { by: 'alice' });
+  assert.deepEqual(offline.moderators, ['mod']);
+  assert.equal(roomRole({ ...room, ...offline }, { username: 'mod2', session: 'mod2-session' }), 'member');
+});
+
+test('nobody moderates themselves or someone of the same or a higher role', () => {
+  const room = moderatedRoom();
+  assert.equal(checkModeration(room, mod, 'ban', 'mod'), "Pick another user.");
+  assert.equal(checkModeration(room, mod, 'ban', 'mod2'), "You can't moderate a user with the same or a higher role.");
+  assert.equal(checkModeration(room, mod, 'ban', 'alice'), "You can't moderate a user with the same or a higher role.");
+  assert.equal(checkModeration(room, alice, 'ban', 'mod'), null);
+});
+
+test('rooms without an owner can\'t be moderated', () => {
+  assert.equal(checkModeration({}, { username: 'bob', session: 'bob-session' }, 'kick', 'carol'), "Only moderators can do that.");
+});
+
+test('moderators are appointed in their current session', () => {
+  const room = moderatedRoom();
+  assert.equal(applyModeration(room, 'addModerator', 'carol', { by: 'alice' }), null);
+  const appointed = applyModeration(room, 'addModerator', 'carol', { by: 'alice', session: 'carol-session' });
+  assert.deepEqual(appointed.moderators, ['mod', 'mod2', 'carol']);
+  assert.equal(roomRole({ ...room, ...appointed }, { username: 'carol', session: 'carol-session' }), 'moderator');
+  const removed = applyModeration({ ...room, ...appointed }, 'removeModerator', 'carol');
+  assert.equal(roomRole({ ...room, ...appointed, ...removed }, { username: 'carol', session: 'carol-session' }), 'member');
+});
+
+test('moderation changes only what it needs to', () => {
+  const room = { ...moderatedRoom(), muted: ['bob'], bans: [] };
+  assert.equal(applyModeration(room, 'mute', 'bob'), null);
+  assert.deepEqual(applyModeration(room, 'unmute', 'bob'), { muted: [] });
+  assert.equal(applyModeration(room, 'kick', 'bob'), null);
+  const ban = applyModeration(room, 'ban', 'mod', { by: 'alice', session: 'mod-session' });
+  assert.deepEqual(ban.moderators, ['mod2']);
+  assert.deepEqual(ban.moderatorSessions.map(m => m.username), ['mod2']);
+  assert.equal(ban.bans[0].session, 'mod-session');
+  assert.ok(isBanned({ bans: ban.bans }, { username: 'mod' }));
+  // A new name doesn't get a banned session back in
+  assert.ok(isBanned({ bans: ban.bans }, { username: 'someone-else', session: 'mod-session' }));
+  assert.ok(!isBanned({ bans: ban.bans }, { username: 'someone-else' }));
+});
+
+test('messages expire with their room\'s retention', () => {
+  const createdAt = new Date('2024-01-01T00:00:00Z');
+  assert.equal(messageExpiry({ retention: '24h' }, createdAt).toISOString(), '2024-01-02T00:00:00.000Z');
+  assert.equal(messageExpiry({ retention: 'forever' }, createdAt), null);
+});
@@ -0,0 +1,45 @@
+// server/test/search.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, nextEvent, joinRoom, sendMessage } = require('./helpers/chatServer');
+
+test.describe('searchMessages', () => {
+  let server;
+  let alice;
+  let bob;
+  test.before(async () => {
+    server = await startServer();
+    alice = await server.connect();
+    bob = await server.connect();
+    await joinRoom(alice, 'ops', 'alice', { create: true });
+    await joinRoom(bob, 'ops', 'bob');
+    await sendMessage(alice, 'ops', { text: 'Starting the deployment now' });
+    await sendMessage(bob, 'ops', { text: 'Deploy finished, all green' });
+    await sendMessage(bob, 'ops', { text: 'Lunch?' });
+  });
+  test.after(() => server.stop());
+
+  const search = async (socket, fields) => {
+    const answered = nextEvent(socket, 'searchResults');
+    socket.emit('searchMessages', { roomName: 'ops', ...fields });
+    return (await answered).results.map(m => m.text);
+  };
+
+  test('terms match the start of words, newest first', async () => {
+    assert.deepEqual(await search(alice, { query: 'DEPLOY' }), ['Deploy finished, all green', 'Starting the deployment now']);
+    assert.deepEqual(await search(alice, { query: 'depl now' }), ['Starting the deployment now']);
+    assert.deepEqual(await search(alice, { query: 'ploy' }), []);
+  });
+
+  test('results can be narrowed down by sender and time', async () => {
+    assert.deepEqual(await search(alice, { query: 'deploy', from: 'bob' }), ['Deploy finished, all green']);
+    assert.deepEqual(await search(alice, { from: 'bob' }), ['Lunch?', 'Deploy finished, all green']);
+    assert.deepEqual(await search(alice, { query: 'deploy', after: new Date(Date.now() + 60000).toISOString() }), []);
+  });
+
+  test('only members of the room can search it', async () => {
+    const outsider = await server.connect();
+    outsider.emit('searchMessages', { roomName: 'ops', query: 'deploy' });
+    await assert.rejects(nextEvent(outsider, 'searchResults', undefined, 300));
+  });
+});
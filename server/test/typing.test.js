@@ -0,0 +1,62 @@
+// server/test/typing.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, nextEvent, joinRoom, sendMessage } = require('./helpers/chatServer');
+
+// How long typing lasts without another "typing" event (TYPING_TIMEOUT_MS in index.js)
+const TYPING_TIMEOUT_MS = 6000;
+
+test.describe('typing indicators', () => {
+  let server;
+  let alice;
+  test.before(async () => {
+    server = await startServer();
+    alice = await server.connect();
+    await joinRoom(alice, 'chat', 'alice', { create: true });
+  });
+  test.after(() => server.stop());
+
+  const typingEvent = (event, username) => nextEvent(alice, event, u => u.roomName === 'chat' && u.username === username);
+
+  test('typing shows until the user stops or sends their message', async () => {
+    const bob = await server.connect();
+    await joinRoom(bob, 'chat', 'bob');
+    let event = typingEvent('userTyping', 'bob');
+    bob.emit('typing', { roomName: 'chat' });
+    await event;
+
+    const newcomer = await server.connect();
+    assert.deepEqual((await joinRoom(newcomer, 'chat', 'carol')).typingUsers, ['bob']);
+
+    event = typingEvent('userStopTyping', 'bob');
+    bob.emit('stopTyping', { roomName: 'chat' });
+    await event;
+
+    bob.emit('typing', { roomName: 'chat' });
+    event = typingEvent('userStopTyping', 'bob');
+    await sendMessage(bob, 'chat', { text: 'done typing' });
+    await event;
+  });
+
+  test('typing ends when the connection drops', async () => {
+    const dave = await server.connect();
+    await joinRoom(dave, 'chat', 'dave');
+    const typing = typingEvent('userTyping', 'dave');
+    dave.emit('typing', { roomName: 'chat' });
+    await typing;
+    const stopped = typingEvent('userStopTyping', 'dave');
+    dave.close();
+    await stopped;
+  });
+
+  test('typing expires when the client stops repeating it', async () => {
+    const erin = await server.connect();
+    await joinRoom(erin, 'chat', 'erin');
+    const typing = typingEvent('userTyping', 'erin');
+    erin.emit('typing', { roomName: 'chat' });
+    await typing;
+    const started = Date.now();
+    await nextEvent(alice, 'userStopTyping', u => u.username === 'erin', TYPING_TIMEOUT_MS + 2000);
+    assert.ok(Date.now() - started >= TYPING_TIMEOUT_MS - 100);
+  });
+});
@@ -0,0 +1,43 @@
+// server/test/uploadTokens.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createUploadTokens } = require('../uploadTokens');
+
+test('tokens are accepted for their own kind of upload only', () => {
+  const tokens = createUploadTokens();
+  const { kind, token, expiresAt } = tokens.issue('attachment');
+  assert.equal(kind, 'attachment');
+  assert.ok(expiresAt > Date.now());
+  assert.ok(tokens.verify(token, 'attachment'));
+  assert.ok(!tokens.verify(token, 'avatar'));
+  assert.throws(() => tokens.issue('anything'), /Unknown upload kind/);
+});
+
+test('expired, altered and foreign tokens are refused', (t) => {
+  t.mock.timers.enable({ apis: ['Date'] });
+  const tokens = createUploadTokens({ secret: 'secret', ttlMs: 1000 });
+  const { token } = tokens.issue('avatar');
+  const [kind, expires, signature] = token.split('.');
+  assert.ok(!tokens.verify(`${kind}.${Number(expires) + 60000}.${signature}`, 'avatar'));
+  assert.ok(!tokens.verify(`${kind}.${expires}.${signature.slice(1)}`, 'avatar'));
+  assert.ok(!tokens.verify(undefined, 'avatar'));
+  assert.ok(!createUploadTokens({ secret: 'other secret' }).verify(token, 'avatar'));
+  // Instances sharing the secret accept each other's tokens
+  assert.ok(createUploadTokens({ secret: 'secret' }).verify(token, 'avatar'));
+  t.mock.timers.tick(1000);
+  assert.ok(!tokens.verify(token, 'avatar'));
+});
+
+test('uploads without a valid token are turned away before the body is read', () => {
+  const tokens = createUploadTokens();
+  const check = (token) => {
+    let status = null;
+    let passed = false;
+    const res = { status(code) { status = code; return this; }, json() { return this; } };
+    tokens.required('attachment')({ headers: { 'x-upload-token': token } }, res, () => { passed = true; });
+    return passed || status;
+  };
+  assert.equal(check(tokens.issue('attachment').token), true);
+  assert.equal(check(tokens.issue('avatar').token), 401);
+  assert.equal(check(undefined), 401);
+});
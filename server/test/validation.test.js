@@ -0,0 +1,74 @@
+// server/test/validation.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateEvent, MAX_MESSAGE_LENGTH, MAX_USERNAME_LENGTH } = require('../validation');
+
+const MESSAGE_ID = '0123456789abcdef01234567';
+
+test('unknown events and non-object payloads are rejected', () => {
+  assert.equal(validateEvent('dropDatabase', {}), 'Unknown event "dropDatabase"');
+  assert.equal(validateEvent('leaveRoom', null), 'Payload must be an object');
+  assert.equal(validateEvent('leaveRoom', 'room'), 'Payload must be an object');
+  assert.equal(validateEvent('leaveRoom', ['room']), 'Payload must be an object');
+});
+
+test('required fields must be present; optional ones may be null', () => {
+  assert.equal(validateEvent('leaveRoom', {}), 'roomName is required');
+  assert.equal(validateEvent('joinRoom', { roomName: 'lobby', username: null, since: undefined }), null);
+  assert.equal(validateEvent('messagesRead', { roomName: 'lobby' }), 'upTo is required');
+});
+
+test('fields are named by their label in errors', () => {
+  assert.equal(validateEvent('leaveRoom', { roomName: 42 }), 'Room name must be a string');
+  assert.equal(
+    validateEvent('joinRoom', { roomName: 'lobby', username: 'x'.repeat(MAX_USERNAME_LENGTH + 1) }),
+    `Username can be at most ${MAX_USERNAME_LENGTH} characters long`
+  );
+  assert.equal(validateEvent('getThread', { roomName: 'lobby', messageId: 'nope' }), 'Message id has an invalid format');
+});
+
+test('names must be visible text without control characters', () => {
+  assert.equal(validateEvent('leaveRoom', { roomName: 'a\nb' }), 'Room name has an invalid format');
+  assert.equal(validateEvent('leaveRoom', { roomName: '   ' }), 'Room name has an invalid format');
+  assert.equal(validateEvent('leaveRoom', { roomName: 'Café ☕' }), null);
+});
+
+test('room names can\'t look like socket ids', () => {
+  assert.equal(validateEvent('joinRoom', { roomName: 'Xq3_-fK9aZbT0pLm2RwY' }), 'Room name has an invalid format');
+  assert.equal(validateEvent('joinRoom', { roomName: 'Xq3_-fK9aZbT0pLm2Rw' }), null);
+  assert.equal(validateEvent('joinRoom', { roomName: 'Xq3_-fK9aZbT0pLm2RwYZ' }), null);
+  assert.equal(validateEvent('joinRoom', { roomName: 'twenty characters!!!' }), null);
+});
+
+test('messages are limited in length, attachments and mentions in number', () => {
+  const message = (fields) => validateEvent('chatMessage', { roomName: 'lobby', ...fields });
+  assert.equal(message({ text: 'x'.repeat(MAX_MESSAGE_LENGTH) }), null);
+  assert.equal(message({ text: 'x'.repeat(MAX_MESSAGE_LENGTH + 1) }), `Message can be at most ${MAX_MESSAGE_LENGTH} characters long`);
+  assert.equal(message({ attachments: 'abc' }), 'attachments must be a list');
+  assert.equal(message({ attachments: new Array(6).fill('0'.repeat(32)) }), 'attachments can have at most 5 items');
+  assert.equal(message({ attachments: ['../etc/passwd'] }), 'Attachment has an invalid format');
+  assert.equal(message({ mentions: new Array(20).fill('bob') }), null);
+  assert.equal(message({ mentions: new Array(21).fill('bob') }), 'mentions can have at most 20 items');
+  assert.equal(message({ replyTo: MESSAGE_ID }), null);
+});
+
+test('encrypted messages must look like ciphertext', () => {
+  const message = (ciphertext) => validateEvent('chatMessage', { roomName: 'lobby', ciphertext });
+  assert.equal(message('e2e1:AAAAAAAAAAAAAAAA:c2VjcmV0IHRleHQ='), null);
+  assert.equal(message('hello'), 'Encrypted message has an invalid format');
+  assert.equal(message('e2e1:AAAA:not base64!'), 'Encrypted message has an invalid format');
+});
+
+test('encryption settings are checked field by field', () => {
+  const join = (encryption) => validateEvent('joinRoom', { roomName: 'secret', create: true, encryption });
+  const check = 'e2e1:AAAAAAAAAAAAAAAA:c2VjcmV0IHRleHQ=';
+  assert.equal(join({ mode: 'passphrase', salt: 'c2FsdHNhbHRzYWx0c2FsdA==', check }), null);
+  assert.equal(join('passphrase'), 'Encryption settings must be an object');
+  assert.equal(join({ mode: 'passphrase', check }), 'salt is required');
+  assert.equal(join({ mode: 'passphrase', salt: 'c2FsdA==', check: 'plain' }), 'Key check has an invalid format');
+});
+
+test('statuses are limited to online and away', () => {
+  assert.equal(validateEvent('setStatus', { status: 'away' }), null);
+  assert.equal(validateEvent('setStatus', { status: 'offline' }), 'Status has an invalid format');
+});
@@ -0,0 +1,50 @@
+// server/uploadTokens.js
+const crypto = require('crypto');
+
+// How long an upload token can be used for
+const UPLOAD_TOKEN_TTL_MS = 10 * 60 * 1000;
+// What a token lets its holder upload: message attachments or a profile picture
+const UPLOAD_KINDS = ['attachment', 'avatar'];
+
+// Short-lived tokens for the upload routes, handed out over the socket (see
+// "requestUploadToken" in index.js), so only clients connected to the chat
+// can store files. Tokens are "<kind>.<expiry>.<signature>": signed rather
+// than stored, so every server instance sharing the `secret` accepts the
+// tokens the others issued. Without a secret each instance makes up its own.
+function createUploadTokens({ secret, ttlMs = UPLOAD_TOKEN_TTL_MS } = {}) {
+  const key = secret || crypto.randomBytes(32);
+  const sign = (payload) => crypto.createHmac('sha256', key).update(payload).digest('hex');
+
+  const verify = (token, kind) => {
+    if (typeof token !== 'string') return false;
+    const [tokenKind, expires, signature] = token.split('.');
+    if (tokenKind !== kind || !(Number(expires) > Date.now()) || !signature) return false;
+    const expected = Buffer.from(sign(`${tokenKind}.${expires}`));
+    const actual = Buffer.from(signature);
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+  };
+
+  return {
+    // A token for uploading `kind` files: { kind, token, expiresAt }
+    issue(kind) {
+      if (!UPLOAD_KINDS.includes(kind)) throw new Error(`Unknown upload kind "${kind}"`);
+      const expiresAt = Date.now() + ttlMs;
+      return { kind, token: `${kind}.${expiresAt}.${sign(`${kind}.${expiresAt}`)}`, expiresAt };
+    },
+
+    verify,
+
+    // Express middleware turning away uploads without a valid token for
+    // `kind` in the X-Upload-Token header (before the body is read)
+    required(kind) {
+      return (req, res, next) => {
+        if (!verify(req.headers['x-upload-token'], kind)) {
+          return res.status(401).json({ error: "Uploads need a connection to the chat. Please reload the page and try again." });
+        }
+        next();
+      };
+    }
+  };
+}
+
+module.exports = { createUploadTokens, UPLOAD_KINDS };
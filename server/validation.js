@@ -0,0 +1,166 @@
+// server/validation.js
+
+// Limits on what clients may send
+const MAX_ROOM_NAME_LENGTH = 64;
+const MAX_USERNAME_LENGTH = 32;
+const MAX_MESSAGE_LENGTH = 4000;
+const MAX_SEARCH_QUERY_LENGTH = 200;
+const MAX_PASSWORD_LENGTH = 200;
+const MAX_ATTACHMENTS = 5;
+// Encrypted messages are longer than their text: UTF-8, an IV and a tag, in Base64
+const MAX_CIPHERTEXT_LENGTH = 16 * 1024 + 64;
+const MAX_MENTIONS = 20;
+
+// Ids as generated by the stores (MongoDB ObjectIds, or the same shape)
+const MESSAGE_ID_PATTERN = /^[0-9a-f]{24}$/;
+const ATTACHMENT_ID_PATTERN = /^[0-9a-f]{32}$/;
+const AVATAR_ID_PATTERN = /^avatar-[0-9a-f]{64}$/;
+const TOKEN_PATTERN = /^[0-9a-f]{32}$/;
+// Text encrypted by a client: "e2e1:<iv>:<ciphertext>", in Base64
+const CIPHERTEXT_PATTERN = /^e2e1:[A-Za-z0-9+/]+={0,2}:[A-Za-z0-9+/]+={0,2}$/;
+const BASE64_PATTERN = /^[A-Za-z0-9+/]+={0,2}$/;
+// Names are visible text: no control characters, and not just whitespace
+const NAME_PATTERN = /^(?=.*\S)[^\u0000-\u001f\u007f]+$/u;
+// Room names are names too, except for the shape of Socket.IO ids (20
+// characters of Base64url): each socket is in a private room named after its
+// id, on whichever server instance it is connected to
+const ROOM_NAME_PATTERN = /^(?![A-Za-z0-9_-]{20}$)(?=.*\S)[^\u0000-\u001f\u007f]+$/u;
+
+// Field types. Each check returns an error message (naming the field by its
+// label or key), or null when the value is acceptable. Fields are optional
+// unless marked with `required`.
+const string = ({ max, pattern, label } = {}) => (value, field) => {
+  const name = label || field;
+  if (typeof value !== 'string') return `${name} must be a string`;
+  if (max && value.length > max) return `${name} can be at most ${max} characters long`;
+  if (pattern && !pattern.test(value)) return `${name} has an invalid format`;
+  return null;
+};
+const boolean = () => (value, field) => (typeof value === 'boolean' ? null : `${field} must be true or false`);
+const timestamp = () => (value, field) => (
+  (typeof value === 'string' && value.length <= 40) || Number.isFinite(value) ? null : `${field} is not a valid date`
+);
+const arrayOf = (check, max) => (value, field) => {
+  if (!Array.isArray(value)) return `${field} must be a list`;
+  if (value.length > max) return `${field} can have at most ${max} items`;
+  for (const item of value) {
+    const error = check(item, field);
+    if (error) return error;
+  }
+  return null;
+};
+const required = (check) => Object.assign((value, field) => check(value, field), { required: true });
+// An object whose fields are checked against a schema of their own
+const object = (schema, label) => (value, field) => {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return `${label || field} must be an object`;
+  return checkFields(schema, value);
+};
+
+const roomName = required(string({ max: MAX_ROOM_NAME_LENGTH, pattern: ROOM_NAME_PATTERN, label: 'Room name' }));
+const messageId = required(string({ pattern: MESSAGE_ID_PATTERN, label: 'Message id' }));
+const ciphertext = string({ max: MAX_CIPHERTEXT_LENGTH, pattern: CIPHERTEXT_PATTERN, label: 'Encrypted message' });
+
+// Payload fields of every event clients may send. Fields not listed here are
+// ignored; events not listed here are dropped.
+const EVENT_SCHEMAS = {
+  joinRoom: {
+    roomName,
+    username: string({ max: MAX_USERNAME_LENGTH, pattern: NAME_PATTERN, label: 'Username' }),
+    avatar: string({ pattern: AVATAR_ID_PATTERN, label: 'Avatar' }),
+    retention: string({ max: 20 }),
+    create: boolean(),
+    access: string({ max: 20 }),
+    password: string({ max: MAX_PASSWORD_LENGTH, label: 'Password' }),
+    invite: string({ max: 64, label: 'Invite link' }),
+    session: string({ pattern: TOKEN_PATTERN, label: 'Session' }),
+    since: string({ pattern: MESSAGE_ID_PATTERN, label: 'Message id' }),
+    encryption: object({
+      mode: required(string({ max: 20 })),
+      salt: required(string({ max: 64, pattern: BASE64_PATTERN, label: 'Salt' })),
+      check: required(string({ max: 200, pattern: CIPHERTEXT_PATTERN, label: 'Key check' }))
+    }, 'Encryption settings')
+  },
+  leaveRoom: { roomName },
+  loadOlderMessages: { roomName, before: string({ pattern: MESSAGE_ID_PATTERN, label: 'Message id' }) },
+  searchMessages: {
+    roomName,
+    query: string({ max: MAX_SEARCH_QUERY_LENGTH, label: 'Search' }),
+    from: string({ max: MAX_USERNAME_LENGTH, label: 'Sender' }),
+    after: timestamp(),
+    before: timestamp()
+  },
+  chatMessage: {
+    roomName,
+    text: string({ max: MAX_MESSAGE_LENGTH, label: 'Message' }),
+    // Instead of text in encrypted rooms, with the mentions the server can't find itself
+    ciphertext,
+    mentions: arrayOf(string({ max: MAX_USERNAME_LENGTH, label: 'Mention' }), MAX_MENTIONS),
+    replyTo: string({ pattern: MESSAGE_ID_PATTERN, label: 'Message id' }),
+    attachments: arrayOf(string({ pattern: ATTACHMENT_ID_PATTERN, label: 'Attachment' }), MAX_ATTACHMENTS)
+  },
+  directMessage: {
+    roomName,
+    peer: required(string({ max: MAX_USERNAME_LENGTH, label: 'Username' })),
+    text: string({ max: MAX_MESSAGE_LENGTH, label: 'Message' }),
+    ciphertext
+  },
+  loadDirectMessages: {
+    roomName,
+    peer: required(string({ max: MAX_USERNAME_LENGTH, label: 'Username' })),
+    before: string({ pattern: MESSAGE_ID_PATTERN, label: 'Message id' })
+  },
+  getThread: { roomName, messageId },
+  editMessage: {
+    roomName,
+    messageId,
+    text: string({ max: MAX_MESSAGE_LENGTH, label: 'Message' }),
+    ciphertext,
+    mentions: arrayOf(string({ max: MAX_USERNAME_LENGTH, label: 'Mention' }), MAX_MENTIONS)
+  },
+  deleteMessage: { roomName, messageId },
+  addReaction: { roomName, messageId, emoji: required(string({ max: 32, label: 'Emoji' })) },
+  removeReaction: { roomName, messageId, emoji: required(string({ max: 32, label: 'Emoji' })) },
+  messageRead: { roomName, messageId },
+  messagesRead: { roomName, upTo: required(string({ pattern: MESSAGE_ID_PATTERN, label: 'Message id' })) },
+  moderate: {
+    roomName,
+    action: required(string({ max: 20 })),
+    username: required(string({ max: MAX_USERNAME_LENGTH, label: 'Username' }))
+  },
+  typing: { roomName },
+  stopTyping: { roomName },
+  setStatus: { status: required(string({ pattern: /^(online|away)$/, label: 'Status' })) },
+  requestUploadToken: { kind: required(string({ pattern: /^(attachment|avatar)$/, label: 'Upload kind' })) }
+};
+
+// Check an inbound event's payload against its schema. Returns an error
+// message, or null when the payload is acceptable. Absent (undefined or
+// null) optional fields are fine.
+function validateEvent(event, payload) {
+  const schema = EVENT_SCHEMAS[event];
+  if (!schema) return `Unknown event "${event}"`;
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) return 'Payload must be an object';
+  return checkFields(schema, payload);
+}
+
+// Check an object's fields against a schema (see validateEvent)
+function checkFields(schema, payload) {
+  for (const [field, check] of Object.entries(schema)) {
+    const value = payload[field];
+    if (value === undefined || value === null) {
+      if (check.required) return `${field} is required`;
+      continue;
+    }
+    const error = check(value, field);
+    if (error) return error;
+  }
+  return null;
+}
+
+module.exports = {
+  EVENT_SCHEMAS,
+  MAX_MESSAGE_LENGTH,
+  MAX_ROOM_NAME_LENGTH,
+  MAX_USERNAME_LENGTH,
+  validateEvent
+};